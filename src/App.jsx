@@ -1,5 +1,4 @@
-import { useState, useRef, useEffect } from "react";
-import axios from "axios";
+import { useState, useRef, useEffect, useCallback } from "react";
 import {
   FaPlay,
   FaPause,
@@ -14,8 +13,140 @@ import {
   FaPlus,
   FaTrash,
   FaTimes,
+  FaSlidersH,
+  FaCompass,
+  FaFolderOpen,
+  FaMoon,
+  FaKeyboard,
 } from "react-icons/fa";
 import { IoMusicalNote } from "react-icons/io5";
+import { MdEqualizer, MdInsights, MdRepeat, MdRepeatOne, MdShuffle } from "react-icons/md";
+import AdvancedSearchPanel from "./components/AdvancedSearchPanel.jsx";
+import AlbumView from "./components/AlbumView.jsx";
+import ArtistView from "./components/ArtistView.jsx";
+import BackupControls from "./components/BackupControls.jsx";
+import BrowseView from "./components/BrowseView.jsx";
+import ContinueListening from "./components/ContinueListening.jsx";
+import EqualizerPanel from "./components/EqualizerPanel.jsx";
+import FavoritesView from "./components/FavoritesView.jsx";
+import HistoryView from "./components/HistoryView.jsx";
+import LocalFilesView from "./components/LocalFilesView.jsx";
+import QueuePanel from "./components/QueuePanel.jsx";
+import RestoreDialog from "./components/RestoreDialog.jsx";
+import SearchSuggestions from "./components/SearchSuggestions.jsx";
+import SettingSlider from "./components/SettingSlider.jsx";
+import ShortcutsOverlay from "./components/ShortcutsOverlay.jsx";
+import SleepTimerMenu from "./components/SleepTimerMenu.jsx";
+import StatsView from "./components/StatsView.jsx";
+import StorageUsage from "./components/StorageUsage.jsx";
+import TrackRow from "./components/TrackRow.jsx";
+import Visualizer from "./components/Visualizer.jsx";
+import deezer, { describeDeezerError, ERROR_TYPES } from "./api/deezer.js";
+import useKeyboardShortcuts from "./hooks/useKeyboardShortcuts.js";
+import useLibrary from "./hooks/useLibrary.js";
+import useMediaSession from "./hooks/useMediaSession.js";
+import {
+  buildSearchRequest,
+  EMPTY_SEARCH_FILTERS,
+  getFilterChips,
+  removeFilter,
+} from "./api/searchQuery.js";
+import {
+  addToQueue,
+  clearUpcoming,
+  createQueue,
+  EMPTY_QUEUE,
+  getCurrentItem,
+  getUpcoming,
+  jumpTo,
+  moveInQueue,
+  peekNext,
+  playNextInQueue,
+  removeFromQueue,
+  REPEAT_MODES,
+  replaceTrack,
+  shuffleQueue,
+  stepQueue,
+  unshuffleQueue,
+} from "./player/queue.js";
+import {
+  createPlaybackEngine,
+  MAX_CROSSFADE,
+  MAX_PITCH_SHIFT,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+} from "./player/engine.js";
+import {
+  BUILT_IN_PRESETS,
+  normalizeEqPresets,
+  normalizeEqSettings,
+} from "./player/equalizer.js";
+import {
+  addHistoryEntry,
+  clearHistorySince,
+  createListenTracker,
+  getRecentTracks,
+  removeHistoryEntry,
+} from "./player/history.js";
+import { normalizeKeymap } from "./player/keymap.js";
+import {
+  addLocalFiles,
+  getPlayableUrl,
+  loadLocalTracks,
+  removeLocalFile,
+} from "./player/localFiles.js";
+import { getTrackGain } from "./player/loudness.js";
+import { fetchFreshPreview, needsFreshPreview } from "./player/previews.js";
+import { clearSession, loadSession, saveSession } from "./player/session.js";
+import {
+  countDownTrack,
+  describeSleepTimer,
+  extendSleepTimer,
+  getFadeLevel,
+  getSecondsLeft,
+  isLastTrack,
+  SLEEP_FADE_SECONDS,
+} from "./player/sleepTimer.js";
+import { formatTime } from "./player/time.js";
+import {
+  applySettings,
+  BackupError,
+  createBackup,
+  downloadBackup,
+  parseBackup,
+} from "./storage/backup.js";
+import { savePendingHistoryEntry } from "./storage/library.js";
+
+// Number of search results fetched per page (Deezer allows up to 100)
+const SEARCH_PAGE_SIZE = 25;
+
+// Live search waits this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 350;
+const MIN_LIVE_SEARCH_LENGTH = 2;
+// How many artists/albums/songs to show in each group of the search dropdown
+const SUGGESTION_LIMIT = 4;
+
+// Pagination info for a search with no results loaded
+const EMPTY_SEARCH_PAGING = {
+  query: "", // The text that produced the current results
+  request: null, // Deezer search params for that text + advanced filters
+  total: 0, // Total number of matches Deezer reported
+  nextIndex: null, // Index of the next page, or null when everything is loaded
+  loadingMore: false, // True while the next page is being fetched
+  failed: false, // True if loading the next page failed (shows a retry button)
+};
+
+/**
+ * readJsonSetting - Parses a setting saved as JSON
+ * @returns {*} - The value, or null if it's missing or not valid JSON
+ */
+const readJsonSetting = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
 
 function App() {
   // ============================================================================
@@ -26,32 +157,119 @@ function App() {
   // Landing page state - controls whether to show landing or main app
   const [showLanding, setShowLanding] = useState(true);
   const [isTransitioning, setIsTransitioning] = useState(false);
+  // What was playing last visit - offered instead of the landing page
+  // (read once - it stays on screen while fading into the app). Undefined
+  // until the database has answered, null if there's nothing to resume.
+  const [savedSession, setSavedSession] = useState(undefined);
 
   // Search-related state
   const [query, setQuery] = useState(""); // Stores the user's search input
   const [tracks, setTracks] = useState([]); // Stores the search results from Deezer API
   const [loading, setLoading] = useState(false); // Shows loading spinner while fetching
+  // Pagination info for the current search - Deezer pages with index/limit
+  const [searchPaging, setSearchPaging] = useState(EMPTY_SEARCH_PAGING);
+  // Search-as-you-type dropdown (artists and albums; songs come from tracks)
+  const [suggestions, setSuggestions] = useState({
+    query: "",
+    artists: [],
+    albums: [],
+    loading: false,
+  });
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  // Advanced search - Deezer field filters, strict mode and sort order
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [showAdvancedSearch, setShowAdvancedSearch] = useState(false);
 
   // Playback-related state
   const [currentTrack, setCurrentTrack] = useState(null); // The currently playing/selected track
   const [isPlaying, setIsPlaying] = useState(false); // Whether audio is currently playing
-  const [progress, setProgress] = useState(0); // Current playback progress (0-100%)
-  const [volume, setVolume] = useState(0.7); // Volume level (0-1)
-  const [isMuted, setIsMuted] = useState(false); // Whether audio is muted
-
-  // Favorites state - I load saved favorites from localStorage on app start
-  const [favorites, setFavorites] = useState(() => {
-    // This function runs once when the component mounts
-    // It retrieves any previously saved favorites from the browser's localStorage
-    const saved = localStorage.getItem("musicFavorites");
-    return saved ? JSON.parse(saved) : [];
+  // Position and length of the playing song in seconds
+  const [playbackTime, setPlaybackTime] = useState({ current: 0, duration: 0 });
+  // Volume level (0-1) and mute - remembered between visits
+  const [volume, setVolume] = useState(() => {
+    const saved = Number(localStorage.getItem("playerVolume") ?? 0.7);
+    return saved >= 0 && saved <= 1 ? saved : 0.7;
   });
+  const [isMuted, setIsMuted] = useState(() => localStorage.getItem("playerMuted") === "true");
+
+  // Favorites, custom playlists and the listening history (one entry per
+  // play, newest first) - loaded from and saved to IndexedDB by useLibrary
+  const {
+    favorites,
+    setFavorites,
+    playlists,
+    setPlaylists,
+    history,
+    setHistory,
+    replaceLibrary,
+    storageUsage,
+    saveError: librarySaveError,
+    refreshStorageUsage,
+  } = useLibrary();
+
+  // Songs added from the user's computer (kept in IndexedDB), whether some
+  // are being read right now, and whether files are being dragged over the app
+  const [localTracks, setLocalTracks] = useState([]);
+  const [importingFiles, setImportingFiles] = useState(false);
+  const [draggingFiles, setDraggingFiles] = useState(false);
+  // Ids of songs that couldn't be played this visit (no preview, broken file)
+  const [unavailableIds, setUnavailableIds] = useState([]);
 
-  // Recently played tracks - loaded from localStorage
-  const [recentlyPlayed, setRecentlyPlayed] = useState(() => {
-    const saved = localStorage.getItem("recentlyPlayed");
-    return saved ? JSON.parse(saved) : [];
+  // Play queue - what plays next, independent of the list on screen
+  const [queue, setQueue] = useState(EMPTY_QUEUE);
+  // Shuffle and repeat ("off", "all" or "one") - remembered between visits
+  const [shuffle, setShuffle] = useState(
+    () => localStorage.getItem("shuffleEnabled") === "true"
+  );
+  const [repeatMode, setRepeatMode] = useState(() => {
+    const saved = localStorage.getItem("repeatMode");
+    return REPEAT_MODES.includes(saved) ? saved : "off";
+  });
+  // Crossfade between songs in seconds (0 = gapless, no fade)
+  const [crossfade, setCrossfade] = useState(() => {
+    const saved = Number(localStorage.getItem("crossfadeSeconds"));
+    return saved >= 0 && saved <= MAX_CROSSFADE ? saved : 0;
+  });
+  // Playback speed (0.5x-2x), whether it keeps the pitch, and a separate
+  // pitch shift in semitones
+  const [playbackRate, setPlaybackRate] = useState(() => {
+    const saved = Number(localStorage.getItem("playbackRate"));
+    return saved >= MIN_PLAYBACK_RATE && saved <= MAX_PLAYBACK_RATE ? saved : 1;
+  });
+  const [preservePitch, setPreservePitch] = useState(
+    () => localStorage.getItem("preservePitch") !== "false"
+  );
+  const [pitchShift, setPitchShift] = useState(() => {
+    const saved = Number(localStorage.getItem("pitchShift"));
+    return Math.abs(saved) <= MAX_PITCH_SHIFT ? Math.round(saved) : 0;
   });
+  // Loudness normalization on/off, and the gain applied to the playing song
+  const [normalizeLoudness, setNormalizeLoudness] = useState(
+    () => localStorage.getItem("normalizeLoudness") !== "false"
+  );
+  const [appliedGain, setAppliedGain] = useState(null); // { trackId, db }
+  // Keyboard shortcut bindings ({ actionId: key }) and the help overlay
+  const [keymap, setKeymap] = useState(() =>
+    normalizeKeymap(readJsonSetting("keyboardShortcuts"))
+  );
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // A picked backup file waiting for the user to confirm the restore
+  const [pendingBackup, setPendingBackup] = useState(null);
+  // Sleep timer (see player/sleepTimer.js) and the clock its countdown uses
+  const [sleepTimer, setSleepTimer] = useState(null);
+  const [sleepClock, setSleepClock] = useState(() => Date.now());
+  // Equalizer settings and the presets the user saved
+  const [eqSettings, setEqSettings] = useState(() =>
+    normalizeEqSettings(readJsonSetting("equalizerSettings"))
+  );
+  const [eqPresets, setEqPresets] = useState(() =>
+    normalizeEqPresets(readJsonSetting("equalizerPresets"))
+  );
+  const [showEqualizer, setShowEqualizer] = useState(false);
+  // Visualizer mode in Now Playing ("bars", "waveform", "radial" or "off")
+  const [visualizerMode, setVisualizerMode] = useState(
+    () => localStorage.getItem("visualizerMode") || "bars"
+  );
 
   // Trending tracks - fetched from Deezer API
   const [trendingTracks, setTrendingTracks] = useState([]);
@@ -59,17 +277,15 @@ function App() {
   // Mobile menu state - controls sidebar visibility on mobile
   const [showMobileMenu, setShowMobileMenu] = useState(false);
 
-  // Custom playlists state
-  const [playlists, setPlaylists] = useState(() => {
-    const saved = localStorage.getItem("customPlaylists");
-    return saved ? JSON.parse(saved) : [];
-  });
-
   // Playlist management state
   const [showPlaylistModal, setShowPlaylistModal] = useState(false);
   const [newPlaylistName, setNewPlaylistName] = useState("");
   const [selectedPlaylist, setSelectedPlaylist] = useState(null);
   const [showAddToPlaylist, setShowAddToPlaylist] = useState(null);
+  // Detail view shown in the center column instead of the track list,
+  // e.g. { type: "artist", id: 27 } - null shows the normal list
+  const [centerView, setCenterView] = useState(null);
+  const [viewHistory, setViewHistory] = useState([]); // Earlier views for "Back"
   const [errorMessage, setErrorMessage] = useState(null);
   const [errorType, setErrorType] = useState(null); // 'error' or 'success'
 
@@ -78,7 +294,21 @@ function App() {
   // Refs allow me to directly access DOM elements (like the audio player)
   // ============================================================================
 
-  const audioRef = useRef(null); // Reference to the HTML5 audio element
+  const engineRef = useRef(null); // The Web Audio playback engine (two decks)
+  const engineHandlersRef = useRef({}); // Latest App callbacks for the engine
+  const playRequestRef = useRef(0); // Bumped per startTrack, so stale refreshes are dropped
+  const refreshingRequestRef = useRef(null); // playRequestRef value waiting on a fresh preview
+  const refreshedTrackRef = useRef(null); // Id of the song whose preview was already refreshed
+  const listenTrackerRef = useRef(null); // Measures the current play for the history
+  const loadMoreRef = useRef(null); // Sentinel at the bottom of the search results
+  const searchScrollRef = useRef(0); // Scroll position of the search results view
+  const searchAbortRef = useRef(null); // AbortController of the search in flight
+  const searchDebounceRef = useRef(null); // Timer for the debounced live search
+  const suggestAbortRef = useRef(null); // AbortController of the dropdown requests
+  const searchInputRef = useRef(null); // The header search box ("/" focuses it)
+
+  // The sidebar's "Recently Played" summary - the last few different songs
+  const recentlyPlayed = getRecentTracks(history, currentTrack);
 
   // ============================================================================
   // EFFECTS SECTION
@@ -86,78 +316,287 @@ function App() {
   // ============================================================================
 
   /**
-   * EFFECT: Save favorites to localStorage
-   * Whenever the favorites array changes, I save it to localStorage
-   * This ensures favorites persist even after the browser is closed
+   * EFFECT: Save shuffle and repeat modes to localStorage
    */
   useEffect(() => {
-    localStorage.setItem("musicFavorites", JSON.stringify(favorites));
-  }, [favorites]);
+    localStorage.setItem("shuffleEnabled", String(shuffle));
+    localStorage.setItem("repeatMode", repeatMode);
+  }, [shuffle, repeatMode]);
 
   /**
-   * EFFECT: Save recently played to localStorage
+   * EFFECT: Fetch trending tracks from Deezer API on mount
+   * The Deezer client handles proxies and retries for me
    */
   useEffect(() => {
-    localStorage.setItem("recentlyPlayed", JSON.stringify(recentlyPlayed));
-  }, [recentlyPlayed]);
+    const fetchTrending = async () => {
+      const result = await deezer.chartTracks(0);
+      if (result.ok && result.data.data) {
+        setTrendingTracks(result.data.data.slice(0, 10));
+      } else {
+        console.error("Error fetching trending tracks:", result.error);
+        setTrendingTracks([]);
+      }
+    };
+    fetchTrending();
+  }, []);
 
   /**
-   * EFFECT: Save playlists to localStorage
+   * EFFECT: Load the local files stored in IndexedDB
    */
   useEffect(() => {
-    localStorage.setItem("customPlaylists", JSON.stringify(playlists));
-  }, [playlists]);
+    loadLocalTracks()
+      .then(setLocalTracks)
+      .catch((error) => console.error("Error loading local files:", error));
+  }, []);
 
   /**
-   * EFFECT: Fetch trending tracks from Deezer API on mount
-   * Using CORS proxy to bypass browser restrictions
+   * EFFECT: Create the playback engine once
+   * The engine outlives renders, so it calls back through engineHandlersRef
+   * to always reach the latest queue and repeat mode.
    */
   useEffect(() => {
-    const fetchTrending = async () => {
-      try {
-        // Fetch top chart tracks from Deezer using CORS proxy
-        const response = await axios.get(
-          "https://corsproxy.io/?https://api.deezer.com/chart/0/tracks",
-          { timeout: 10000 }
-        );
-        if (response.data && response.data.data) {
-          setTrendingTracks(response.data.data.slice(0, 10));
-        }
-      } catch (error) {
-        console.error("Error fetching trending tracks:", error);
-        // Fallback: try alternative proxy
-        try {
-          const fallbackResponse = await axios.get(
-            "https://api.allorigins.win/raw?url=" +
-              encodeURIComponent("https://api.deezer.com/chart/0/tracks"),
-            { timeout: 10000 }
-          );
-          const data =
-            typeof fallbackResponse.data === "string"
-              ? JSON.parse(fallbackResponse.data)
-              : fallbackResponse.data;
-          if (data && data.data) {
-            setTrendingTracks(data.data.slice(0, 10));
-          }
-        } catch (fallbackError) {
-          console.error("Fallback also failed:", fallbackError);
-          setTrendingTracks([]);
-        }
-      }
+    const tracker = createListenTracker();
+    const engine = createPlaybackEngine({
+      onTimeUpdate: (current, duration) => {
+        tracker.update(current);
+        setPlaybackTime({ current, duration });
+      },
+      onTrackEnding: () => engineHandlersRef.current.onTrackEnding(),
+      onPlayStateChange: (playing, ended) =>
+        engineHandlersRef.current.onPlayStateChange(playing, ended),
+      onError: (error, url) => engineHandlersRef.current.onError(error, url),
+    });
+    engineRef.current = engine;
+    listenTrackerRef.current = tracker;
+    return () => {
+      engine.destroy();
+      engineRef.current = null;
+      listenTrackerRef.current = null;
     };
-    fetchTrending();
   }, []);
 
+  /**
+   * EFFECT: Log the song that's playing when the page is closed
+   * An IndexedDB write may not finish before the page goes, so the entry is
+   * parked in localStorage for the next load. It's added to the state too,
+   * in case the page comes back from the back/forward cache.
+   */
+  useEffect(() => {
+    const handlePageHide = () => {
+      const entry = listenTrackerRef.current?.finish("stopped");
+      if (!entry) return;
+      savePendingHistoryEntry(entry);
+      setHistory((prev) => addHistoryEntry(prev, entry));
+    };
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  }, [setHistory]);
+
+  /**
+   * EFFECT: Point the engine callbacks at this render's functions
+   */
+  useEffect(() => {
+    engineHandlersRef.current = {
+      onTrackEnding: handleTrackEnding,
+      onPlayStateChange: handlePlayStateChange,
+      onError: handlePlaybackError,
+      onUnplayable: skipUnplayable,
+    };
+  });
+
   /**
    * EFFECT: Update audio volume
-   * When volume or mute state changes, I update the audio element
+   * When volume or mute state changes, I update the engine's master volume
+   * and save both for the next visit
    */
   useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.volume = isMuted ? 0 : volume;
-    }
+    engineRef.current?.setVolume(isMuted ? 0 : volume);
+    localStorage.setItem("playerVolume", String(volume));
+    localStorage.setItem("playerMuted", String(isMuted));
   }, [volume, isMuted]);
 
+  /**
+   * EFFECT: Look up the session from last visit
+   */
+  useEffect(() => {
+    loadSession().then(setSavedSession);
+  }, []);
+
+  /**
+   * EFFECT: Save the listening session
+   * The position is rounded down to 5 seconds so this runs every few
+   * seconds rather than on every time update.
+   */
+  const sessionPosition = Math.floor(playbackTime.current / 5) * 5;
+  useEffect(() => {
+    saveSession(queue, sessionPosition);
+  }, [queue, sessionPosition]);
+
+  /**
+   * EFFECT: Apply and save the crossfade length
+   */
+  useEffect(() => {
+    engineRef.current?.setCrossfade(crossfade);
+    localStorage.setItem("crossfadeSeconds", String(crossfade));
+  }, [crossfade]);
+
+  /**
+   * EFFECT: Tick the sleep timer clock and stop when time is up
+   * Only runs while a time-based timer is set.
+   */
+  useEffect(() => {
+    if (sleepTimer?.mode !== "time") return;
+    const interval = setInterval(() => {
+      const now = Date.now();
+      setSleepClock(now);
+      if (now >= sleepTimer.endsAt) {
+        engineRef.current?.pause();
+        setSleepTimer(null);
+        showError("Sleep timer ended - playback stopped", "success");
+      }
+    }, 500);
+    return () => clearInterval(interval);
+  }, [sleepTimer]);
+
+  /**
+   * EFFECT: Apply and save playback speed and pitch
+   */
+  useEffect(() => {
+    engineRef.current?.setPlaybackRate(playbackRate, preservePitch);
+    localStorage.setItem("playbackRate", String(playbackRate));
+    localStorage.setItem("preservePitch", String(preservePitch));
+  }, [playbackRate, preservePitch]);
+
+  useEffect(() => {
+    engineRef.current?.setPitch(pitchShift);
+    localStorage.setItem("pitchShift", String(pitchShift));
+  }, [pitchShift]);
+
+  /**
+   * EFFECT: Apply and save the equalizer settings
+   */
+  useEffect(() => {
+    engineRef.current?.setEqualizer(eqSettings);
+    localStorage.setItem("equalizerSettings", JSON.stringify(eqSettings));
+  }, [eqSettings]);
+
+  /**
+   * EFFECT: Save the user's equalizer presets
+   */
+  useEffect(() => {
+    localStorage.setItem("equalizerPresets", JSON.stringify(eqPresets));
+  }, [eqPresets]);
+
+  /**
+   * EFFECT: Save the keyboard shortcut bindings
+   */
+  useEffect(() => {
+    localStorage.setItem("keyboardShortcuts", JSON.stringify(keymap));
+  }, [keymap]);
+
+  /**
+   * EFFECT: Save the visualizer mode
+   */
+  useEffect(() => {
+    localStorage.setItem("visualizerMode", visualizerMode);
+  }, [visualizerMode]);
+
+  /**
+   * EFFECT: Preload the song that will play next
+   * The engine buffers it on its idle deck so the switch is instant. An
+   * expired preview URL is replaced first (the queue update brings us back
+   * here with the fresh one).
+   */
+  useEffect(() => {
+    const item = peekNext(queue, repeatMode);
+    if (!item) return;
+    if (!needsFreshPreview(item.track)) {
+      engineRef.current?.preload(getPlayableUrl(item.track));
+      return;
+    }
+    const controller = new AbortController();
+    fetchFreshPreview(item.track).then((result) => {
+      if (controller.signal.aborted) return;
+      if (result.ok && !needsFreshPreview(result.track)) {
+        setQueue((prev) => replaceTrack(prev, result.track));
+      }
+    });
+    return () => controller.abort();
+  }, [queue, repeatMode]);
+
+  /**
+   * EFFECT: Turn loudness normalization on or off, and save the setting
+   */
+  useEffect(() => {
+    engineRef.current?.setNormalization(normalizeLoudness);
+    localStorage.setItem("normalizeLoudness", String(normalizeLoudness));
+  }, [normalizeLoudness]);
+
+  /**
+   * EFFECT: Level the playing and the next song to the same loudness
+   * Gains come from the cache, /track/{id} or by measuring the preview
+   * (see player/loudness.js) and are cancelled if the songs change first.
+   */
+  const nextQueueItem = peekNext(queue, repeatMode);
+  const nextTrack = nextQueueItem ? nextQueueItem.track : null;
+  useEffect(() => {
+    if (!normalizeLoudness || !currentTrack) return;
+    const controller = new AbortController();
+    [currentTrack, nextTrack].filter(Boolean).forEach((track) => {
+      getTrackGain(track, { signal: controller.signal }).then((db) => {
+        if (db === null || controller.signal.aborted) return;
+        engineRef.current?.setTrackGain(getPlayableUrl(track), db);
+        if (track === currentTrack) setAppliedGain({ trackId: track.id, db });
+      });
+    });
+    return () => controller.abort();
+  }, [currentTrack, nextTrack, normalizeLoudness]);
+
+  /**
+   * EFFECT: Remember and restore the search results scroll position
+   * Opening a playlist swaps the list, so when the user comes back to the
+   * search results I put them back where they were instead of at the top.
+   */
+  const hasSearchResults = tracks.length > 0;
+  useEffect(() => {
+    if (selectedPlaylist || centerView || !hasSearchResults) return;
+
+    window.scrollTo(0, searchScrollRef.current);
+    const handleScroll = () => {
+      searchScrollRef.current = window.scrollY;
+    };
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => window.removeEventListener("scroll", handleScroll);
+  }, [selectedPlaylist, centerView, hasSearchResults]);
+
+  /**
+   * EFFECT: Close the search suggestions when clicking outside the search box
+   */
+  useEffect(() => {
+    if (!showSuggestions) return;
+    const handleClickOutside = (e) => {
+      if (!e.target.closest("[data-search-suggestions]")) {
+        setShowSuggestions(false);
+      }
+    };
+    document.addEventListener("click", handleClickOutside);
+    return () => document.removeEventListener("click", handleClickOutside);
+  }, [showSuggestions]);
+
+  /**
+   * EFFECT: Cancel pending searches when the app unmounts
+   */
+  useEffect(() => {
+    const debounceTimer = searchDebounceRef;
+    const searchRequest = searchAbortRef;
+    const suggestRequest = suggestAbortRef;
+    return () => {
+      clearTimeout(debounceTimer.current);
+      searchRequest.current?.abort();
+      suggestRequest.current?.abort();
+    };
+  }, []);
+
   /**
    * EFFECT: Close add to playlist dropdown when clicking outside
    */
@@ -202,6 +641,24 @@ function App() {
     }, 500);
   };
 
+  /**
+   * continueSession - "Continue listening": restores the saved queue and
+   * plays the song from where it stopped
+   */
+  const continueSession = () => {
+    setQueue(savedSession.queue);
+    startTrack(savedSession.track, { startAt: savedSession.position }, savedSession.queue);
+    handleEnterApp();
+  };
+
+  /**
+   * startFresh - Forgets the saved session and opens the app
+   */
+  const startFresh = () => {
+    clearSession();
+    handleEnterApp();
+  };
+
   // ============================================================================
   // API FUNCTIONS SECTION
   // These functions handle communication with the Deezer API
@@ -219,209 +676,713 @@ function App() {
     }, 4000);
   };
 
+  /**
+   * fetchSearchPage - Fetches one page of search results from Deezer
+   * @param {Object} request - Search params from buildSearchRequest()
+   * @param {number} index - Offset of the first result to fetch
+   * @param {AbortSignal} signal - Cancels the request when a newer search starts
+   * @returns {Promise<Object>} - Result from the Deezer client
+   */
+  const fetchSearchPage = ({ q, ...params }, index, signal) =>
+    deezer.search(q, { ...params, index, limit: SEARCH_PAGE_SIZE }, { signal });
+
+  /**
+   * getNextIndex - Works out where the next page starts
+   * Deezer only includes a "next" URL when more results exist.
+   */
+  const getNextIndex = (data, index) => {
+    const loadedUpTo = index + (data.data?.length || 0);
+    if (!data.next || loadedUpTo >= (data.total || 0)) return null;
+    return loadedUpTo;
+  };
+
+  /**
+   * startSearchRequest - Cancels whatever search is in flight and starts fresh
+   * A slow proxy can answer after a newer request, so every search (and every
+   * "load more") gets its own AbortController and the old one is aborted.
+   * @returns {AbortController} - Controller for the new request
+   */
+  const startSearchRequest = () => {
+    searchAbortRef.current?.abort();
+    const controller = new AbortController();
+    searchAbortRef.current = controller;
+    return controller;
+  };
+
+  /**
+   * isCancelled - True when a result belongs to a search that was replaced
+   */
+  const isCancelled = (result, controller) =>
+    controller.signal.aborted || result.error?.type === ERROR_TYPES.ABORTED;
+
   /**
    * searchMusic - Fetches songs from Deezer API based on user's search query
-   * Using CORS proxy to bypass browser restrictions
+   * @param {string} searchText - Text to search for (defaults to the input)
+   * @param {Object} options - { live: true } when triggered while typing,
+   *   { filters } to search with filters that were just changed
    *
    * How it works:
-   * 1. Check if the search query is not empty
-   * 2. Set loading state to show the spinner
-   * 3. Make GET request to Deezer's search endpoint via CORS proxy
-   * 4. Store the first 12 results in our tracks state
+   * 1. Combine the text with the advanced filters and check it isn't empty
+   * 2. Cancel any older search that is still loading
+   * 3. Ask the Deezer client for the first page of /search
+   *    (live searches also fetch artist and album suggestions)
+   * 4. Store the results and remember where the next page starts
    * 5. Handle any errors gracefully
    */
-  const searchMusic = async () => {
-    // Don't search if query is empty or just whitespace
-    if (!query.trim()) {
-      showError("Please enter a search term", "error");
+  const searchMusic = async (
+    searchText = query,
+    { live = false, filters = searchFilters } = {}
+  ) => {
+    clearTimeout(searchDebounceRef.current);
+    const searchQuery = searchText.trim();
+    const request = buildSearchRequest(searchQuery, filters);
+
+    // Don't search if there's no text and no field filters
+    if (!request.q) {
+      if (!live) showError("Please enter a search term", "error");
       return;
     }
 
+    const controller = startSearchRequest();
+    closeCenterView(); // Show the results, even if an artist page was open
+    if (live && searchQuery) {
+      fetchSuggestions(searchQuery);
+    } else {
+      suggestAbortRef.current?.abort();
+      setShowSuggestions(false);
+    }
+
     setLoading(true); // Show loading indicator
     setErrorMessage(null);
+    searchScrollRef.current = 0; // New results start at the top
     try {
-      // Make API request to Deezer using CORS proxy
-      const response = await axios.get(
-        `https://corsproxy.io/?https://api.deezer.com/search?q=${encodeURIComponent(
-          query
-        )}`,
-        { timeout: 10000 }
-      );
-      
-      if (!response.data || !response.data.data || response.data.data.length === 0) {
+      const result = await fetchSearchPage(request, 0, controller.signal);
+      if (isCancelled(result, controller)) return;
+
+      if (!result.ok) {
+        // Log the error for debugging
+        console.error("Error fetching music:", result.error);
         setTracks([]);
-        showError("No results found. Try a different search term.", "error");
+        setSearchPaging(EMPTY_SEARCH_PAGING);
+        showError(
+          describeDeezerError(
+            result.error,
+            "Failed to search. Please check your connection and try again."
+          ),
+          "error"
+        );
         return;
       }
-      
-      // Take only the first 12 tracks for a clean grid display
-      setTracks(response.data.data.slice(0, 12));
-    } catch (error) {
-      // Log the error for debugging
-      console.error("Error fetching music:", error);
-      
-      let errorMsg = "Failed to search. Please check your connection and try again.";
-      if (error.code === "ECONNABORTED") {
-        errorMsg = "Request timed out. Please try again.";
-      } else if (error.response) {
-        errorMsg = "Server error. Please try again later.";
-      }
-      
-      // Try fallback proxy
-      try {
-        const fallbackResponse = await axios.get(
-          "https://api.allorigins.win/raw?url=" +
-            encodeURIComponent(
-              `https://api.deezer.com/search?q=${encodeURIComponent(query)}`
-            ),
-          { timeout: 10000 }
-        );
-        const data =
-          typeof fallbackResponse.data === "string"
-            ? JSON.parse(fallbackResponse.data)
-            : fallbackResponse.data;
-        
-        if (!data || !data.data || data.data.length === 0) {
-          setTracks([]);
+
+      if (!result.data.data || result.data.data.length === 0) {
+        setTracks([]);
+        setSearchPaging(EMPTY_SEARCH_PAGING);
+        // While typing the empty dropdown says it already - no popup needed
+        if (!live) {
           showError("No results found. Try a different search term.", "error");
-          return;
         }
-        
-        setTracks(data.data.slice(0, 12));
-      } catch (fallbackError) {
-        console.error("Fallback also failed:", fallbackError);
-        setTracks([]);
-        showError(errorMsg, "error");
+        return;
       }
+
+      setTracks(result.data.data);
+      setSearchPaging({
+        ...EMPTY_SEARCH_PAGING,
+        query: searchQuery,
+        request,
+        total: result.data.total || result.data.data.length,
+        nextIndex: getNextIndex(result.data, 0),
+      });
     } finally {
-      // Always hide loading indicator when done (success or failure)
-      setLoading(false);
+      // Hide loading indicator unless a newer search has taken over
+      if (searchAbortRef.current === controller) {
+        setLoading(false);
+      }
     }
   };
 
-  // ============================================================================
-  // PLAYBACK CONTROL FUNCTIONS
-  // These functions control the audio playback experience
-  // ============================================================================
-
   /**
-   * playTrack - Starts playing a selected track
-   * @param {Object} track - The track object from Deezer API containing preview URL
-   *
-   * This function:
-   * 1. Sets the current track to the selected one
-   * 2. Updates the audio source
-   * 3. Starts playback
-   * 4. Adds track to recently played list
+   * fetchSuggestions - Loads artist and album hits for the search dropdown
+   * Track hits come from the main search results, so only /search/artist and
+   * /search/album are requested here - cancelled the same way as searches.
    */
-  const playTrack = (track) => {
-    setCurrentTrack(track);
-    setIsPlaying(true);
+  const fetchSuggestions = async (searchQuery) => {
+    suggestAbortRef.current?.abort();
+    const controller = new AbortController();
+    suggestAbortRef.current = controller;
 
-    // Add to recently played (avoid duplicates, keep most recent at top)
-    setRecentlyPlayed((prev) => {
-      const filtered = prev.filter((t) => t.id !== track.id);
-      return [track, ...filtered].slice(0, 10); // Keep last 10 tracks
-    });
+    setSuggestions((prev) => ({ ...prev, query: searchQuery, loading: true }));
+    setShowSuggestions(true);
 
-    // Wait for state to update, then play the audio
-    setTimeout(() => {
-      if (audioRef.current) {
-        audioRef.current.play();
-      }
-    }, 100);
+    const options = { signal: controller.signal };
+    const [artistResult, albumResult] = await Promise.all([
+      deezer.searchArtists(searchQuery, { limit: SUGGESTION_LIMIT }, options),
+      deezer.searchAlbums(searchQuery, { limit: SUGGESTION_LIMIT }, options),
+    ]);
+    if (controller.signal.aborted) return;
+
+    setSuggestions({
+      query: searchQuery,
+      artists: artistResult.ok ? artistResult.data.data || [] : [],
+      albums: albumResult.ok ? albumResult.data.data || [] : [],
+      loading: false,
+    });
   };
 
   /**
-   * togglePlayPause - Toggles between play and pause states
-   * Called when user clicks the play/pause button in the Now Playing bar
+   * handleQueryChange - Updates the input and schedules a live search
+   * The search only fires once the user stops typing for SEARCH_DEBOUNCE_MS,
+   * so a fast typist doesn't send a request per keystroke.
    */
-  const togglePlayPause = () => {
-    if (!audioRef.current || !currentTrack) return;
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    clearTimeout(searchDebounceRef.current);
 
-    if (isPlaying) {
-      audioRef.current.pause();
-    } else {
-      audioRef.current.play();
+    if (value.trim().length < MIN_LIVE_SEARCH_LENGTH) {
+      // Nothing worth searching yet - drop any pending request and the dropdown
+      searchAbortRef.current?.abort();
+      suggestAbortRef.current?.abort();
+      setLoading(false);
+      setShowSuggestions(false);
+      return;
     }
-    setIsPlaying(!isPlaying);
+
+    searchDebounceRef.current = setTimeout(
+      () => searchMusic(value, { live: true }),
+      SEARCH_DEBOUNCE_MS
+    );
   };
 
   /**
-   * playNext - Plays the next track in the current search results
-   * Finds the current track's index and plays the next one
-   * Loops back to the first track if at the end
+   * selectSuggestion - Handles a click on an item in the search dropdown
+   * Tracks start playing, artists and albums open their page.
    */
-  const playNext = () => {
-    if (!currentTrack || tracks.length === 0) return;
-
-    const currentIndex = tracks.findIndex((t) => t.id === currentTrack.id);
-    const nextIndex = (currentIndex + 1) % tracks.length; // Loop back to 0 at the end
-    playTrack(tracks[nextIndex]);
+  const selectSuggestion = (type, item) => {
+    setShowSuggestions(false);
+    if (type === "track") {
+      playTrack(item, tracks, { type: "search", label: `"${searchPaging.query}"` });
+      return;
+    }
+    if (type === "artist") {
+      openArtist(item);
+    } else {
+      openAlbum(item);
+    }
   };
 
   /**
-   * playPrevious - Plays the previous track in the current search results
-   * Loops to the last track if at the beginning
+   * loadMoreResults - Appends the next page of the current search
+   * Called by the infinite scroll observer when the list bottom comes into view.
+   * It uses the request that produced the results, not whatever is typed now.
    */
-  const playPrevious = () => {
-    if (!currentTrack || tracks.length === 0) return;
+  const loadMoreResults = async () => {
+    const { request, nextIndex, loadingMore } = searchPaging;
+    if (nextIndex === null || loadingMore || !request) return;
 
-    const currentIndex = tracks.findIndex((t) => t.id === currentTrack.id);
-    // If at first track, go to last; otherwise go to previous
-    const prevIndex = currentIndex === 0 ? tracks.length - 1 : currentIndex - 1;
-    playTrack(tracks[prevIndex]);
+    const controller = startSearchRequest();
+    setSearchPaging((prev) => ({ ...prev, loadingMore: true, failed: false }));
+    const result = await fetchSearchPage(request, nextIndex, controller.signal);
+    if (isCancelled(result, controller)) {
+      // Let the next scroll try again, unless a newer search has taken over
+      if (searchAbortRef.current === controller) {
+        setSearchPaging((prev) => ({ ...prev, loadingMore: false }));
+      }
+      return;
+    }
+
+    if (!result.ok) {
+      console.error("Error loading more results:", result.error);
+      setSearchPaging((prev) => ({ ...prev, loadingMore: false, failed: true }));
+      showError(describeDeezerError(result.error), "error");
+      return;
+    }
+
+    const newTracks = result.data.data || [];
+    // Pages can overlap if Deezer's ranking shifts, so skip tracks I already have
+    setTracks((prev) => {
+      const seen = new Set(prev.map((t) => t.id));
+      return [...prev, ...newTracks.filter((t) => !seen.has(t.id))];
+    });
+    setSearchPaging((prev) => ({
+      ...prev,
+      total: result.data.total || prev.total,
+      nextIndex: newTracks.length > 0 ? getNextIndex(result.data, nextIndex) : null,
+      loadingMore: false,
+    }));
   };
 
   /**
-   * handleTimeUpdate - Updates the progress bar as the song plays
-   * Called continuously while audio is playing
+   * applySearchFilters - Saves the advanced search filters and searches again
+   * @param {Object} filters - New filters from the advanced search panel
    */
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      const percentage =
-        (audioRef.current.currentTime / audioRef.current.duration) * 100;
-      setProgress(percentage || 0);
+  const applySearchFilters = (filters) => {
+    setSearchFilters(filters);
+    setShowAdvancedSearch(false);
+    setSelectedPlaylist(null);
+
+    if (!buildSearchRequest(query, filters).q) {
+      // Nothing left to search for - go back to the default list
+      searchAbortRef.current?.abort();
+      setTracks([]);
+      setSearchPaging(EMPTY_SEARCH_PAGING);
+      return;
     }
+    searchMusic(query, { filters });
   };
 
   /**
-   * handleProgressClick - Allows users to seek by clicking the progress bar
-   * @param {Event} e - The click event
+   * removeSearchFilter - Called when the "x" on a filter chip is clicked
    */
-  const handleProgressClick = (e) => {
-    if (!audioRef.current) return;
+  const removeSearchFilter = (key) => {
+    applySearchFilters(removeFilter(searchFilters, key));
+  };
 
-    const progressBar = e.currentTarget;
-    const clickPosition = e.clientX - progressBar.getBoundingClientRect().left;
-    const percentage = (clickPosition / progressBar.offsetWidth) * 100;
-    const newTime = (percentage / 100) * audioRef.current.duration;
+  /**
+   * EFFECT: Infinite scroll for search results
+   * Watches the sentinel below the track list and loads the next page as soon
+   * as it gets close to the viewport. Paused while a page failed to load so
+   * it doesn't hammer the API - the retry button takes over then.
+   */
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || searchPaging.failed) return;
 
-    audioRef.current.currentTime = newTime;
-    setProgress(percentage);
-  };
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMoreResults();
+      },
+      { rootMargin: "300px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  });
 
   // ============================================================================
-  // FAVORITES FUNCTIONS
-  // These functions manage the user's favorite tracks
+  // PLAYBACK CONTROL FUNCTIONS
+  // These functions control the audio playback experience
   // ============================================================================
 
   /**
-   * toggleFavorite - Adds or removes a track from favorites
-   * @param {Object} track - The track to toggle
+   * startTrack - Loads a track into the player and starts it
+   * @param {Object} track - The track object from Deezer API containing preview URL
    *
-   * If the track is already favorited, remove it.
-   * If not, add it to the favorites array.
+   * This function:
+   * 1. Sets the current track to the selected one
+   * 2. Updates the audio source
+   * 3. Starts playback
+   * 4. Adds track to recently played list
+   *
+   * It doesn't touch the queue - use playTrack for a click on a song.
+   * @param {Object} options - { crossfade: true } fades in from the last song,
+   *   { startAt: seconds } starts part-way through
+   * @param {Object} playingQueue - The queue the song plays from, used to
+   *   skip ahead if it can't play (defaults to the current queue)
    */
-  const toggleFavorite = (track) => {
-    setFavorites((prev) => {
-      const isFavorited = prev.some((fav) => fav.id === track.id);
+  const startTrack = (track, options = {}, playingQueue = queue) => {
+    const requestId = ++playRequestRef.current;
+    refreshedTrackRef.current = null;
+
+    // Local files play from this visit's blob URL (see player/localFiles.js)
+    if (track.local && !getPlayableUrl(track)) {
+      skipUnplayable(track, `"${track.title}" is no longer in your local files`, playingQueue);
+      return;
+    }
+
+    setCurrentTrack(track);
+    setIsPlaying(true);
+    setPlaybackTime({ current: options.startAt || 0, duration: 0 });
+
+    // The song being replaced was cut short (one that finished was already
+    // logged by handleTrackEnding)
+    finishListen("skipped");
+    listenTrackerRef.current?.start(track);
+
+    // Saved Deezer tracks can carry an expired preview URL - get a new one first
+    if (needsFreshPreview(track)) {
+      refreshPreview(track, options, requestId);
+      return;
+    }
+    engineRef.current?.play(getPlayableUrl(track), options);
+  };
+
+  // ============================================================================
+  // PLAYBACK ERROR RECOVERY
+  // Expired previews are refreshed from /track/{id}; songs that still can't
+  // play are marked unavailable and skipped
+  // ============================================================================
+
+  /**
+   * finishListen - Writes the current play to the history
+   * @param {string} outcome - "completed", "skipped" or "stopped"
+   */
+  const finishListen = (outcome) => {
+    const entry = listenTrackerRef.current?.finish(outcome);
+    if (entry) setHistory((prev) => addHistoryEntry(prev, entry));
+  };
+
+  /**
+   * updateStoredTrack - Puts a refreshed copy of a track everywhere it's kept
+   * (favorites, playlists, history and the queue), so the fresh preview URL
+   * is used next time too
+   */
+  const updateStoredTrack = (fresh) => {
+    const update = (list) =>
+      list.some((t) => t.id === fresh.id)
+        ? list.map((t) => (t.id === fresh.id ? { ...t, preview: fresh.preview } : t))
+        : list;
+    setFavorites(update);
+    setHistory((prev) =>
+      prev.some((entry) => entry.track.id === fresh.id)
+        ? prev.map((entry) =>
+            entry.track.id === fresh.id
+              ? { ...entry, track: { ...entry.track, preview: fresh.preview } }
+              : entry
+          )
+        : prev
+    );
+    setPlaylists((prev) => prev.map((p) => ({ ...p, tracks: update(p.tracks) })));
+    setQueue((prev) => replaceTrack(prev, fresh));
+  };
+
+  /**
+   * refreshPreview - Gets a fresh preview URL for a song, then plays it
+   * Runs after an await, so it only uses state setters and the latest
+   * handlers - anything else from this render could be out of date.
+   * @param {Object} track - The song to refresh
+   * @param {Object} options - Passed on to the engine (crossfade, startAt)
+   * @param {number} requestId - playRequestRef value when the song started
+   */
+  const refreshPreview = async (track, options, requestId) => {
+    refreshedTrackRef.current = track.id;
+    refreshingRequestRef.current = requestId;
+    const result = await fetchFreshPreview(track);
+    if (refreshingRequestRef.current === requestId) refreshingRequestRef.current = null;
+    // Another song was started while this was loading
+    if (requestId !== playRequestRef.current) return;
+
+    if (!result.ok) {
+      engineHandlersRef.current.onUnplayable(
+        track,
+        result.unavailable
+          ? `"${track.title}" has no preview available`
+          : `Couldn't load "${track.title}" - check your connection`
+      );
+      return;
+    }
+    updateStoredTrack(result.track);
+    setCurrentTrack(result.track);
+    engineRef.current?.play(result.track.preview, options);
+  };
+
+  /**
+   * skipUnplayable - Marks a song unavailable and moves on to the next song
+   * that isn't (following shuffle and repeat), or stops if there is none
+   * @param {Object} track - The song that failed
+   * @param {string} message - What to tell the user
+   * @param {Object} fromQueue - The queue it was playing from
+   */
+  const skipUnplayable = (track, message, fromQueue = queue) => {
+    const unplayable = new Set([...unavailableIds, track.id]);
+    setUnavailableIds([...unplayable]);
+    // Local files that are gone would fail straight away too
+    const canTry = (item) =>
+      !unplayable.has(item.track.id) && (!item.track.local || getPlayableUrl(item.track));
+
+    const wrap = repeatMode !== "off";
+    let next = stepQueue(fromQueue, 1, wrap);
+    for (let i = 0; next && i < fromQueue.items.length; i++) {
+      if (canTry(getCurrentItem(next))) break;
+      next = stepQueue(next, 1, wrap);
+    }
+
+    if (next && canTry(getCurrentItem(next))) {
+      showError(`${message} - skipping`, "error");
+      playFromQueue(next);
+    } else {
+      showError(message, "error");
+      engineRef.current?.pause();
+      setIsPlaying(false);
+    }
+  };
+
+  /**
+   * handlePlaybackError - The engine couldn't load or start the song
+   * @param {Error} error - MediaError, or the DOMException from play()
+   * @param {string} url - The URL that failed
+   */
+  const handlePlaybackError = (error, url) => {
+    if (!currentTrack) return;
+
+    // Autoplay policy - the song is fine, the browser wants a click first
+    if (error?.name === "NotAllowedError") {
+      setIsPlaying(false);
+      showError("Your browser blocked playback - press play to start", "error");
+      return;
+    }
+    // An older song failing after the user already moved on
+    if (url !== getPlayableUrl(currentTrack)) return;
+
+    // A Deezer preview gets one fresh URL before it counts as unavailable
+    if (!currentTrack.local && refreshedTrackRef.current !== currentTrack.id) {
+      refreshPreview(currentTrack, { startAt: playbackTime.current }, playRequestRef.current);
+      return;
+    }
+    skipUnplayable(currentTrack, `"${currentTrack.title}" couldn't be played`);
+  };
+
+  /**
+   * playTrack - Starts playing a selected track from a list
+   * @param {Object} track - The track that was clicked
+   * @param {Array} list - The list it was clicked in; it becomes the queue
+   * @param {Object} source - Where playback started ({ type, id, label })
+   */
+  const playTrack = (track, list = [track], source = null) => {
+    const startIndex = list.findIndex((t) => t.id === track.id);
+    const nextQueue =
+      startIndex === -1
+        ? createQueue([track], 0, source)
+        : createQueue(list, startIndex, source);
+    const playingQueue = shuffle ? shuffleQueue(nextQueue) : nextQueue;
+    setQueue(playingQueue);
+    startTrack(track, {}, playingQueue);
+  };
+
+  /**
+   * shuffleAll - Plays a whole list shuffled, starting with a random song
+   * Turns shuffle on, so the rest of the queue stays shuffled too.
+   * @param {Array} list - Songs to play
+   * @param {Object} source - Where playback started ({ type, id, label })
+   */
+  const shuffleAll = (list, source = null) => {
+    if (list.length === 0) return;
+    const startIndex = Math.floor(Math.random() * list.length);
+    const playingQueue = shuffleQueue(createQueue(list, startIndex, source));
+    setShuffle(true);
+    setQueue(playingQueue);
+    startTrack(list[startIndex], {}, playingQueue);
+  };
+
+  /**
+   * playFromQueue - Moves to a new queue state and plays its current item
+   */
+  const playFromQueue = (nextQueue, options) => {
+    const item = nextQueue && getCurrentItem(nextQueue);
+    if (!item) return;
+    setQueue(nextQueue);
+    startTrack(item.track, options, nextQueue);
+  };
+
+  /**
+   * jumpToQueueItem - Plays a song from the Up Next list right away
+   */
+  const jumpToQueueItem = (uid) => {
+    playFromQueue(jumpTo(queue, uid));
+  };
+
+  /**
+   * queueTrack - Adds a song to the queue without interrupting playback
+   * @param {Object} track - The song to add
+   * @param {string} where - "next" plays it after the current song,
+   *                         "end" after the other songs the user queued
+   */
+  const queueTrack = (track, where) => {
+    setQueue((prev) =>
+      where === "next" ? playNextInQueue(prev, track) : addToQueue(prev, track)
+    );
+    setShowAddToPlaylist(null);
+    showError(
+      where === "next" ? `"${track.title}" will play next` : `Added "${track.title}" to queue`,
+      "success"
+    );
+  };
+
+  /**
+   * togglePlayPause - Toggles between play and pause states
+   * Called when user clicks the play/pause button in the Now Playing bar
+   */
+  const togglePlayPause = () => {
+    if (!engineRef.current || !currentTrack) return;
+
+    if (isPlaying) {
+      engineRef.current.pause();
+    } else {
+      engineRef.current.resume();
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  /**
+   * restartTrack - Plays the loaded song again from the beginning
+   */
+  const restartTrack = () => {
+    if (!engineRef.current) return;
+    engineRef.current.seek(0);
+    engineRef.current.resume();
+  };
+
+  /**
+   * playNext - Skips to the next song in the queue
+   * Loops back to the first song at the end unless repeat is off.
+   */
+  const playNext = () => {
+    if (!currentTrack) return;
+    playFromQueue(stepQueue(queue, 1, repeatMode !== "off"));
+  };
+
+  /**
+   * playPrevious - Goes back to the previous song in the queue
+   * At the first song it loops to the last one (repeat all) or restarts.
+   */
+  const playPrevious = () => {
+    if (!currentTrack) return;
+    const previous = stepQueue(queue, -1, repeatMode === "all");
+    if (previous) {
+      playFromQueue(previous);
+    } else {
+      restartTrack();
+    }
+  };
+
+  /**
+   * handleTrackEnding - Decides what plays when a song is about to finish
+   * The engine calls this at the start of the crossfade (or at the end with
+   * no crossfade). Repeat one plays the song again, repeat all loops the
+   * queue, and with repeat off the last song just plays out.
+   */
+  const handleTrackEnding = () => {
+    finishListen("completed");
+
+    // The sleep timer stops here - let this song play out (and fade)
+    if (isLastTrack(sleepTimer)) return;
+    if (sleepTimer) setSleepTimer(countDownTrack(sleepTimer));
+
+    const next =
+      repeatMode === "one" ? queue : stepQueue(queue, 1, repeatMode === "all");
+    playFromQueue(next, { crossfade: true });
+  };
+
+  /**
+   * handlePlayStateChange - Keeps isPlaying in sync with the engine
+   * When a song ends and nothing follows, a "stop after N songs" sleep timer
+   * is done too.
+   */
+  const handlePlayStateChange = (playing, ended) => {
+    // The next song is still getting a fresh preview URL - it's about to
+    // take over, so playback hasn't stopped
+    if (ended && refreshingRequestRef.current === playRequestRef.current) return;
+    setIsPlaying(playing);
+    // A song that failed before played after all (e.g. on a retry)
+    if (playing && currentTrack && unavailableIds.includes(currentTrack.id)) {
+      setUnavailableIds((prev) => prev.filter((id) => id !== currentTrack.id));
+    }
+    if (ended && sleepTimer?.mode === "tracks") {
+      setSleepTimer(null);
+      if (isLastTrack(sleepTimer)) {
+        showError("Sleep timer ended - playback stopped", "success");
+      }
+    }
+  };
+
+  /**
+   * startSleepTimer - Starts a sleep timer (replacing any running one)
+   */
+  const startSleepTimer = (timer) => {
+    setSleepClock(Date.now());
+    setSleepTimer(timer);
+  };
+
+  /**
+   * toggleShuffle - Turns shuffle on or off for the current queue too
+   */
+  const toggleShuffle = () => {
+    const enabled = !shuffle;
+    setShuffle(enabled);
+    setQueue((prev) => (enabled ? shuffleQueue(prev) : unshuffleQueue(prev)));
+  };
+
+  /**
+   * cycleRepeat - Steps through repeat off -> all -> one -> off
+   */
+  const cycleRepeat = () => {
+    const index = REPEAT_MODES.indexOf(repeatMode);
+    setRepeatMode(REPEAT_MODES[(index + 1) % REPEAT_MODES.length]);
+  };
+
+  /**
+   * getAnalyser - Hands the engine's AnalyserNode to the visualizer
+   * Memoized so the visualizer's animation loop isn't restarted every render.
+   */
+  const getAnalyser = useCallback(() => engineRef.current?.getAnalyser() ?? null, []);
+
+  /**
+   * saveEqPreset - Saves the current equalizer gains under a name
+   * Saving with the name of an existing user preset overwrites it.
+   */
+  const saveEqPreset = (name) => {
+    if (BUILT_IN_PRESETS.some((preset) => preset.name === name)) {
+      showError(`"${name}" is a built-in preset, pick another name`, "error");
+      return;
+    }
+    const preset = { name, gains: eqSettings.gains, preamp: eqSettings.preamp };
+    setEqPresets((prev) => [...prev.filter((p) => p.name !== name), preset]);
+    setEqSettings((prev) => ({ ...prev, preset: name }));
+    showError(`Saved preset "${name}"`, "success");
+  };
+
+  /**
+   * deleteEqPreset - Removes a user preset (the current gains stay as they are)
+   */
+  const deleteEqPreset = (name) => {
+    setEqPresets((prev) => prev.filter((p) => p.name !== name));
+    setEqSettings((prev) => ({ ...prev, preset: null }));
+  };
+
+  /**
+   * handleProgressClick - Allows users to seek by clicking the progress bar
+   * @param {Event} e - The click event
+   */
+  const handleProgressClick = (e) => {
+    if (!engineRef.current || !playbackTime.duration) return;
+
+    const progressBar = e.currentTarget;
+    const clickPosition = e.clientX - progressBar.getBoundingClientRect().left;
+    const percentage = (clickPosition / progressBar.offsetWidth) * 100;
+    const newTime = (percentage / 100) * playbackTime.duration;
+
+    seekTo(newTime);
+  };
+
+  /**
+   * seekTo - Jumps to a position in the playing song
+   * @param {number} seconds - Target position (clamped to the song)
+   */
+  const seekTo = (seconds) => {
+    if (!engineRef.current || !playbackTime.duration) return;
+    const time = Math.min(Math.max(seconds, 0), playbackTime.duration);
+    engineRef.current.seek(time);
+    setPlaybackTime((prev) => ({ ...prev, current: time }));
+  };
+
+  // ============================================================================
+  // FAVORITES FUNCTIONS
+  // These functions manage the user's favorite tracks
+  // ============================================================================
+
+  /**
+   * toggleFavorite - Adds or removes a track from favorites
+   * @param {Object} track - The track to toggle
+   *
+   * If the track is already favorited, remove it.
+   * If not, add it to the favorites array with the date it was added.
+   */
+  const toggleFavorite = (track) => {
+    setFavorites((prev) => {
+      const isFavorited = prev.some((fav) => fav.id === track.id);
       if (isFavorited) {
         // Remove from favorites
         return prev.filter((fav) => fav.id !== track.id);
       } else {
         // Add to favorites
-        return [...prev, track];
+        return [...prev, { ...track, addedAt: Date.now() }];
       }
     });
   };
@@ -434,15 +1395,234 @@ function App() {
   const isFavorite = (trackId) => favorites.some((fav) => fav.id === trackId);
 
   /**
-   * formatTime - Converts seconds to MM:SS format for display
-   * @param {number} seconds - Time in seconds
-   * @returns {string} - Formatted time string
+   * formatSemitones - Formats a pitch shift, e.g. 2 -> "+2 st"
+   */
+  const formatSemitones = (value) => (value > 0 ? `+${value} st` : `${value} st`);
+
+  // ============================================================================
+  // NAVIGATION FUNCTIONS
+  // Artist, album (and other detail) pages replace the track list in the
+  // center column
+  // ============================================================================
+
+  /**
+   * openView - Shows a detail view and remembers the current one for "Back"
+   * @param {Object} view - e.g. { type: "artist", id: 27 }
+   */
+  const openView = (view) => {
+    if (centerView) {
+      setViewHistory((prev) => [...prev, centerView]);
+    }
+    setCenterView(view);
+    setSelectedPlaylist(null);
+    setShowMobileMenu(false);
+    window.scrollTo(0, 0);
+  };
+
+  /**
+   * goBack - Returns to the previous detail view, or to the track list
+   */
+  const goBack = () => {
+    setCenterView(viewHistory.length > 0 ? viewHistory[viewHistory.length - 1] : null);
+    setViewHistory((prev) => prev.slice(0, -1));
+  };
+
+  /**
+   * replaceView - Updates the current view without adding a "Back" step
+   * Used for things like switching tabs inside the Browse view.
+   */
+  const replaceView = (view) => {
+    setCenterView(view);
+  };
+
+  /**
+   * closeCenterView - Goes straight back to the track list
+   */
+  const closeCenterView = () => {
+    setCenterView(null);
+    setViewHistory([]);
+  };
+
+  /**
+   * openArtist - Opens the artist page for a Deezer artist object
+   */
+  const openArtist = (artist) => {
+    if (!artist?.id) return;
+    openView({ type: "artist", id: artist.id });
+  };
+
+  /**
+   * openAlbum - Opens the album page for a Deezer album object
+   */
+  const openAlbum = (album) => {
+    if (!album?.id) return;
+    openView({ type: "album", id: album.id });
+  };
+
+  /**
+   * openBrowse - Opens the genre chart browser (all genres, top tracks)
+   */
+  const openBrowse = () => {
+    openView({ type: "browse", genreId: 0, tab: "tracks" });
+  };
+
+  /**
+   * openFavorites - Opens the list of favorited songs
+   */
+  const openFavorites = () => {
+    if (centerView?.type === "favorites") return;
+    openView({ type: "favorites" });
+  };
+
+  /**
+   * openHistory - Opens the full listening history
    */
-  const formatTime = (seconds) => {
-    if (!seconds || isNaN(seconds)) return "0:00";
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, "0")}`;
+  const openHistory = () => {
+    if (centerView?.type === "history") return;
+    openView({ type: "history" });
+  };
+
+  /**
+   * openStats - Opens the listening stats page
+   */
+  const openStats = () => {
+    if (centerView?.type === "stats") return;
+    openView({ type: "stats" });
+  };
+
+  /**
+   * openLocalFiles - Opens the list of songs added from the computer
+   */
+  const openLocalFiles = () => {
+    if (centerView?.type === "local") return;
+    openView({ type: "local" });
+  };
+
+  // ============================================================================
+  // BACKUP FUNCTIONS
+  // The library and settings to / from a JSON file (see storage/backup.js)
+  // ============================================================================
+
+  /**
+   * exportBackup - Downloads favorites, playlists, history and settings
+   */
+  const exportBackup = () => {
+    downloadBackup(createBackup({ favorites, playlists, history }));
+    showError("Backup downloaded", "success");
+  };
+
+  /**
+   * openBackupFile - Reads a picked backup and shows the restore preview
+   */
+  const openBackupFile = async (file) => {
+    try {
+      setPendingBackup(parseBackup(await file.text()));
+    } catch (error) {
+      if (!(error instanceof BackupError)) console.error("Error reading backup:", error);
+      showError(
+        error instanceof BackupError ? error.message : "Couldn't read that file",
+        "error"
+      );
+    }
+  };
+
+  /**
+   * restoreBackup - Saves the library chosen in the restore dialog
+   * Settings are read once at start-up, so restoring them reloads the page.
+   * @param {Object} library - The library after the restore (from planRestore)
+   * @param {boolean} restoreSettings - Whether to apply the backup's settings too
+   */
+  const restoreBackup = async ({ library, restoreSettings }) => {
+    try {
+      await replaceLibrary(library);
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      showError("Couldn't restore the backup - your library wasn't changed", "error");
+      return;
+    }
+    if (restoreSettings) {
+      applySettings(pendingBackup.settings);
+      window.location.reload();
+      return;
+    }
+    setPendingBackup(null);
+    showError("Library restored", "success");
+  };
+
+  // ============================================================================
+  // LOCAL FILE FUNCTIONS
+  // Songs the user adds from their computer (picked or dropped)
+  // ============================================================================
+
+  /**
+   * importFiles - Reads, stores and lists picked or dropped audio files
+   * @param {FileList} files - Anything that isn't audio is skipped
+   */
+  const importFiles = async (files) => {
+    setImportingFiles(true);
+    try {
+      const { tracks: added, skipped } = await addLocalFiles(files);
+      setLocalTracks((prev) => [
+        ...prev.filter((t) => !added.some((a) => a.id === t.id)),
+        ...added,
+      ]);
+      if (added.length > 0) {
+        showError(
+          `Added ${added.length} ${added.length === 1 ? "song" : "songs"} to Local Files` +
+            (skipped > 0 ? ` (${skipped} skipped)` : ""),
+          "success"
+        );
+        openLocalFiles();
+      } else {
+        showError("No playable audio files found", "error");
+      }
+    } catch (error) {
+      console.error("Error adding local files:", error);
+      showError("Couldn't save files in this browser", "error");
+    } finally {
+      setImportingFiles(false);
+      refreshStorageUsage();
+    }
+  };
+
+  /**
+   * deleteLocalFile - Removes a song from Local Files
+   * Favorites and playlists keep their entry; it just can't play any more.
+   */
+  const deleteLocalFile = async (track) => {
+    try {
+      await removeLocalFile(track.id);
+      setLocalTracks((prev) => prev.filter((t) => t.id !== track.id));
+      showError(`Removed "${track.title}" from Local Files`, "success");
+      refreshStorageUsage();
+    } catch (error) {
+      console.error("Error removing local file:", error);
+      showError("Couldn't remove that file", "error");
+    }
+  };
+
+  /**
+   * Drag and drop - files can be dropped anywhere on the app
+   * Only drags that carry files count, so dragging text or links is ignored.
+   */
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    if (!draggingFiles) setDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // relatedTarget is null once the pointer leaves the window
+    if (!e.relatedTarget) setDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setDraggingFiles(false);
+    if (e.dataTransfer.files.length > 0) importFiles(e.dataTransfer.files);
   };
 
   // ============================================================================
@@ -519,31 +1699,393 @@ function App() {
   };
 
   /**
-   * removeTrackFromPlaylist - Removes a track from a playlist
+   * addTracksToPlaylist - Adds several tracks (e.g. a whole album) at once
+   * Songs already in the playlist are skipped so nothing is duplicated.
+   */
+  const addTracksToPlaylist = (playlistId, newTracks) => {
+    const playlist = playlists.find((p) => p.id === playlistId);
+    if (!playlist) return;
+
+    const existingIds = new Set(playlist.tracks.map((t) => t.id));
+    const tracksToAdd = newTracks.filter((t) => !existingIds.has(t.id));
+    if (tracksToAdd.length === 0) {
+      showError("These songs are already in the playlist", "error");
+      return;
+    }
+
+    setPlaylists((prev) =>
+      prev.map((p) =>
+        p.id === playlistId ? { ...p, tracks: [...p.tracks, ...tracksToAdd] } : p
+      )
+    );
+    showError(
+      `Added ${tracksToAdd.length} song${tracksToAdd.length === 1 ? "" : "s"} to "${playlist.name}"`,
+      "success"
+    );
+  };
+
+  /**
+   * removeTrackFromPlaylist - Removes a track from a playlist
+   */
+  const removeTrackFromPlaylist = (playlistId, trackId) => {
+    setPlaylists((prev) =>
+      prev.map((playlist) => {
+        if (playlist.id === playlistId) {
+          return {
+            ...playlist,
+            tracks: playlist.tracks.filter((t) => t.id !== trackId),
+          };
+        }
+        return playlist;
+      })
+    );
+    showError("Song removed from playlist", "success");
+  };
+
+  /**
+   * getPlaylistTracks - Gets tracks for a selected playlist
+   */
+  const getPlaylistTracks = () => {
+    if (!selectedPlaylist) return [];
+    const playlist = playlists.find((p) => p.id === selectedPlaylist);
+    return playlist ? playlist.tracks : [];
+  };
+
+  /**
+   * renderTrackActions - The "+" (queue / add to playlist) and heart buttons for a row
+   * Shared by every track list so they all behave the same way.
+   * @param {Object} track - The track the buttons act on
+   */
+  const renderTrackActions = (track) => (
+    <>
+      <div style={{ position: "relative" }}>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setShowAddToPlaylist(
+              showAddToPlaylist === track.id ? null : track.id
+            );
+          }}
+          style={{
+            background: "rgba(139, 92, 246, 0.2)",
+            border: "none",
+            cursor: "pointer",
+            padding: "6px",
+            borderRadius: "6px",
+            color: "#a78bfa",
+            transition: "all 0.2s ease",
+          }}
+          onMouseOver={(e) => {
+            e.currentTarget.style.background = "rgba(139, 92, 246, 0.3)";
+            e.currentTarget.style.color = "#c4b5fd";
+          }}
+          onMouseOut={(e) => {
+            e.currentTarget.style.background = "rgba(139, 92, 246, 0.2)";
+            e.currentTarget.style.color = "#a78bfa";
+          }}
+        >
+          <FaPlus style={{ fontSize: "14px" }} />
+        </button>
+        {showAddToPlaylist === track.id && (
+          <div
+            data-playlist-dropdown
+            style={{
+              position: "absolute",
+              right: 0,
+              top: "100%",
+              marginTop: "8px",
+              background: "rgba(15, 10, 30, 0.98)",
+              backdropFilter: "blur(20px)",
+              border: "1px solid rgba(255,255,255,0.1)",
+              borderRadius: "12px",
+              padding: "8px",
+              minWidth: "200px",
+              zIndex: 1000,
+              boxShadow: "0 8px 32px rgba(0,0,0,0.4)",
+              animation: "slideDown 0.2s ease-out",
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            {[
+              { where: "next", label: "Play next" },
+              { where: "end", label: "Add to queue" },
+            ].map(({ where, label }) => (
+              <button
+                key={where}
+                onClick={() => queueTrack(track, where)}
+                style={{
+                  width: "100%",
+                  padding: "8px 12px",
+                  borderRadius: "8px",
+                  border: "none",
+                  background: "transparent",
+                  color: "rgba(255,255,255,0.8)",
+                  cursor: "pointer",
+                  textAlign: "left",
+                  fontSize: "14px",
+                  transition: "all 0.2s ease",
+                }}
+                onMouseOver={(e) => {
+                  e.currentTarget.style.background = "rgba(139, 92, 246, 0.2)";
+                }}
+                onMouseOut={(e) => {
+                  e.currentTarget.style.background = "transparent";
+                }}
+              >
+                {label}
+              </button>
+            ))}
+            {playlists.length > 0 && (
+              <p
+                style={{
+                  fontSize: "12px",
+                  color: "rgba(255,255,255,0.5)",
+                  margin: "8px 0 8px 8px",
+                  paddingTop: "8px",
+                  borderTop: "1px solid rgba(255,255,255,0.08)",
+                  fontWeight: 500,
+                }}
+              >
+                Add to Playlist:
+              </p>
+            )}
+            {playlists.map((playlist) => (
+              <button
+                key={playlist.id}
+                onClick={() => addTrackToPlaylist(playlist.id, track)}
+                style={{
+                  width: "100%",
+                  padding: "8px 12px",
+                  borderRadius: "8px",
+                  border: "none",
+                  background: "transparent",
+                  color: "rgba(255,255,255,0.8)",
+                  cursor: "pointer",
+                  textAlign: "left",
+                  fontSize: "14px",
+                  transition: "all 0.2s ease",
+                }}
+                onMouseOver={(e) => {
+                  e.currentTarget.style.background = "rgba(139, 92, 246, 0.2)";
+                }}
+                onMouseOut={(e) => {
+                  e.currentTarget.style.background = "transparent";
+                }}
+              >
+                {playlist.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          toggleFavorite(track);
+        }}
+        style={{
+          background: "none",
+          border: "none",
+          cursor: "pointer",
+          padding: "4px",
+          transition: "transform 0.2s ease",
+        }}
+        onMouseOver={(e) => {
+          e.currentTarget.style.transform = "scale(1.1)";
+        }}
+        onMouseOut={(e) => {
+          e.currentTarget.style.transform = "scale(1)";
+        }}
+      >
+        {isFavorite(track.id) ? (
+          <FaHeart
+            style={{ fontSize: "16px", color: "#ec4899" }}
+          />
+        ) : (
+          <FaRegHeart
+            style={{
+              fontSize: "16px",
+              color: "rgba(255,255,255,0.3)",
+            }}
+          />
+        )}
+      </button>
+    </>
+  );
+
+  /**
+   * renderCenterView - Renders the detail view picked by centerView
    */
-  const removeTrackFromPlaylist = (playlistId, trackId) => {
-    setPlaylists((prev) =>
-      prev.map((playlist) => {
-        if (playlist.id === playlistId) {
-          return {
-            ...playlist,
-            tracks: playlist.tracks.filter((t) => t.id !== trackId),
-          };
-        }
-        return playlist;
-      })
-    );
-    showError("Song removed from playlist", "success");
+  const renderCenterView = () => {
+    switch (centerView?.type) {
+      case "artist":
+        return (
+          <ArtistView
+            key={centerView.id}
+            artistId={centerView.id}
+            currentTrackId={currentTrack?.id}
+            unavailableIds={unavailableIds}
+            isPlaying={isPlaying}
+            onPlayTrack={playTrack}
+            onOpenArtist={openArtist}
+            onOpenAlbum={openAlbum}
+            renderTrackActions={renderTrackActions}
+            onBack={goBack}
+          />
+        );
+      case "album":
+        return (
+          <AlbumView
+            key={centerView.id}
+            albumId={centerView.id}
+            currentTrackId={currentTrack?.id}
+            unavailableIds={unavailableIds}
+            isPlaying={isPlaying}
+            playlists={playlists}
+            onPlayTrack={playTrack}
+            onAddAllToPlaylist={addTracksToPlaylist}
+            onOpenArtist={openArtist}
+            renderTrackActions={renderTrackActions}
+            onBack={goBack}
+          />
+        );
+      case "browse":
+        return (
+          <BrowseView
+            genreId={centerView.genreId}
+            tab={centerView.tab}
+            currentTrackId={currentTrack?.id}
+            unavailableIds={unavailableIds}
+            isPlaying={isPlaying}
+            onChange={({ genreId, tab }) => replaceView({ type: "browse", genreId, tab })}
+            onPlayTrack={playTrack}
+            onOpenArtist={openArtist}
+            onOpenAlbum={openAlbum}
+            onError={(message) => showError(message, "error")}
+            renderTrackActions={renderTrackActions}
+            onBack={goBack}
+          />
+        );
+      case "favorites":
+        return (
+          <FavoritesView
+            favorites={favorites}
+            currentTrackId={currentTrack?.id}
+            unavailableIds={unavailableIds}
+            isPlaying={isPlaying}
+            onPlayTrack={playTrack}
+            onShuffleAll={shuffleAll}
+            onOpenArtist={openArtist}
+            onOpenAlbum={openAlbum}
+            renderTrackActions={renderTrackActions}
+            onBack={goBack}
+          />
+        );
+      case "history":
+        return (
+          <HistoryView
+            history={history}
+            currentTrackId={currentTrack?.id}
+            unavailableIds={unavailableIds}
+            isPlaying={isPlaying}
+            onPlayTrack={playTrack}
+            onDeleteEntry={(entryId) => setHistory((prev) => removeHistoryEntry(prev, entryId))}
+            onClear={(since) => setHistory((prev) => clearHistorySince(prev, since))}
+            onOpenArtist={openArtist}
+            onOpenAlbum={openAlbum}
+            renderTrackActions={renderTrackActions}
+            onBack={goBack}
+          />
+        );
+      case "stats":
+        return (
+          <StatsView
+            history={history}
+            onPlayTrack={playTrack}
+            onOpenArtist={openArtist}
+            onOpenAlbum={openAlbum}
+            onError={(message) => showError(message, "error")}
+            onBack={goBack}
+          />
+        );
+      case "local":
+        return (
+          <LocalFilesView
+            tracks={localTracks}
+            importing={importingFiles}
+            currentTrackId={currentTrack?.id}
+            unavailableIds={unavailableIds}
+            isPlaying={isPlaying}
+            onPlayTrack={playTrack}
+            onAddFiles={importFiles}
+            onRemove={deleteLocalFile}
+            renderTrackActions={renderTrackActions}
+            onBack={goBack}
+          />
+        );
+      default:
+        return null;
+    }
   };
 
+  // Sleep timer countdown - the last song's time left is in real seconds
+  const trackSecondsLeft = playbackTime.duration
+    ? (playbackTime.duration - playbackTime.current) / playbackRate
+    : SLEEP_FADE_SECONDS;
+  const sleepSecondsLeft = getSecondsLeft(sleepTimer, sleepClock, trackSecondsLeft);
+  const sleepCountdown = describeSleepTimer(sleepTimer, sleepSecondsLeft);
+
   /**
-   * getPlaylistTracks - Gets tracks for a selected playlist
+   * EFFECT: Fade the sound out over the sleep timer's last 30 seconds
    */
-  const getPlaylistTracks = () => {
-    if (!selectedPlaylist) return [];
-    const playlist = playlists.find((p) => p.id === selectedPlaylist);
-    return playlist ? playlist.tracks : [];
-  };
+  const sleepFadeLevel = getFadeLevel(sleepSecondsLeft);
+  useEffect(() => {
+    engineRef.current?.setFadeLevel(sleepFadeLevel);
+  }, [sleepFadeLevel]);
+
+  // OS media controls (media keys, headsets, lock screen)
+  useMediaSession({
+    track: currentTrack,
+    isPlaying,
+    position: { ...playbackTime, rate: playbackRate },
+    actions: {
+      play: () => !isPlaying && togglePlayPause(),
+      pause: () => isPlaying && togglePlayPause(),
+      stop: () => isPlaying && togglePlayPause(),
+      nexttrack: playNext,
+      previoustrack: playPrevious,
+      seekto: ({ seekTime }) => seekTo(seekTime),
+      seekbackward: ({ seekOffset }) => seekTo(playbackTime.current - (seekOffset || 10)),
+      seekforward: ({ seekOffset }) => seekTo(playbackTime.current + (seekOffset || 10)),
+    },
+  });
+
+  // Keyboard shortcuts (bindings can be changed in the "?" overlay)
+  useKeyboardShortcuts(
+    keymap,
+    {
+      togglePlay: togglePlayPause,
+      next: playNext,
+      previous: playPrevious,
+      seekBackward: () => seekTo(playbackTime.current - 5),
+      seekForward: () => seekTo(playbackTime.current + 5),
+      volumeUp: () => {
+        setVolume((prev) => Math.min(Math.round((prev + 0.05) * 100) / 100, 1));
+        setIsMuted(false);
+      },
+      volumeDown: () => {
+        setVolume((prev) => Math.max(Math.round((prev - 0.05) * 100) / 100, 0));
+      },
+      mute: () => setIsMuted((prev) => !prev),
+      favorite: () => currentTrack && toggleFavorite(currentTrack),
+      search: () => {
+        searchInputRef.current?.focus();
+        searchInputRef.current?.select();
+      },
+      help: () => setShowShortcuts((prev) => !prev),
+    },
+    !showLanding
+  );
 
   // ============================================================================
   // RENDER SECTION
@@ -555,6 +2097,23 @@ function App() {
   // Beautiful welcome screen shown when user first opens the app
   // Using inline styles for guaranteed compatibility
   // ============================================================================
+
+  // Nothing to show until it's known whether there's a session to resume
+  // (a quick database read) - avoids flashing the landing page first
+  if (showLanding && savedSession === undefined) return null;
+
+  // Returning users with something in the player get "Continue listening"
+  if (showLanding && savedSession) {
+    return (
+      <ContinueListening
+        session={savedSession}
+        fading={isTransitioning}
+        onContinue={continueSession}
+        onStartFresh={startFresh}
+      />
+    );
+  }
+
   if (showLanding) {
     return (
       <div
@@ -795,6 +2354,25 @@ function App() {
     ? tracks
     : trendingTracks;
 
+  // Current playback progress (0-100%) for the progress bar
+  const progress = playbackTime.duration
+    ? (playbackTime.current / playbackTime.duration) * 100
+    : 0;
+
+  // Where songs started from the main list play from (shown in Up Next)
+  const displaySource = selectedPlaylist
+    ? {
+        type: "playlist",
+        id: selectedPlaylist,
+        label: playlists.find((p) => p.id === selectedPlaylist)?.name,
+      }
+    : tracks.length > 0
+    ? { type: "search", label: `"${searchPaging.query}"` }
+    : { type: "trending", label: "Trending Now" };
+
+  // Advanced search filters shown as removable chips above the results
+  const filterChips = getFilterChips(searchFilters);
+
   // Get current playlist name for display
   const selectedPlaylistName = selectedPlaylist
     ? playlists.find((p) => p.id === selectedPlaylist)?.name
@@ -809,17 +2387,39 @@ function App() {
         color: "white",
         fontFamily: "'Outfit', system-ui, sans-serif",
       }}
+      onDragEnter={handleDragOver}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
     >
-      {/* Hidden audio element */}
-      {currentTrack && (
-        <audio
-          ref={audioRef}
-          src={currentTrack.preview}
-          onTimeUpdate={handleTimeUpdate}
-          onEnded={playNext}
-          onPlay={() => setIsPlaying(true)}
-          onPause={() => setIsPlaying(false)}
-        />
+      {/* ================================================================
+          DROP OVERLAY - shown while audio files are dragged over the app
+          ================================================================ */}
+      {draggingFiles && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            zIndex: 10002,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            background: "rgba(15, 10, 30, 0.8)",
+            backdropFilter: "blur(6px)",
+            border: "3px dashed rgba(139, 92, 246, 0.7)",
+            pointerEvents: "none",
+          }}
+        >
+          <div style={{ textAlign: "center" }}>
+            <FaFolderOpen style={{ fontSize: "48px", color: "#a78bfa" }} />
+            <p style={{ fontSize: "20px", fontWeight: 500, margin: "16px 0 4px 0" }}>
+              Drop to add to Local Files
+            </p>
+            <p style={{ fontSize: "14px", color: "rgba(255,255,255,0.6)", margin: 0 }}>
+              MP3, FLAC, OGG and M4A
+            </p>
+          </div>
+        </div>
       )}
 
       {/* ================================================================
@@ -909,7 +2509,7 @@ function App() {
           className="search-container"
           style={{ flex: 1, maxWidth: "500px", margin: "0 24px" }}
         >
-          <div style={{ position: "relative" }}>
+          <div style={{ position: "relative" }} data-search-suggestions>
             <FaSearch
               style={{
                 position: "absolute",
@@ -920,14 +2520,26 @@ function App() {
               }}
             />
             <input
+              ref={searchInputRef}
               type="text"
               value={query}
-              onChange={(e) => setQuery(e.target.value)}
-              onKeyDown={(e) => e.key === "Enter" && searchMusic()}
+              onChange={(e) => handleQueryChange(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") searchMusic();
+                if (e.key === "Escape") {
+                  setShowSuggestions(false);
+                  e.currentTarget.blur();
+                }
+              }}
+              onFocus={() => {
+                if (query.trim().length >= MIN_LIVE_SEARCH_LENGTH) {
+                  setShowSuggestions(true);
+                }
+              }}
               placeholder="Search songs, artists, albums..."
               style={{
                 width: "100%",
-                padding: "12px 16px 12px 44px",
+                padding: "12px 48px 12px 44px",
                 borderRadius: "25px",
                 border: "1px solid rgba(255,255,255,0.1)",
                 background: "rgba(255,255,255,0.05)",
@@ -937,25 +2549,90 @@ function App() {
                 fontFamily: "'Outfit', system-ui, sans-serif",
               }}
             />
+            {/* Advanced search toggle */}
+            <button
+              className="advanced-search-btn"
+              onClick={() => setShowAdvancedSearch(!showAdvancedSearch)}
+              aria-label="Advanced search"
+              title="Advanced search"
+              style={{
+                position: "absolute",
+                right: "8px",
+                top: "50%",
+                transform: "translateY(-50%)",
+                width: "32px",
+                height: "32px",
+                borderRadius: "50%",
+                border: "none",
+                cursor: "pointer",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                background:
+                  showAdvancedSearch || filterChips.length > 0
+                    ? "rgba(139, 92, 246, 0.4)"
+                    : "transparent",
+                color: "white",
+              }}
+            >
+              <FaSlidersH style={{ fontSize: "13px" }} />
+            </button>
+            {showSuggestions && (
+              <SearchSuggestions
+                artists={suggestions.artists}
+                albums={suggestions.albums}
+                tracks={
+                  searchPaging.query === suggestions.query
+                    ? tracks.slice(0, SUGGESTION_LIMIT)
+                    : []
+                }
+                loading={suggestions.loading || loading}
+                onSelect={selectSuggestion}
+              />
+            )}
           </div>
         </div>
 
-        <button
-          style={{
-            width: "44px",
-            height: "44px",
-            borderRadius: "50%",
-            border: "1px solid rgba(255,255,255,0.1)",
-            background: "transparent",
-            color: "white",
-            cursor: "pointer",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-        >
-          <FaRegHeart style={{ fontSize: "18px" }} />
-        </button>
+        <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+          <button
+            onClick={() => setShowShortcuts(true)}
+            aria-label="Keyboard shortcuts"
+            title="Keyboard shortcuts (?)"
+            style={{
+              width: "44px",
+              height: "44px",
+              borderRadius: "50%",
+              border: "1px solid rgba(255,255,255,0.1)",
+              background: "transparent",
+              color: "rgba(255,255,255,0.7)",
+              cursor: "pointer",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+            }}
+          >
+            <FaKeyboard style={{ fontSize: "18px" }} />
+          </button>
+          <button
+            onClick={openFavorites}
+            aria-label="Favorites"
+            title="Favorites"
+            style={{
+              width: "44px",
+              height: "44px",
+              borderRadius: "50%",
+              border: "1px solid rgba(255,255,255,0.1)",
+              background: "transparent",
+              color: "white",
+              cursor: "pointer",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+            }}
+          >
+            <FaRegHeart style={{ fontSize: "18px" }} />
+          </button>
+        </div>
       </header>
 
       {/* ================================================================
@@ -1032,11 +2709,18 @@ function App() {
             PLAYLISTS
           </p>
 
-          {/* Favorites Card */}
+          {/* Favorites Card - opens the Favorites view */}
           <div
+            onClick={openFavorites}
             style={{
-              background: "rgba(255,255,255,0.03)",
-              border: "1px solid rgba(255,255,255,0.08)",
+              background:
+                centerView?.type === "favorites"
+                  ? "rgba(139, 92, 246, 0.2)"
+                  : "rgba(255,255,255,0.03)",
+              border:
+                centerView?.type === "favorites"
+                  ? "1px solid rgba(139, 92, 246, 0.4)"
+                  : "1px solid rgba(255,255,255,0.08)",
               borderRadius: "12px",
               padding: "16px",
               marginBottom: "12px",
@@ -1075,22 +2759,31 @@ function App() {
             </div>
           </div>
 
-          {/* Recently Played Card */}
+          {/* Recently Played Card - the header opens the full History view */}
           <div
             style={{
-              background: "rgba(255,255,255,0.03)",
-              border: "1px solid rgba(255,255,255,0.08)",
+              background:
+                centerView?.type === "history"
+                  ? "rgba(139, 92, 246, 0.2)"
+                  : "rgba(255,255,255,0.03)",
+              border:
+                centerView?.type === "history"
+                  ? "1px solid rgba(139, 92, 246, 0.4)"
+                  : "1px solid rgba(255,255,255,0.08)",
               borderRadius: "12px",
               padding: "16px",
               marginBottom: "12px",
             }}
           >
             <div
+              onClick={openHistory}
+              title="Open listening history"
               style={{
                 display: "flex",
                 alignItems: "center",
                 gap: "12px",
                 marginBottom: recentlyPlayed.length > 0 ? "12px" : "0",
+                cursor: "pointer",
               }}
             >
               <div
@@ -1120,7 +2813,7 @@ function App() {
                     margin: "2px 0 0 0",
                   }}
                 >
-                  {recentlyPlayed.length} songs
+                  {history.length} {history.length === 1 ? "play" : "plays"} • View history
                 </p>
               </div>
             </div>
@@ -1137,7 +2830,10 @@ function App() {
                   marginTop: "4px",
                 }}
                 onClick={() => {
-                  playTrack(track);
+                  playTrack(track, recentlyPlayed, {
+                    type: "recent",
+                    label: "Recently Played",
+                  });
                   setShowMobileMenu(false);
                 }}
                 onMouseOver={(e) =>
@@ -1179,6 +2875,158 @@ function App() {
             ))}
           </div>
 
+          {/* Stats Card - opens the listening stats page */}
+          <div
+            onClick={openStats}
+            style={{
+              background:
+                centerView?.type === "stats"
+                  ? "rgba(139, 92, 246, 0.2)"
+                  : "rgba(255,255,255,0.03)",
+              border:
+                centerView?.type === "stats"
+                  ? "1px solid rgba(139, 92, 246, 0.4)"
+                  : "1px solid rgba(255,255,255,0.08)",
+              borderRadius: "12px",
+              padding: "16px",
+              marginBottom: "12px",
+              cursor: "pointer",
+            }}
+          >
+            <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+              <div
+                style={{
+                  width: "40px",
+                  height: "40px",
+                  borderRadius: "10px",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  background:
+                    "linear-gradient(135deg, #f59e0b 0%, #ec4899 100%)",
+                }}
+              >
+                <MdInsights style={{ fontSize: "20px", color: "white" }} />
+              </div>
+              <div>
+                <p style={{ fontSize: "15px", fontWeight: 500, margin: 0 }}>
+                  Your Stats
+                </p>
+                <p
+                  style={{
+                    fontSize: "12px",
+                    color: "rgba(255,255,255,0.5)",
+                    margin: "2px 0 0 0",
+                  }}
+                >
+                  Top songs, habits and your year in review
+                </p>
+              </div>
+            </div>
+          </div>
+
+          {/* Browse Charts Card - opens the genre chart browser */}
+          <div
+            onClick={openBrowse}
+            style={{
+              background:
+                centerView?.type === "browse"
+                  ? "rgba(139, 92, 246, 0.2)"
+                  : "rgba(255,255,255,0.03)",
+              border:
+                centerView?.type === "browse"
+                  ? "1px solid rgba(139, 92, 246, 0.4)"
+                  : "1px solid rgba(255,255,255,0.08)",
+              borderRadius: "12px",
+              padding: "16px",
+              marginBottom: "12px",
+              cursor: "pointer",
+            }}
+          >
+            <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+              <div
+                style={{
+                  width: "40px",
+                  height: "40px",
+                  borderRadius: "10px",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  background:
+                    "linear-gradient(135deg, #f59e0b 0%, #ec4899 100%)",
+                }}
+              >
+                <FaCompass style={{ fontSize: "16px", color: "white" }} />
+              </div>
+              <div>
+                <p style={{ fontSize: "15px", fontWeight: 500, margin: 0 }}>
+                  Browse Charts
+                </p>
+                <p
+                  style={{
+                    fontSize: "12px",
+                    color: "rgba(255,255,255,0.5)",
+                    margin: "2px 0 0 0",
+                  }}
+                >
+                  Top music by genre
+                </p>
+              </div>
+            </div>
+          </div>
+
+          {/* Local Files Card - songs added from the computer */}
+          <div
+            onClick={openLocalFiles}
+            style={{
+              background:
+                centerView?.type === "local"
+                  ? "rgba(139, 92, 246, 0.2)"
+                  : "rgba(255,255,255,0.03)",
+              border:
+                centerView?.type === "local"
+                  ? "1px solid rgba(139, 92, 246, 0.4)"
+                  : "1px solid rgba(255,255,255,0.08)",
+              borderRadius: "12px",
+              padding: "16px",
+              marginBottom: "12px",
+              cursor: "pointer",
+            }}
+          >
+            <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+              <div
+                style={{
+                  width: "40px",
+                  height: "40px",
+                  borderRadius: "10px",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  background:
+                    "linear-gradient(135deg, #10b981 0%, #3b82f6 100%)",
+                }}
+              >
+                <FaFolderOpen style={{ fontSize: "16px", color: "white" }} />
+              </div>
+              <div>
+                <p style={{ fontSize: "15px", fontWeight: 500, margin: 0 }}>
+                  Local Files
+                </p>
+                <p
+                  style={{
+                    fontSize: "12px",
+                    color: "rgba(255,255,255,0.5)",
+                    margin: "2px 0 0 0",
+                  }}
+                >
+                  {localTracks.length > 0
+                    ? `${localTracks.length} ${localTracks.length === 1 ? "song" : "songs"}`
+                    : "Play music from your computer"}
+                </p>
+              </div>
+            </div>
+          </div>
+
           {/* Trending Now Card */}
           <div
             style={{
@@ -1240,7 +3088,10 @@ function App() {
                   marginTop: "4px",
                 }}
                 onClick={() => {
-                  playTrack(track);
+                  playTrack(track, trendingTracks, {
+                    type: "trending",
+                    label: "Trending Now",
+                  });
                   setShowMobileMenu(false);
                 }}
                 onMouseOver={(e) =>
@@ -1352,6 +3203,7 @@ function App() {
                     position: "relative",
                   }}
                   onClick={() => {
+                    closeCenterView();
                     setSelectedPlaylist(
                       selectedPlaylist === playlist.id ? null : playlist.id
                     );
@@ -1450,6 +3302,10 @@ function App() {
               ))}
             </>
           )}
+
+          {/* Backup / restore and the storage readout */}
+          <BackupControls onExport={exportBackup} onPickFile={openBackupFile} />
+          <StorageUsage usage={storageUsage} error={librarySaveError} />
         </aside>
 
         {/* ============================================================
@@ -1459,213 +3315,155 @@ function App() {
           className="main-content"
           style={{ padding: "24px", overflowY: "auto" }}
         >
-          <div
-            style={{
-              background: "rgba(255,255,255,0.03)",
-              border: "1px solid rgba(255,255,255,0.08)",
-              borderRadius: "16px",
-              padding: "20px",
-            }}
-          >
+          {showAdvancedSearch && (
+            <AdvancedSearchPanel
+              filters={searchFilters}
+              onApply={applySearchFilters}
+              onClose={() => setShowAdvancedSearch(false)}
+            />
+          )}
+
+          {centerView ? (
+            renderCenterView()
+          ) : (
             <div
               style={{
-                display: "flex",
-                alignItems: "center",
-                gap: "12px",
-                marginBottom: "20px",
+                background: "rgba(255,255,255,0.03)",
+                border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "16px",
+                padding: "20px",
               }}
             >
-              <svg
-                width="20"
-                height="20"
-                viewBox="0 0 24 24"
-                fill="rgba(255,255,255,0.6)"
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "12px",
+                  marginBottom: "20px",
+                }}
               >
-                <path d="M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z" />
-              </svg>
-              <h2 style={{ fontSize: "20px", fontWeight: 600, margin: 0 }}>
-                {selectedPlaylist
-                  ? selectedPlaylistName
-                  : tracks.length > 0
-                  ? "Search Results"
-                  : "All Songs"}
-              </h2>
-              {selectedPlaylist && (
-                <button
-                  onClick={() => setSelectedPlaylist(null)}
-                  style={{
-                    marginLeft: "auto",
-                    padding: "6px 12px",
-                    borderRadius: "8px",
-                    border: "1px solid rgba(255,255,255,0.2)",
-                    background: "rgba(255,255,255,0.05)",
-                    color: "rgba(255,255,255,0.7)",
-                    cursor: "pointer",
-                    fontSize: "13px",
-                    fontWeight: 500,
-                    transition: "all 0.2s ease",
-                  }}
-                  onMouseOver={(e) => {
-                    e.currentTarget.style.background = "rgba(255,255,255,0.1)";
-                    e.currentTarget.style.color = "white";
-                  }}
-                  onMouseOut={(e) => {
-                    e.currentTarget.style.background = "rgba(255,255,255,0.05)";
-                    e.currentTarget.style.color = "rgba(255,255,255,0.7)";
-                  }}
+                <svg
+                  width="20"
+                  height="20"
+                  viewBox="0 0 24 24"
+                  fill="rgba(255,255,255,0.6)"
                 >
-                  Back to All
-                </button>
-              )}
-            </div>
-
-            {loading && (
-              <div style={{ textAlign: "center", padding: "60px 40px" }}>
-                <div
-                  style={{
-                    display: "inline-block",
-                    width: "50px",
-                    height: "50px",
-                    border: "4px solid rgba(139, 92, 246, 0.2)",
-                    borderTopColor: "#8b5cf6",
-                    borderRadius: "50%",
-                    animation: "spin 0.8s linear infinite",
-                    marginBottom: "16px",
-                  }}
-                />
-                <p style={{ color: "rgba(255,255,255,0.6)", fontSize: "15px" }}>
-                  Searching for music...
-                </p>
+                  <path d="M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z" />
+                </svg>
+                <h2 style={{ fontSize: "20px", fontWeight: 600, margin: 0 }}>
+                  {selectedPlaylist
+                    ? selectedPlaylistName
+                    : tracks.length > 0
+                    ? "Search Results"
+                    : "All Songs"}
+                </h2>
+                {!selectedPlaylist && tracks.length > 0 && (
+                  <span
+                    style={{
+                      fontSize: "13px",
+                      color: "rgba(255,255,255,0.5)",
+                    }}
+                  >
+                    {tracks.length} of {searchPaging.total.toLocaleString()} results
+                  </span>
+                )}
+                {selectedPlaylist && (
+                  <button
+                    onClick={() => setSelectedPlaylist(null)}
+                    style={{
+                      marginLeft: "auto",
+                      padding: "6px 12px",
+                      borderRadius: "8px",
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: "rgba(255,255,255,0.05)",
+                      color: "rgba(255,255,255,0.7)",
+                      cursor: "pointer",
+                      fontSize: "13px",
+                      fontWeight: 500,
+                      transition: "all 0.2s ease",
+                    }}
+                    onMouseOver={(e) => {
+                      e.currentTarget.style.background = "rgba(255,255,255,0.1)";
+                      e.currentTarget.style.color = "white";
+                    }}
+                    onMouseOut={(e) => {
+                      e.currentTarget.style.background = "rgba(255,255,255,0.05)";
+                      e.currentTarget.style.color = "rgba(255,255,255,0.7)";
+                    }}
+                  >
+                    Back to All
+                  </button>
+                )}
               </div>
-            )}
 
-            {!loading &&
-              displayTracks.map((track) => (
+              {/* Active advanced search filters - click a chip to remove it */}
+              {!selectedPlaylist && filterChips.length > 0 && (
                 <div
-                  key={track.id}
                   style={{
                     display: "flex",
-                    alignItems: "center",
-                    gap: "14px",
-                    padding: "12px",
-                    borderRadius: "10px",
-                    cursor: "pointer",
-                    marginBottom: "4px",
-                    background:
-                      currentTrack?.id === track.id
-                        ? "rgba(139, 92, 246, 0.2)"
-                        : "transparent",
-                  }}
-                  onClick={() => playTrack(track)}
-                  onMouseOver={(e) => {
-                    if (currentTrack?.id !== track.id)
-                      e.currentTarget.style.background =
-                        "rgba(255,255,255,0.05)";
-                  }}
-                  onMouseOut={(e) => {
-                    if (currentTrack?.id !== track.id)
-                      e.currentTarget.style.background = "transparent";
+                    flexWrap: "wrap",
+                    gap: "8px",
+                    marginBottom: "16px",
                   }}
                 >
-                  <div style={{ position: "relative" }}>
-                    <img
-                      src={track.album.cover_small}
-                      alt={track.title}
-                      style={{
-                        width: "48px",
-                        height: "48px",
-                        borderRadius: "8px",
-                      }}
-                    />
-                    {currentTrack?.id === track.id && isPlaying && (
-                      <div
-                        style={{
-                          position: "absolute",
-                          inset: 0,
-                          background: "rgba(0,0,0,0.5)",
-                          borderRadius: "8px",
-                          display: "flex",
-                          alignItems: "center",
-                          justifyContent: "center",
-                        }}
-                      >
-                        <div
-                          style={{
-                            display: "flex",
-                            gap: "2px",
-                            alignItems: "flex-end",
-                          }}
-                        >
-                          <div
-                            style={{
-                              width: "3px",
-                              height: "12px",
-                              background: "#8b5cf6",
-                              borderRadius: "2px",
-                              animation: "pulse 0.5s infinite alternate",
-                            }}
-                          />
-                          <div
-                            style={{
-                              width: "3px",
-                              height: "16px",
-                              background: "#8b5cf6",
-                              borderRadius: "2px",
-                              animation: "pulse 0.5s infinite alternate 0.1s",
-                            }}
-                          />
-                          <div
-                            style={{
-                              width: "3px",
-                              height: "10px",
-                              background: "#8b5cf6",
-                              borderRadius: "2px",
-                              animation: "pulse 0.5s infinite alternate 0.2s",
-                            }}
-                          />
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                  <div style={{ flex: 1, minWidth: 0 }}>
-                    <p
+                  {filterChips.map((chip) => (
+                    <button
+                      key={chip.key}
+                      onClick={() => removeSearchFilter(chip.key)}
+                      title="Remove filter"
                       style={{
-                        fontSize: "15px",
+                        display: "inline-flex",
+                        alignItems: "center",
+                        gap: "6px",
+                        padding: "6px 12px",
+                        borderRadius: "20px",
+                        border: "1px solid rgba(139, 92, 246, 0.4)",
+                        background: "rgba(139, 92, 246, 0.15)",
+                        color: "#c4b5fd",
+                        cursor: "pointer",
+                        fontSize: "12px",
                         fontWeight: 500,
-                        margin: 0,
-                        overflow: "hidden",
-                        textOverflow: "ellipsis",
-                        whiteSpace: "nowrap",
-                      }}
-                    >
-                      {track.title}
-                    </p>
-                    <p
-                      style={{
-                        fontSize: "13px",
-                        color: "rgba(255,255,255,0.5)",
-                        margin: "2px 0 0 0",
                       }}
                     >
-                      {track.artist.name} • {track.album.title}
-                    </p>
-                  </div>
+                      {chip.label}
+                      <FaTimes style={{ fontSize: "10px" }} />
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {loading && (
+                <div style={{ textAlign: "center", padding: "60px 40px" }}>
                   <div
                     style={{
-                      display: "flex",
-                      alignItems: "center",
-                      gap: "16px",
+                      display: "inline-block",
+                      width: "50px",
+                      height: "50px",
+                      border: "4px solid rgba(139, 92, 246, 0.2)",
+                      borderTopColor: "#8b5cf6",
+                      borderRadius: "50%",
+                      animation: "spin 0.8s linear infinite",
+                      marginBottom: "16px",
                     }}
+                  />
+                  <p style={{ color: "rgba(255,255,255,0.6)", fontSize: "15px" }}>
+                    Searching for music...
+                  </p>
+                </div>
+              )}
+
+              {!loading &&
+                displayTracks.map((track) => (
+                  <TrackRow
+                    key={track.id}
+                    track={track}
+                    isCurrent={currentTrack?.id === track.id}
+                    unavailable={unavailableIds.includes(track.id)}
+                    isPlaying={isPlaying}
+                    onPlay={() => playTrack(track, displayTracks, displaySource)}
+                    onOpenArtist={openArtist}
+                    onOpenAlbum={openAlbum}
                   >
-                    <span
-                      style={{
-                        fontSize: "13px",
-                        color: "rgba(255,255,255,0.4)",
-                      }}
-                    >
-                      {Math.floor(track.duration / 60)}:
-                      {(track.duration % 60).toString().padStart(2, "0")}
-                    </span>
                     {selectedPlaylist ? (
                       <button
                         onClick={(e) => {
@@ -1693,156 +3491,75 @@ function App() {
                         <FaTrash style={{ fontSize: "14px" }} />
                       </button>
                     ) : (
-                      <>
-                        <div style={{ position: "relative" }}>
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              setShowAddToPlaylist(
-                                showAddToPlaylist === track.id ? null : track.id
-                              );
-                            }}
-                            style={{
-                              background: "rgba(139, 92, 246, 0.2)",
-                              border: "none",
-                              cursor: "pointer",
-                              padding: "6px",
-                              borderRadius: "6px",
-                              color: "#a78bfa",
-                              transition: "all 0.2s ease",
-                            }}
-                            onMouseOver={(e) => {
-                              e.currentTarget.style.background = "rgba(139, 92, 246, 0.3)";
-                              e.currentTarget.style.color = "#c4b5fd";
-                            }}
-                            onMouseOut={(e) => {
-                              e.currentTarget.style.background = "rgba(139, 92, 246, 0.2)";
-                              e.currentTarget.style.color = "#a78bfa";
-                            }}
-                          >
-                            <FaPlus style={{ fontSize: "14px" }} />
-                          </button>
-                          {showAddToPlaylist === track.id && playlists.length > 0 && (
-                            <div
-                              data-playlist-dropdown
-                              style={{
-                                position: "absolute",
-                                right: 0,
-                                top: "100%",
-                                marginTop: "8px",
-                                background: "rgba(15, 10, 30, 0.98)",
-                                backdropFilter: "blur(20px)",
-                                border: "1px solid rgba(255,255,255,0.1)",
-                                borderRadius: "12px",
-                                padding: "8px",
-                                minWidth: "200px",
-                                zIndex: 1000,
-                                boxShadow: "0 8px 32px rgba(0,0,0,0.4)",
-                                animation: "slideDown 0.2s ease-out",
-                              }}
-                              onClick={(e) => e.stopPropagation()}
-                            >
-                              <p
-                                style={{
-                                  fontSize: "12px",
-                                  color: "rgba(255,255,255,0.5)",
-                                  margin: "0 0 8px 8px",
-                                  fontWeight: 500,
-                                }}
-                              >
-                                Add to Playlist:
-                              </p>
-                              {playlists.map((playlist) => (
-                                <button
-                                  key={playlist.id}
-                                  onClick={() => addTrackToPlaylist(playlist.id, track)}
-                                  style={{
-                                    width: "100%",
-                                    padding: "8px 12px",
-                                    borderRadius: "8px",
-                                    border: "none",
-                                    background: "transparent",
-                                    color: "rgba(255,255,255,0.8)",
-                                    cursor: "pointer",
-                                    textAlign: "left",
-                                    fontSize: "14px",
-                                    transition: "all 0.2s ease",
-                                  }}
-                                  onMouseOver={(e) => {
-                                    e.currentTarget.style.background = "rgba(139, 92, 246, 0.2)";
-                                  }}
-                                  onMouseOut={(e) => {
-                                    e.currentTarget.style.background = "transparent";
-                                  }}
-                                >
-                                  {playlist.name}
-                                </button>
-                              ))}
-                            </div>
-                          )}
-                        </div>
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            toggleFavorite(track);
-                          }}
-                          style={{
-                            background: "none",
-                            border: "none",
-                            cursor: "pointer",
-                            padding: "4px",
-                            transition: "transform 0.2s ease",
-                          }}
-                          onMouseOver={(e) => {
-                            e.currentTarget.style.transform = "scale(1.1)";
-                          }}
-                          onMouseOut={(e) => {
-                            e.currentTarget.style.transform = "scale(1)";
-                          }}
-                        >
-                          {isFavorite(track.id) ? (
-                            <FaHeart
-                              style={{ fontSize: "16px", color: "#ec4899" }}
-                            />
-                          ) : (
-                            <FaRegHeart
-                              style={{
-                                fontSize: "16px",
-                                color: "rgba(255,255,255,0.3)",
-                              }}
-                            />
-                          )}
-                        </button>
-                      </>
+                      renderTrackActions(track)
                     )}
-                  </div>
-                </div>
-              ))}
+                  </TrackRow>
+                ))}
 
-            {!loading && displayTracks.length === 0 && (
-              <div style={{ textAlign: "center", padding: "60px 40px" }}>
+              {/* Infinite scroll sentinel - loads the next page of results */}
+              {!loading && !selectedPlaylist && searchPaging.nextIndex !== null && (
                 <div
-                  style={{
-                    fontSize: "48px",
-                    marginBottom: "16px",
-                    opacity: 0.5,
-                  }}
+                  ref={loadMoreRef}
+                  style={{ textAlign: "center", padding: "20px" }}
                 >
-                  🎵
+                  {searchPaging.failed ? (
+                    <button
+                      onClick={loadMoreResults}
+                      style={{
+                        padding: "8px 16px",
+                        borderRadius: "8px",
+                        border: "1px solid rgba(255,255,255,0.2)",
+                        background: "rgba(255,255,255,0.05)",
+                        color: "rgba(255,255,255,0.7)",
+                        cursor: "pointer",
+                        fontSize: "13px",
+                        fontWeight: 500,
+                      }}
+                    >
+                      Couldn't load more results - Try again
+                    </button>
+                  ) : (
+                    <div
+                      style={{
+                        display: "inline-block",
+                        width: "28px",
+                        height: "28px",
+                        border: "3px solid rgba(139, 92, 246, 0.2)",
+                        borderTopColor: "#8b5cf6",
+                        borderRadius: "50%",
+                        animation: "spin 0.8s linear infinite",
+                        opacity: searchPaging.loadingMore ? 1 : 0.4,
+                      }}
+                    />
+                  )}
                 </div>
-                <p style={{ color: "rgba(255,255,255,0.6)", fontSize: "16px", marginBottom: "8px" }}>
-                  {selectedPlaylist
-                    ? "This playlist is empty"
-                    : "No songs found. Try searching for something!"}
-                </p>
-                {selectedPlaylist && (
-                  <p style={{ color: "rgba(255,255,255,0.4)", fontSize: "14px" }}>
-                    Add songs using the "+" button on any track
+              )}
+
+              {!loading && displayTracks.length === 0 && (
+                <div style={{ textAlign: "center", padding: "60px 40px" }}>
+                  <div
+                    style={{
+                      fontSize: "48px",
+                      marginBottom: "16px",
+                      opacity: 0.5,
+                    }}
+                  >
+                    🎵
+                  </div>
+                  <p style={{ color: "rgba(255,255,255,0.6)", fontSize: "16px", marginBottom: "8px" }}>
+                    {selectedPlaylist
+                      ? "This playlist is empty"
+                      : "No songs found. Try searching for something!"}
                   </p>
-                )}
-              </div>
-            )}
-          </div>
+                  {selectedPlaylist && (
+                    <p style={{ color: "rgba(255,255,255,0.4)", fontSize: "14px" }}>
+                      Add songs using the "+" button on any track
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
         </main>
 
         {/* ============================================================
@@ -1859,17 +3576,14 @@ function App() {
               alignItems: "center",
             }}
           >
-            {/* Album Art */}
-            <img
-              src={currentTrack.album.cover_medium}
+            {/* Album Art with the visualizer */}
+            <Visualizer
+              image={currentTrack.album.cover_medium}
               alt={currentTrack.title}
-              style={{
-                width: "200px",
-                height: "200px",
-                borderRadius: "16px",
-                boxShadow: "0 20px 60px rgba(0,0,0,0.4)",
-                marginBottom: "24px",
-              }}
+              mode={visualizerMode}
+              onModeChange={setVisualizerMode}
+              isPlaying={isPlaying}
+              getAnalyser={getAnalyser}
             />
 
             {/* Track Info */}
@@ -1888,21 +3602,39 @@ function App() {
               {currentTrack.title}
             </h3>
             <p
+              onClick={() => openArtist(currentTrack.artist)}
+              title={`Open ${currentTrack.artist.name}`}
               style={{
                 fontSize: "14px",
                 color: "rgba(255,255,255,0.6)",
                 margin: "0 0 4px 0",
                 textAlign: "center",
+                cursor: "pointer",
+              }}
+              onMouseOver={(e) => {
+                e.currentTarget.style.color = "white";
+              }}
+              onMouseOut={(e) => {
+                e.currentTarget.style.color = "rgba(255,255,255,0.6)";
               }}
             >
               {currentTrack.artist.name}
             </p>
             <p
+              onClick={() => openAlbum(currentTrack.album)}
+              title={`Open ${currentTrack.album.title}`}
               style={{
                 fontSize: "13px",
                 color: "rgba(255,255,255,0.4)",
                 margin: "0 0 24px 0",
                 textAlign: "center",
+                cursor: "pointer",
+              }}
+              onMouseOver={(e) => {
+                e.currentTarget.style.color = "white";
+              }}
+              onMouseOut={(e) => {
+                e.currentTarget.style.color = "rgba(255,255,255,0.4)";
               }}
             >
               {currentTrack.album.title}
@@ -1958,16 +3690,50 @@ function App() {
               <span
                 style={{ fontSize: "12px", color: "rgba(255,255,255,0.5)" }}
               >
-                {formatTime(audioRef.current?.currentTime)}
+                {formatTime(playbackTime.current)}
               </span>
+              <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                {sleepTimer && (
+                  <span
+                    title="Sleep timer"
+                    style={{
+                      fontSize: "11px",
+                      fontWeight: 500,
+                      color: "#c4b5fd",
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "4px",
+                    }}
+                  >
+                    <FaMoon style={{ fontSize: "10px" }} />
+                    {sleepCountdown}
+                  </span>
+                )}
+                {(playbackRate !== 1 || pitchShift !== 0) && (
+                  <span
+                    style={{
+                      fontSize: "11px",
+                      fontWeight: 500,
+                      color: "#c4b5fd",
+                      background: "rgba(139, 92, 246, 0.2)",
+                      borderRadius: "10px",
+                      padding: "1px 8px",
+                    }}
+                  >
+                    {[
+                      playbackRate !== 1 && `${playbackRate}x`,
+                      pitchShift !== 0 && formatSemitones(pitchShift),
+                    ]
+                      .filter(Boolean)
+                      .join(" • ")}
+                  </span>
+                )}
+              </div>
               <span
                 style={{ fontSize: "12px", color: "rgba(255,255,255,0.5)" }}
               >
                 -
-                {formatTime(
-                  (audioRef.current?.duration || 0) -
-                    (audioRef.current?.currentTime || 0)
-                )}
+                {formatTime(playbackTime.duration - playbackTime.current)}
               </span>
             </div>
 
@@ -1976,10 +3742,24 @@ function App() {
               style={{
                 display: "flex",
                 alignItems: "center",
-                gap: "24px",
+                gap: "20px",
                 marginBottom: "32px",
               }}
             >
+              <button
+                onClick={toggleShuffle}
+                aria-label={shuffle ? "Turn shuffle off" : "Turn shuffle on"}
+                aria-pressed={shuffle}
+                title={shuffle ? "Shuffle on" : "Shuffle off"}
+                style={{
+                  background: "none",
+                  border: "none",
+                  cursor: "pointer",
+                  color: shuffle ? "#a78bfa" : "rgba(255,255,255,0.4)",
+                }}
+              >
+                <MdShuffle style={{ fontSize: "20px" }} />
+              </button>
               <button
                 onClick={playPrevious}
                 style={{
@@ -2029,6 +3809,45 @@ function App() {
               >
                 <FaStepForward style={{ fontSize: "20px" }} />
               </button>
+              <button
+                onClick={cycleRepeat}
+                aria-label={`Repeat: ${repeatMode}`}
+                title={
+                  repeatMode === "one"
+                    ? "Repeat one"
+                    : repeatMode === "all"
+                    ? "Repeat all"
+                    : "Repeat off"
+                }
+                style={{
+                  background: "none",
+                  border: "none",
+                  cursor: "pointer",
+                  color: repeatMode === "off" ? "rgba(255,255,255,0.4)" : "#a78bfa",
+                }}
+              >
+                {repeatMode === "one" ? (
+                  <MdRepeatOne style={{ fontSize: "20px" }} />
+                ) : (
+                  <MdRepeat style={{ fontSize: "20px" }} />
+                )}
+              </button>
+              {/* Sleep countdown for the minimized mobile bar (see CSS) */}
+              {sleepTimer && (
+                <span
+                  className="sleep-countdown-mini"
+                  style={{
+                    display: "none",
+                    alignItems: "center",
+                    gap: "4px",
+                    fontSize: "11px",
+                    color: "#c4b5fd",
+                  }}
+                >
+                  <FaMoon style={{ fontSize: "10px" }} />
+                  {sleepCountdown}
+                </span>
+              )}
             </div>
 
             {/* Volume Control */}
@@ -2076,11 +3895,157 @@ function App() {
               >
                 {Math.round((isMuted ? 0 : volume) * 100)}%
               </span>
+              <button
+                onClick={() => setShowEqualizer(true)}
+                aria-label="Equalizer"
+                title="Equalizer"
+                style={{
+                  background: "none",
+                  border: "none",
+                  cursor: "pointer",
+                  color: eqSettings.bypass ? "rgba(255,255,255,0.5)" : "#a78bfa",
+                }}
+              >
+                <MdEqualizer style={{ fontSize: "18px" }} />
+              </button>
+              <SleepTimerMenu
+                timer={sleepTimer}
+                countdown={sleepCountdown}
+                onStart={startSleepTimer}
+                onExtend={() => setSleepTimer((prev) => prev && extendSleepTimer(prev))}
+                onCancel={() => setSleepTimer(null)}
+              />
+            </div>
+
+            {/* Speed, pitch and crossfade */}
+            <div
+              style={{
+                width: "100%",
+                display: "flex",
+                flexDirection: "column",
+                gap: "10px",
+                marginTop: "16px",
+              }}
+            >
+              <SettingSlider
+                id="playback-rate"
+                label="Speed"
+                min={MIN_PLAYBACK_RATE}
+                max={MAX_PLAYBACK_RATE}
+                step={0.05}
+                value={playbackRate}
+                onChange={(rate) => setPlaybackRate(Math.round(rate * 100) / 100)}
+                display={`${playbackRate.toFixed(2)}x`}
+                onReset={() => setPlaybackRate(1)}
+              />
+              <label
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "8px",
+                  fontSize: "12px",
+                  color: "rgba(255,255,255,0.5)",
+                  cursor: "pointer",
+                  marginTop: "-4px",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={preservePitch}
+                  onChange={(e) => setPreservePitch(e.target.checked)}
+                  style={{ accentColor: "#8b5cf6" }}
+                />
+                Keep pitch when changing speed
+              </label>
+              <SettingSlider
+                id="pitch-shift"
+                label="Pitch"
+                min={-MAX_PITCH_SHIFT}
+                max={MAX_PITCH_SHIFT}
+                step={1}
+                value={pitchShift}
+                onChange={setPitchShift}
+                display={formatSemitones(pitchShift)}
+                onReset={() => setPitchShift(0)}
+              />
+              <label
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "8px",
+                  fontSize: "12px",
+                  color: "rgba(255,255,255,0.5)",
+                  cursor: "pointer",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={normalizeLoudness}
+                  onChange={(e) => setNormalizeLoudness(e.target.checked)}
+                  style={{ accentColor: "#8b5cf6" }}
+                />
+                Normalize loudness
+                {normalizeLoudness && appliedGain?.trackId === currentTrack.id && (
+                  <span style={{ marginLeft: "auto", color: "#c4b5fd" }}>
+                    {appliedGain.db > 0 ? "+" : ""}
+                    {appliedGain.db} dB
+                  </span>
+                )}
+              </label>
+              <SettingSlider
+                id="crossfade"
+                label="Crossfade"
+                min={0}
+                max={MAX_CROSSFADE}
+                step={1}
+                value={crossfade}
+                onChange={setCrossfade}
+                display={crossfade === 0 ? "Off" : `${crossfade}s`}
+                onReset={() => setCrossfade(0)}
+              />
             </div>
+
+            {/* Up Next */}
+            <QueuePanel
+              source={queue.source}
+              upcoming={getUpcoming(queue)}
+              onJump={jumpToQueueItem}
+              onMove={(uid, index) => setQueue((prev) => moveInQueue(prev, uid, index))}
+              onRemove={(uid) => setQueue((prev) => removeFromQueue(prev, uid))}
+              onClear={() => setQueue((prev) => clearUpcoming(prev))}
+            />
           </aside>
         )}
 
+        {pendingBackup && (
+          <RestoreDialog
+            backup={pendingBackup}
+            current={{ favorites, playlists, history }}
+            onRestore={restoreBackup}
+            onClose={() => setPendingBackup(null)}
+          />
+        )}
+
         {/* Playlist Creation Modal */}
+        {showShortcuts && (
+          <ShortcutsOverlay
+            keymap={keymap}
+            onChange={setKeymap}
+            onClose={() => setShowShortcuts(false)}
+          />
+        )}
+
+        {showEqualizer && (
+          <EqualizerPanel
+            settings={eqSettings}
+            userPresets={eqPresets}
+            onChange={setEqSettings}
+            onSavePreset={saveEqPreset}
+            onDeletePreset={deleteEqPreset}
+            onClose={() => setShowEqualizer(false)}
+          />
+        )}
+
         {showPlaylistModal && (
           <div
             style={{
@@ -2296,7 +4261,7 @@ function App() {
           
           .search-container input {
             font-size: 14px !important;
-            padding: 10px 14px 10px 40px !important;
+            padding: 10px 44px 10px 40px !important;
           }
           
           .mobile-menu-btn {
@@ -2405,12 +4370,14 @@ function App() {
           }
           
           /* Hide all content when minimized */
-          .now-playing-sidebar.mobile-menu-open > img,
+          .now-playing-sidebar.mobile-menu-open > .now-playing-art,
           .now-playing-sidebar.mobile-menu-open > h3,
           .now-playing-sidebar.mobile-menu-open > p,
           .now-playing-sidebar.mobile-menu-open > div:nth-child(5),
           .now-playing-sidebar.mobile-menu-open > div:nth-child(6),
-          .now-playing-sidebar.mobile-menu-open > div:nth-child(8) {
+          .now-playing-sidebar.mobile-menu-open > div:nth-child(8),
+          .now-playing-sidebar.mobile-menu-open > div:nth-child(9),
+          .now-playing-sidebar.mobile-menu-open > div:nth-child(10) {
             display: none !important;
           }
           
@@ -2424,6 +4391,10 @@ function App() {
             margin: 0 !important;
           }
           
+          .now-playing-sidebar.mobile-menu-open .sleep-countdown-mini {
+            display: flex !important;
+          }
+          
           /* Adjust button sizes when minimized */
           .now-playing-sidebar.mobile-menu-open > div:nth-child(7) button {
             width: 44px !important;
@@ -2432,26 +4403,29 @@ function App() {
             min-height: 44px !important;
           }
           
-          .now-playing-sidebar img {
+          .now-playing-art {
+            margin-bottom: 16px !important;
+          }
+          
+          .now-playing-art img {
             width: 150px !important;
             height: 150px !important;
-            margin-bottom: 16px !important;
           }
           
           .now-playing-sidebar h3 {
             font-size: 18px !important;
           }
           
-          .now-playing-sidebar > div:last-child {
+          .now-playing-sidebar > div:nth-child(8) {
             gap: 8px !important;
           }
           
-          .now-playing-sidebar button {
+          .now-playing-sidebar > div:nth-child(7) button {
             width: 48px !important;
             height: 48px !important;
           }
           
-          .now-playing-sidebar button svg {
+          .now-playing-sidebar > div:nth-child(7) button svg {
             font-size: 16px !important;
           }
         }
@@ -2473,7 +4447,7 @@ function App() {
           
           .search-container input {
             font-size: 13px !important;
-            padding: 8px 12px 8px 36px !important;
+            padding: 8px 40px 8px 36px !important;
           }
           
           .main-content {
@@ -2489,7 +4463,7 @@ function App() {
             gap: 10px !important;
           }
           
-          .main-content img {
+          .main-content .track-row img {
             width: 40px !important;
             height: 40px !important;
           }
@@ -2503,7 +4477,7 @@ function App() {
             max-height: 70vh !important;
           }
           
-          .now-playing-sidebar img {
+          .now-playing-art img {
             width: 120px !important;
             height: 120px !important;
           }
@@ -0,0 +1,437 @@
+/**
+ * ============================================================================
+ * DEEZER API CLIENT - Music Player App
+ * ============================================================================
+ *
+ * Every request my app makes to the Deezer API goes through this module.
+ * The browser can't call https://api.deezer.com directly (no CORS headers),
+ * so each request walks an ordered chain of "transports" until one works:
+ *
+ *   - direct      -> https://api.deezer.com/... (only for CORS-enabled setups)
+ *   - vite        -> /deezer-api/... (the dev server proxy in vite.config.js)
+ *   - corsproxy   -> https://corsproxy.io/?url=...
+ *   - allorigins  -> https://api.allorigins.win/raw?url=...
+ *   - custom      -> any proxy URL you configure yourself
+ *
+ * If the whole chain fails with a retryable error, the client waits (with
+ * exponential backoff) and walks the chain again. Requests never throw -
+ * they resolve to a result object: { ok: true, data } or { ok: false, error }.
+ *
+ * The chain can be configured with environment variables (see README):
+ *   VITE_DEEZER_TRANSPORTS=vite,custom,corsproxy
+ *   VITE_DEEZER_PROXY_URL=https://my-proxy.example.com/?target={url}
+ * ============================================================================
+ */
+
+import axios from "axios";
+
+const DEEZER_BASE_URL = "https://api.deezer.com";
+
+// Path the Vite dev server forwards to Deezer (see vite.config.js)
+export const VITE_PROXY_PREFIX = "/deezer-api";
+
+// ============================================================================
+// ERRORS
+// Every failure is turned into a DeezerError with a "type" the UI can check
+// ============================================================================
+
+export const ERROR_TYPES = {
+  TIMEOUT: "timeout", // The request took longer than the configured timeout
+  NETWORK: "network", // No response at all (offline, DNS, CORS, proxy down)
+  HTTP: "http", // The proxy or Deezer answered with a non-2xx status
+  PARSE: "parse", // The response body wasn't valid JSON
+  API: "api", // Deezer answered with an { error: {...} } payload
+  QUOTA: "quota", // Deezer's rate limit was hit (error code 4)
+  ABORTED: "aborted", // The caller cancelled the request
+};
+
+/**
+ * DeezerError - Error class for everything that can go wrong in a request
+ * @param {string} type - One of ERROR_TYPES
+ * @param {string} message - Developer-facing description
+ * @param {Object} details - Extra info (status, code, transport, cause)
+ */
+export class DeezerError extends Error {
+  constructor(type, message, { status = null, code = null, transport = null, cause = null } = {}) {
+    super(message);
+    this.name = "DeezerError";
+    this.type = type;
+    this.status = status;
+    this.code = code;
+    this.transport = transport;
+    this.cause = cause;
+  }
+
+  /**
+   * retryable - Whether trying again (or via another proxy) could help
+   * Deezer API errors like "no data" will fail the same way every time.
+   */
+  get retryable() {
+    if (this.type === ERROR_TYPES.ABORTED || this.type === ERROR_TYPES.API) {
+      return false;
+    }
+    // 4xx from a proxy usually means a bad URL, except rate limiting
+    if (this.type === ERROR_TYPES.HTTP && this.status >= 400 && this.status < 500) {
+      return this.status === 429;
+    }
+    return true;
+  }
+}
+
+/**
+ * describeDeezerError - Turns an error into a friendly message for the UI
+ * @param {DeezerError} error - The error from a failed request
+ * @param {string} fallback - Message used for network failures
+ * @returns {string} - Message I can pass to showError()
+ */
+export const describeDeezerError = (
+  error,
+  fallback = "Failed to load music. Please check your connection and try again."
+) => {
+  switch (error?.type) {
+    case ERROR_TYPES.TIMEOUT:
+      return "Request timed out. Please try again.";
+    case ERROR_TYPES.HTTP:
+    case ERROR_TYPES.PARSE:
+      return "Server error. Please try again later.";
+    case ERROR_TYPES.QUOTA:
+      return "Too many requests. Please wait a moment and try again.";
+    case ERROR_TYPES.API:
+      return error.message || "Deezer couldn't handle this request.";
+    default:
+      return fallback;
+  }
+};
+
+// ============================================================================
+// TRANSPORTS
+// Each transport knows how to turn a Deezer URL into a URL the browser can hit
+// ============================================================================
+
+/**
+ * createCustomTransport - Builds a transport for a self-hosted proxy
+ * @param {string} template - Proxy URL. "{url}" is replaced with the encoded
+ *   Deezer URL and "{path}" with the raw path + query. Without a placeholder
+ *   the Deezer path is appended to the template.
+ */
+export const createCustomTransport = (template, name = "custom") => ({
+  name,
+  buildUrl: (deezerUrl, pathWithQuery) => {
+    if (template.includes("{url}")) {
+      return template.replace("{url}", encodeURIComponent(deezerUrl));
+    }
+    if (template.includes("{path}")) {
+      return template.replace("{path}", pathWithQuery.replace(/^\//, ""));
+    }
+    return template.replace(/\/$/, "") + pathWithQuery;
+  },
+});
+
+export const TRANSPORTS = {
+  direct: {
+    name: "direct",
+    buildUrl: (deezerUrl) => deezerUrl,
+  },
+  vite: {
+    name: "vite",
+    buildUrl: (deezerUrl, pathWithQuery) => VITE_PROXY_PREFIX + pathWithQuery,
+  },
+  corsproxy: {
+    name: "corsproxy",
+    buildUrl: (deezerUrl) =>
+      "https://corsproxy.io/?url=" + encodeURIComponent(deezerUrl),
+  },
+  allorigins: {
+    name: "allorigins",
+    buildUrl: (deezerUrl) =>
+      "https://api.allorigins.win/raw?url=" + encodeURIComponent(deezerUrl),
+  },
+};
+
+/**
+ * resolveTransports - Turns a list of names/objects into transport objects
+ * Accepts "direct", "vite", "corsproxy", "allorigins", "custom" (needs
+ * customProxyUrl), any URL string (treated as a custom proxy), or an object
+ * that already has { name, buildUrl }.
+ */
+export const resolveTransports = (list, customProxyUrl = "") =>
+  list
+    .map((entry) => {
+      if (typeof entry === "object" && entry?.buildUrl) return entry;
+      const key = String(entry).trim();
+      if (!key) return null;
+      if (key === "custom") {
+        return customProxyUrl ? createCustomTransport(customProxyUrl) : null;
+      }
+      if (/^(https?:)?\/\//.test(key) || key.startsWith("/")) {
+        return createCustomTransport(key, key);
+      }
+      if (!TRANSPORTS[key]) {
+        console.warn(`Unknown Deezer transport "${key}" - skipping it`);
+        return null;
+      }
+      return TRANSPORTS[key];
+    })
+    .filter(Boolean);
+
+/**
+ * getDefaultTransportNames - Picks the chain when nothing is configured
+ * In development the Vite proxy is the most reliable, so it goes first.
+ * A VITE_DEEZER_PROXY_URL is tried before the public proxies.
+ */
+const getDefaultTransportNames = (env) => {
+  const configured = (env.VITE_DEEZER_TRANSPORTS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+
+  const names = [];
+  if (env.DEV) names.push("vite");
+  if (env.VITE_DEEZER_PROXY_URL) names.push("custom");
+  names.push("corsproxy", "allorigins");
+  return names;
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * buildPathWithQuery - Joins a path and params into "/path?a=1&b=2"
+ * Params that are undefined, null or "" are left out.
+ */
+export const buildPathWithQuery = (path, params = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      search.append(key, String(value));
+    }
+  });
+  const normalizedPath = path.startsWith("/") ? path : `/${path}`;
+  const query = search.toString();
+  return query ? `${normalizedPath}?${query}` : normalizedPath;
+};
+
+/**
+ * wait - Promise-based delay that stops early when the signal aborts
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DeezerError(ERROR_TYPES.ABORTED, "Request was cancelled"));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DeezerError(ERROR_TYPES.ABORTED, "Request was cancelled"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * toDeezerError - Maps an axios error to a DeezerError
+ */
+const toDeezerError = (error, transport) => {
+  if (error instanceof DeezerError) return error;
+  if (axios.isCancel(error) || error?.name === "CanceledError") {
+    return new DeezerError(ERROR_TYPES.ABORTED, "Request was cancelled", { transport, cause: error });
+  }
+  if (error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT") {
+    return new DeezerError(ERROR_TYPES.TIMEOUT, "Request timed out", { transport, cause: error });
+  }
+  if (error?.response) {
+    return new DeezerError(
+      ERROR_TYPES.HTTP,
+      `Request failed with status ${error.response.status}`,
+      { status: error.response.status, transport, cause: error }
+    );
+  }
+  return new DeezerError(ERROR_TYPES.NETWORK, error?.message || "Network error", {
+    transport,
+    cause: error,
+  });
+};
+
+/**
+ * parseBody - Some proxies (allorigins) send JSON back as a plain string
+ */
+const parseBody = (body, transport) => {
+  if (typeof body !== "string") return body;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new DeezerError(ERROR_TYPES.PARSE, "Response was not valid JSON", {
+      transport,
+      cause: error,
+    });
+  }
+};
+
+/**
+ * checkApiError - Deezer reports errors with HTTP 200 and an "error" object
+ * Code 4 is the rate limit ("Quota limit exceeded"), which is worth retrying.
+ */
+const checkApiError = (data, transport) => {
+  if (!data || typeof data !== "object") {
+    throw new DeezerError(ERROR_TYPES.PARSE, "Response was empty", { transport });
+  }
+  if (data.error) {
+    const { type, message, code } = data.error;
+    throw new DeezerError(
+      code === 4 ? ERROR_TYPES.QUOTA : ERROR_TYPES.API,
+      message || type || "Deezer API error",
+      { code: code ?? null, transport }
+    );
+  }
+  return data;
+};
+
+// ============================================================================
+// CLIENT FACTORY
+// ============================================================================
+
+/**
+ * createDeezerClient - Creates a Deezer client with its own transport chain
+ * @param {Object} options
+ * @param {Array} options.transports - Ordered transport names or objects
+ * @param {string} options.customProxyUrl - Template for the "custom" transport
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds
+ * @param {number} options.retries - Extra passes over the chain after the first
+ * @param {number} options.retryDelay - Base backoff delay in milliseconds
+ * @param {number} options.maxRetryDelay - Upper bound for the backoff delay
+ * @returns {Object} - Client with request() and one helper per endpoint
+ */
+export const createDeezerClient = ({
+  transports = ["corsproxy", "allorigins"],
+  customProxyUrl = "",
+  timeout = 10000,
+  retries = 1,
+  retryDelay = 500,
+  maxRetryDelay = 4000,
+  httpClient = axios,
+} = {}) => {
+  const chain = resolveTransports(transports, customProxyUrl);
+  if (chain.length === 0) {
+    throw new Error("createDeezerClient needs at least one valid transport");
+  }
+
+  /**
+   * request - GETs a Deezer endpoint through the transport chain
+   * @param {string} path - Endpoint path, e.g. "/search" or "/chart/0/tracks"
+   * @param {Object} params - Query parameters
+   * @param {Object} options - { signal } to cancel, { timeout } to override
+   * @returns {Promise<{ok: boolean, data?: Object, error?: DeezerError, transport?: string}>}
+   */
+  const request = async (path, params = {}, { signal, timeout: requestTimeout } = {}) => {
+    const pathWithQuery = buildPathWithQuery(path, params);
+    const deezerUrl = DEEZER_BASE_URL + pathWithQuery;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        // Exponential backoff with a bit of jitter so retries don't line up
+        const delay = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+        try {
+          await wait(delay + Math.random() * delay * 0.25, signal);
+        } catch (abortError) {
+          return { ok: false, error: abortError };
+        }
+      }
+
+      for (const transport of chain) {
+        if (signal?.aborted) {
+          return {
+            ok: false,
+            error: new DeezerError(ERROR_TYPES.ABORTED, "Request was cancelled"),
+          };
+        }
+
+        try {
+          const response = await httpClient.get(
+            transport.buildUrl(deezerUrl, pathWithQuery),
+            { timeout: requestTimeout ?? timeout, signal }
+          );
+          const data = checkApiError(parseBody(response.data, transport.name), transport.name);
+          return { ok: true, data, transport: transport.name };
+        } catch (error) {
+          lastError = toDeezerError(error, transport.name);
+          // Cancelled or a real Deezer error - other proxies won't change that
+          if (!lastError.retryable) {
+            return { ok: false, error: lastError };
+          }
+          console.warn(
+            `Deezer request via ${transport.name} failed (${lastError.type}):`,
+            lastError.message
+          );
+        }
+      }
+    }
+
+    return { ok: false, error: lastError };
+  };
+
+  return {
+    transports: chain.map((transport) => transport.name),
+    request,
+
+    /**
+     * search - Searches tracks (GET /search)
+     */
+    search: (query, params = {}, options) =>
+      request("/search", { q: query, ...params }, options),
+
+    /**
+     * searchArtists - Searches artists (GET /search/artist)
+     */
+    searchArtists: (query, params = {}, options) =>
+      request("/search/artist", { q: query, ...params }, options),
+
+    /**
+     * searchAlbums - Searches albums (GET /search/album)
+     */
+    searchAlbums: (query, params = {}, options) =>
+      request("/search/album", { q: query, ...params }, options),
+
+    /**
+     * chartTracks - Top tracks for a genre chart (GET /chart/{id}/tracks)
+     */
+    chartTracks: (genreId = 0, params = {}, options) =>
+      request(`/chart/${genreId}/tracks`, params, options),
+
+    /**
+     * track - Full details for a single track (GET /track/{id})
+     */
+    track: (trackId, options) => request(`/track/${trackId}`, {}, options),
+  };
+};
+
+// ============================================================================
+// SHARED INSTANCE
+// The app uses this one client, configured from Vite environment variables
+// ============================================================================
+
+const env = import.meta.env || {};
+
+/**
+ * readRetries - VITE_DEEZER_RETRIES as a whole number of extra passes
+ * Anything that isn't a number of 0 or more falls back to the default, since
+ * NaN would skip the request loop entirely.
+ */
+const readRetries = (value) => {
+  const retries = value === undefined || value === "" ? NaN : Number(value);
+  return Number.isFinite(retries) && retries >= 0 ? Math.floor(retries) : 1;
+};
+
+const deezer = createDeezerClient({
+  transports: getDefaultTransportNames(env),
+  customProxyUrl: env.VITE_DEEZER_PROXY_URL || "",
+  timeout: Number(env.VITE_DEEZER_TIMEOUT) || 10000,
+  retries: readRetries(env.VITE_DEEZER_RETRIES),
+});
+
+export default deezer;
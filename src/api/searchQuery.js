@@ -0,0 +1,145 @@
+/**
+ * ============================================================================
+ * ADVANCED SEARCH QUERY BUILDER
+ * ============================================================================
+ *
+ * Deezer's /search endpoint understands a small field syntax inside "q":
+ *
+ *   artist:"aloe blacc" track:"i need a dollar" dur_min:120 bpm_max:130
+ *
+ * plus two extra parameters: strict=on (turns off fuzzy matching) and
+ * order=RANKING / DURATION_ASC / ... (sort order). This module turns the
+ * advanced search form into those pieces and back into filter "chips".
+ * ============================================================================
+ */
+
+// Text fields - each becomes field:"value" in the query
+const TEXT_FIELDS = [
+  { key: "artist", label: "Artist" },
+  { key: "album", label: "Album" },
+  { key: "track", label: "Track" },
+  { key: "label", label: "Label" },
+];
+
+// Number fields - each becomes field:value in the query
+const NUMBER_FIELDS = [
+  { key: "durMin", field: "dur_min", label: "Min length", unit: "s" },
+  { key: "durMax", field: "dur_max", label: "Max length", unit: "s" },
+  { key: "bpmMin", field: "bpm_min", label: "Min BPM", unit: "" },
+  { key: "bpmMax", field: "bpm_max", label: "Max BPM", unit: "" },
+];
+
+export const SEARCH_FIELDS = { text: TEXT_FIELDS, number: NUMBER_FIELDS };
+
+// Sort orders supported by Deezer's "order" parameter
+export const SEARCH_ORDERS = [
+  { value: "RANKING", label: "Best match" },
+  { value: "TRACK_ASC", label: "Title (A-Z)" },
+  { value: "TRACK_DESC", label: "Title (Z-A)" },
+  { value: "ARTIST_ASC", label: "Artist (A-Z)" },
+  { value: "ARTIST_DESC", label: "Artist (Z-A)" },
+  { value: "ALBUM_ASC", label: "Album (A-Z)" },
+  { value: "ALBUM_DESC", label: "Album (Z-A)" },
+  { value: "RATING_ASC", label: "Rating (low first)" },
+  { value: "RATING_DESC", label: "Rating (high first)" },
+  { value: "DURATION_ASC", label: "Shortest first" },
+  { value: "DURATION_DESC", label: "Longest first" },
+];
+
+export const DEFAULT_ORDER = "RANKING";
+
+export const EMPTY_SEARCH_FILTERS = {
+  artist: "",
+  album: "",
+  track: "",
+  label: "",
+  durMin: "",
+  durMax: "",
+  bpmMin: "",
+  bpmMax: "",
+  strict: false,
+  order: DEFAULT_ORDER,
+};
+
+/**
+ * cleanText - Trims a value and strips double quotes
+ * A stray quote would end the field early and break the whole query.
+ */
+const cleanText = (value) => String(value ?? "").replace(/"/g, "").trim();
+
+/**
+ * cleanNumber - Returns a non-negative whole number, or null if not set
+ */
+const cleanNumber = (value) => {
+  if (value === "" || value === null || value === undefined) return null;
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+/**
+ * buildSearchRequest - Turns free text + filters into Deezer search params
+ * @param {string} text - Whatever the user typed in the search box
+ * @param {Object} filters - Values from the advanced search panel
+ * @returns {{q: string, strict?: string, order?: string}} - Params for /search
+ */
+export const buildSearchRequest = (text, filters = EMPTY_SEARCH_FILTERS) => {
+  const parts = [];
+  const freeText = String(text ?? "").trim();
+  if (freeText) parts.push(freeText);
+
+  TEXT_FIELDS.forEach(({ key }) => {
+    const value = cleanText(filters[key]);
+    if (value) parts.push(`${key}:"${value}"`);
+  });
+
+  NUMBER_FIELDS.forEach(({ key, field }) => {
+    const value = cleanNumber(filters[key]);
+    if (value !== null) parts.push(`${field}:${value}`);
+  });
+
+  const request = { q: parts.join(" ") };
+  if (filters.strict) request.strict = "on";
+  if (filters.order && filters.order !== DEFAULT_ORDER) request.order = filters.order;
+  return request;
+};
+
+/**
+ * getFilterChips - Lists the active filters so they can be shown as chips
+ * @param {Object} filters - Values from the advanced search panel
+ * @returns {Array<{key: string, label: string}>} - One entry per active filter
+ */
+export const getFilterChips = (filters = EMPTY_SEARCH_FILTERS) => {
+  const chips = [];
+
+  TEXT_FIELDS.forEach(({ key, label }) => {
+    const value = cleanText(filters[key]);
+    if (value) chips.push({ key, label: `${label}: ${value}` });
+  });
+
+  NUMBER_FIELDS.forEach(({ key, label, unit }) => {
+    const value = cleanNumber(filters[key]);
+    if (value !== null) chips.push({ key, label: `${label}: ${value}${unit}` });
+  });
+
+  if (filters.strict) chips.push({ key: "strict", label: "Exact match" });
+
+  if (filters.order && filters.order !== DEFAULT_ORDER) {
+    const order = SEARCH_ORDERS.find((o) => o.value === filters.order);
+    chips.push({ key: "order", label: `Sort: ${order ? order.label : filters.order}` });
+  }
+
+  return chips;
+};
+
+/**
+ * removeFilter - Returns the filters with one chip's value reset
+ */
+export const removeFilter = (filters, key) => ({
+  ...filters,
+  [key]: EMPTY_SEARCH_FILTERS[key],
+});
+
+/**
+ * hasActiveFilters - True when at least one filter narrows the search
+ */
+export const hasActiveFilters = (filters) => getFilterChips(filters).length > 0;
@@ -0,0 +1,231 @@
+/**
+ * ============================================================================
+ * ADVANCED SEARCH PANEL
+ * ============================================================================
+ *
+ * A form for Deezer's field search (artist, album, track, label, length and
+ * BPM ranges) plus strict matching and sort order. The user edits a draft
+ * copy and nothing is searched until they press "Apply".
+ * ============================================================================
+ */
+
+import { useState } from "react";
+import { FaTimes } from "react-icons/fa";
+import {
+  EMPTY_SEARCH_FILTERS,
+  SEARCH_FIELDS,
+  SEARCH_ORDERS,
+} from "../api/searchQuery.js";
+
+const labelStyle = {
+  display: "block",
+  fontSize: "12px",
+  color: "rgba(255,255,255,0.5)",
+  marginBottom: "6px",
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "10px 12px",
+  borderRadius: "10px",
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "rgba(255,255,255,0.05)",
+  color: "white",
+  fontSize: "14px",
+  outline: "none",
+  fontFamily: "'Outfit', system-ui, sans-serif",
+};
+
+/**
+ * AdvancedSearchPanel
+ * @param {Object} filters - The filters currently applied to the search
+ * @param {Function} onApply - Called with the new filters when applied
+ * @param {Function} onClose - Hides the panel
+ */
+function AdvancedSearchPanel({ filters, onApply, onClose }) {
+  // Draft copy so typing doesn't fire a search on every keystroke
+  const [draft, setDraft] = useState(filters);
+
+  const updateDraft = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(139, 92, 246, 0.3)",
+        borderRadius: "16px",
+        padding: "20px",
+        marginBottom: "16px",
+        animation: "slideDown 0.2s ease-out",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          marginBottom: "16px",
+        }}
+      >
+        <h3 style={{ fontSize: "16px", fontWeight: 600, margin: 0 }}>
+          Advanced Search
+        </h3>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label="Close advanced search"
+          style={{
+            background: "none",
+            border: "none",
+            cursor: "pointer",
+            color: "rgba(255,255,255,0.5)",
+          }}
+        >
+          <FaTimes style={{ fontSize: "14px" }} />
+        </button>
+      </div>
+
+      {/* Text fields - artist, album, track, label */}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))",
+          gap: "12px",
+          marginBottom: "12px",
+        }}
+      >
+        {SEARCH_FIELDS.text.map(({ key, label }) => (
+          <label key={key}>
+            <span style={labelStyle}>{label}</span>
+            <input
+              type="text"
+              value={draft[key]}
+              onChange={(e) => updateDraft(key, e.target.value)}
+              placeholder={`Any ${label.toLowerCase()}`}
+              style={inputStyle}
+            />
+          </label>
+        ))}
+      </div>
+
+      {/* Number ranges - duration (seconds) and BPM */}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(120px, 1fr))",
+          gap: "12px",
+          marginBottom: "12px",
+        }}
+      >
+        {SEARCH_FIELDS.number.map(({ key, label, unit }) => (
+          <label key={key}>
+            <span style={labelStyle}>
+              {label}
+              {unit ? ` (${unit === "s" ? "seconds" : unit})` : ""}
+            </span>
+            <input
+              type="number"
+              min="0"
+              value={draft[key]}
+              onChange={(e) => updateDraft(key, e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+        ))}
+      </div>
+
+      {/* Sort order and strict mode */}
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "flex-end",
+          gap: "16px",
+          marginBottom: "20px",
+        }}
+      >
+        <label style={{ flex: "1 1 200px" }}>
+          <span style={labelStyle}>Sort by</span>
+          <select
+            value={draft.order}
+            onChange={(e) => updateDraft("order", e.target.value)}
+            style={{ ...inputStyle, cursor: "pointer" }}
+          >
+            {SEARCH_ORDERS.map((order) => (
+              <option
+                key={order.value}
+                value={order.value}
+                style={{ background: "#1a1040" }}
+              >
+                {order.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "8px",
+            fontSize: "14px",
+            color: "rgba(255,255,255,0.8)",
+            cursor: "pointer",
+            paddingBottom: "10px",
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={draft.strict}
+            onChange={(e) => updateDraft("strict", e.target.checked)}
+            style={{ accentColor: "#8b5cf6", width: "16px", height: "16px" }}
+          />
+          Exact matches only (strict mode)
+        </label>
+      </div>
+
+      <div style={{ display: "flex", gap: "12px", justifyContent: "flex-end" }}>
+        <button
+          type="button"
+          onClick={() => setDraft(EMPTY_SEARCH_FILTERS)}
+          style={{
+            padding: "10px 20px",
+            borderRadius: "10px",
+            border: "1px solid rgba(255,255,255,0.2)",
+            background: "transparent",
+            color: "rgba(255,255,255,0.7)",
+            cursor: "pointer",
+            fontSize: "14px",
+            fontWeight: 500,
+          }}
+        >
+          Reset
+        </button>
+        <button
+          type="submit"
+          style={{
+            padding: "10px 20px",
+            borderRadius: "10px",
+            border: "none",
+            background: "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+            color: "white",
+            cursor: "pointer",
+            fontSize: "14px",
+            fontWeight: 500,
+          }}
+        >
+          Apply
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default AdvancedSearchPanel;
@@ -0,0 +1,307 @@
+/**
+ * ============================================================================
+ * ALBUM VIEW
+ * ============================================================================
+ *
+ * Shown in the center column when an album is opened. Built on Deezer's
+ * /album/{id}, which returns the album details together with the ordered
+ * tracklist, so the whole record can be played (or saved) in order.
+ * ============================================================================
+ */
+
+import { useState } from "react";
+import { FaPlay, FaPlus } from "react-icons/fa";
+import useDeezer from "../hooks/useDeezer.js";
+import BackButton from "./BackButton.jsx";
+import SectionStatus from "./SectionStatus.jsx";
+import TrackRow from "./TrackRow.jsx";
+
+/**
+ * formatTotalDuration - Turns an album length in seconds into "1 hr 5 min"
+ */
+const formatTotalDuration = (seconds = 0) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours} hr ${minutes} min` : `${minutes} min`;
+};
+
+/**
+ * formatReleaseDate - "2019-05-24" -> "May 24, 2019"
+ */
+const formatReleaseDate = (date) => {
+  if (!date) return "";
+  const parsed = new Date(`${date}T00:00:00`);
+  return isNaN(parsed)
+    ? date
+    : parsed.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+};
+
+/**
+ * withAlbumInfo - Makes sure every track carries its album's title and covers
+ * The rest of the app (rows, Now Playing) reads track.album.cover_*.
+ */
+const withAlbumInfo = (tracks, album) =>
+  tracks.map((track) => ({
+    ...track,
+    album: {
+      id: album.id,
+      title: album.title,
+      cover: album.cover,
+      cover_small: album.cover_small,
+      cover_medium: album.cover_medium,
+      cover_big: album.cover_big,
+      cover_xl: album.cover_xl,
+      ...track.album,
+    },
+  }));
+
+/**
+ * AlbumView
+ * @param {number} albumId - Deezer album id
+ * @param {number} currentTrackId - Id of the loaded track (for highlighting)
+ * @param {Array} unavailableIds - Ids of songs that failed to play (shown dimmed)
+ * @param {boolean} isPlaying - Whether audio is playing
+ * @param {Array} playlists - The user's playlists (for "Add all")
+ * @param {Function} onPlayTrack - Called with (track, list, source) to start playback
+ * @param {Function} onAddAllToPlaylist - Called with (playlistId, tracks)
+ * @param {Function} onOpenArtist - Opens an artist page
+ * @param {Function} renderTrackActions - Renders the buttons for a track row
+ * @param {Function} onBack - Returns to the previous view
+ */
+function AlbumView({
+  albumId,
+  currentTrackId,
+  unavailableIds = [],
+  isPlaying,
+  playlists,
+  onPlayTrack,
+  onAddAllToPlaylist,
+  onOpenArtist,
+  renderTrackActions,
+  onBack,
+}) {
+  const album = useDeezer(`/album/${albumId}`);
+  const [showPlaylistMenu, setShowPlaylistMenu] = useState(false);
+
+  const info = album.data;
+  const albumTracks = info ? withAlbumInfo(info.tracks?.data || [], info) : [];
+  const genres = info?.genres?.data?.map((genre) => genre.name).join(", ");
+  const source = { type: "album", id: albumId, label: info?.title || "Album" };
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(255,255,255,0.08)",
+        borderRadius: "16px",
+        padding: "20px",
+      }}
+    >
+      <BackButton onClick={onBack} />
+
+      <SectionStatus
+        loading={album.loading}
+        error={album.error}
+        onRetry={album.retry}
+      />
+
+      {info && (
+        <>
+          {/* Header - cover, title, artist and release details */}
+          <div
+            style={{
+              display: "flex",
+              alignItems: "flex-end",
+              flexWrap: "wrap",
+              gap: "24px",
+              margin: "20px 0 24px 0",
+            }}
+          >
+            <img
+              src={info.cover_big}
+              alt={info.title}
+              style={{
+                width: "200px",
+                height: "200px",
+                borderRadius: "16px",
+                boxShadow: "0 20px 60px rgba(0,0,0,0.4)",
+              }}
+            />
+            <div style={{ flex: 1, minWidth: "220px" }}>
+              <p
+                style={{
+                  fontSize: "12px",
+                  fontWeight: 500,
+                  letterSpacing: "1px",
+                  color: "rgba(255,255,255,0.5)",
+                  margin: "0 0 4px 0",
+                  textTransform: "uppercase",
+                }}
+              >
+                {info.record_type || "album"}
+              </p>
+              <h2
+                style={{
+                  fontSize: "clamp(24px, 4vw, 36px)",
+                  fontWeight: 700,
+                  margin: "0 0 8px 0",
+                }}
+              >
+                {info.title}
+              </h2>
+              <p
+                onClick={() => onOpenArtist(info.artist)}
+                style={{
+                  fontSize: "15px",
+                  fontWeight: 500,
+                  color: "#c4b5fd",
+                  margin: "0 0 8px 0",
+                  cursor: "pointer",
+                  display: "inline-block",
+                }}
+              >
+                {info.artist?.name}
+              </p>
+              <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.5)", margin: 0 }}>
+                {[
+                  formatReleaseDate(info.release_date),
+                  info.label,
+                  genres,
+                  `${info.nb_tracks || albumTracks.length} songs`,
+                  formatTotalDuration(info.duration),
+                ]
+                  .filter(Boolean)
+                  .join(" • ")}
+              </p>
+
+              {/* Play all / Add all to playlist */}
+              <div
+                style={{
+                  display: "flex",
+                  flexWrap: "wrap",
+                  gap: "12px",
+                  marginTop: "16px",
+                }}
+              >
+                <button
+                  onClick={() => onPlayTrack(albumTracks[0], albumTracks, source)}
+                  disabled={albumTracks.length === 0}
+                  style={{
+                    padding: "10px 24px",
+                    borderRadius: "25px",
+                    border: "none",
+                    background: "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+                    color: "white",
+                    cursor: "pointer",
+                    fontSize: "14px",
+                    fontWeight: 500,
+                    display: "inline-flex",
+                    alignItems: "center",
+                    gap: "8px",
+                  }}
+                >
+                  <FaPlay style={{ fontSize: "12px" }} />
+                  Play album
+                </button>
+                <div style={{ position: "relative" }}>
+                  <button
+                    onClick={() => setShowPlaylistMenu(!showPlaylistMenu)}
+                    disabled={playlists.length === 0 || albumTracks.length === 0}
+                    title={
+                      playlists.length === 0
+                        ? "Create a playlist first"
+                        : "Add every song to a playlist"
+                    }
+                    style={{
+                      padding: "10px 20px",
+                      borderRadius: "25px",
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: "rgba(255,255,255,0.05)",
+                      color: "rgba(255,255,255,0.8)",
+                      cursor: playlists.length === 0 ? "not-allowed" : "pointer",
+                      opacity: playlists.length === 0 ? 0.5 : 1,
+                      fontSize: "14px",
+                      fontWeight: 500,
+                      display: "inline-flex",
+                      alignItems: "center",
+                      gap: "8px",
+                    }}
+                  >
+                    <FaPlus style={{ fontSize: "12px" }} />
+                    Add all to playlist
+                  </button>
+                  {showPlaylistMenu && (
+                    <div
+                      style={{
+                        position: "absolute",
+                        left: 0,
+                        top: "100%",
+                        marginTop: "8px",
+                        background: "rgba(15, 10, 30, 0.98)",
+                        backdropFilter: "blur(20px)",
+                        border: "1px solid rgba(255,255,255,0.1)",
+                        borderRadius: "12px",
+                        padding: "8px",
+                        minWidth: "200px",
+                        zIndex: 1000,
+                        boxShadow: "0 8px 32px rgba(0,0,0,0.4)",
+                        animation: "slideDown 0.2s ease-out",
+                      }}
+                    >
+                      {playlists.map((playlist) => (
+                        <button
+                          key={playlist.id}
+                          onClick={() => {
+                            onAddAllToPlaylist(playlist.id, albumTracks);
+                            setShowPlaylistMenu(false);
+                          }}
+                          style={{
+                            width: "100%",
+                            padding: "8px 12px",
+                            borderRadius: "8px",
+                            border: "none",
+                            background: "transparent",
+                            color: "rgba(255,255,255,0.8)",
+                            cursor: "pointer",
+                            textAlign: "left",
+                            fontSize: "14px",
+                          }}
+                          onMouseOver={(e) => {
+                            e.currentTarget.style.background = "rgba(139, 92, 246, 0.2)";
+                          }}
+                          onMouseOut={(e) => {
+                            e.currentTarget.style.background = "transparent";
+                          }}
+                        >
+                          {playlist.name}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Ordered tracklist */}
+          {albumTracks.map((track, index) => (
+            <TrackRow
+              key={track.id}
+              track={track}
+              position={track.track_position || index + 1}
+              isCurrent={currentTrackId === track.id}
+              unavailable={unavailableIds.includes(track.id)}
+              isPlaying={isPlaying}
+              onPlay={() => onPlayTrack(track, albumTracks, source)}
+              onOpenArtist={onOpenArtist}
+            >
+              {renderTrackActions(track)}
+            </TrackRow>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AlbumView;
@@ -0,0 +1,239 @@
+/**
+ * ============================================================================
+ * ARTIST VIEW
+ * ============================================================================
+ *
+ * Shown in the center column when an artist name is clicked. Each section
+ * loads its own Deezer endpoint, so a slow discography doesn't hold up the
+ * top tracks:
+ *   - /artist/{id}          header (picture, fan count)
+ *   - /artist/{id}/top      playable top tracks
+ *   - /artist/{id}/albums   album grid (opens the album page)
+ *   - /artist/{id}/related  related artists (open their own pages)
+ * ============================================================================
+ */
+
+import { FaPlay } from "react-icons/fa";
+import useDeezer from "../hooks/useDeezer.js";
+import BackButton from "./BackButton.jsx";
+import MediaCard from "./MediaCard.jsx";
+import SectionStatus from "./SectionStatus.jsx";
+import TrackRow from "./TrackRow.jsx";
+
+const sectionTitleStyle = {
+  fontSize: "18px",
+  fontWeight: 600,
+  margin: "32px 0 12px 0",
+};
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))",
+  gap: "8px",
+};
+
+/**
+ * ArtistView
+ * @param {number} artistId - Deezer artist id
+ * @param {number} currentTrackId - Id of the loaded track (for highlighting)
+ * @param {Array} unavailableIds - Ids of songs that failed to play (shown dimmed)
+ * @param {boolean} isPlaying - Whether audio is playing
+ * @param {Function} onPlayTrack - Called with (track, list, source) to start playback
+ * @param {Function} onOpenArtist - Opens another artist's page
+ * @param {Function} onOpenAlbum - Opens an album page
+ * @param {Function} renderTrackActions - Renders the buttons for a track row
+ * @param {Function} onBack - Returns to the previous view
+ */
+function ArtistView({
+  artistId,
+  currentTrackId,
+  unavailableIds = [],
+  isPlaying,
+  onPlayTrack,
+  onOpenArtist,
+  onOpenAlbum,
+  renderTrackActions,
+  onBack,
+}) {
+  const artist = useDeezer(`/artist/${artistId}`);
+  const top = useDeezer(`/artist/${artistId}/top`, { limit: 10 });
+  const albums = useDeezer(`/artist/${artistId}/albums`, { limit: 50 });
+  const related = useDeezer(`/artist/${artistId}/related`, { limit: 12 });
+
+  const topTracks = top.data?.data || [];
+  const albumList = albums.data?.data || [];
+  const relatedArtists = related.data?.data || [];
+  const source = {
+    type: "artist",
+    id: artistId,
+    label: artist.data?.name || "Artist",
+  };
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(255,255,255,0.08)",
+        borderRadius: "16px",
+        padding: "20px",
+      }}
+    >
+      <BackButton onClick={onBack} />
+
+      {/* Header - big picture, name and fan count */}
+      {artist.data ? (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: "24px",
+            marginTop: "20px",
+            padding: "24px",
+            borderRadius: "16px",
+            background: `linear-gradient(135deg, rgba(139, 92, 246, 0.35) 0%, rgba(236, 72, 153, 0.2) 100%), url(${artist.data.picture_xl}) center / cover`,
+          }}
+        >
+          <img
+            src={artist.data.picture_big}
+            alt={artist.data.name}
+            style={{
+              width: "160px",
+              height: "160px",
+              borderRadius: "50%",
+              objectFit: "cover",
+              boxShadow: "0 20px 60px rgba(0,0,0,0.4)",
+            }}
+          />
+          <div style={{ flex: 1, minWidth: "200px" }}>
+            <p
+              style={{
+                fontSize: "12px",
+                fontWeight: 500,
+                letterSpacing: "1px",
+                color: "rgba(255,255,255,0.7)",
+                margin: "0 0 4px 0",
+              }}
+            >
+              ARTIST
+            </p>
+            <h2
+              style={{
+                fontSize: "clamp(28px, 5vw, 44px)",
+                fontWeight: 700,
+                margin: "0 0 8px 0",
+                textShadow: "0 2px 12px rgba(0,0,0,0.4)",
+              }}
+            >
+              {artist.data.name}
+            </h2>
+            <p style={{ fontSize: "14px", color: "rgba(255,255,255,0.8)", margin: 0 }}>
+              {(artist.data.nb_fan || 0).toLocaleString()} fans •{" "}
+              {artist.data.nb_album || 0} albums
+            </p>
+            {topTracks.length > 0 && (
+              <button
+                onClick={() => onPlayTrack(topTracks[0], topTracks, source)}
+                style={{
+                  marginTop: "16px",
+                  padding: "10px 24px",
+                  borderRadius: "25px",
+                  border: "none",
+                  background: "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+                  color: "white",
+                  cursor: "pointer",
+                  fontSize: "14px",
+                  fontWeight: 500,
+                  display: "inline-flex",
+                  alignItems: "center",
+                  gap: "8px",
+                }}
+              >
+                <FaPlay style={{ fontSize: "12px" }} />
+                Play top tracks
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <SectionStatus
+          loading={artist.loading}
+          error={artist.error}
+          onRetry={artist.retry}
+        />
+      )}
+
+      {/* Top tracks */}
+      <h3 style={sectionTitleStyle}>Top Tracks</h3>
+      <SectionStatus
+        loading={top.loading}
+        error={top.error}
+        onRetry={top.retry}
+        empty={top.data && topTracks.length === 0}
+        emptyText="No top tracks for this artist"
+      />
+      {topTracks.map((track, index) => (
+        <TrackRow
+          key={track.id}
+          track={track}
+          position={index + 1}
+          isCurrent={currentTrackId === track.id}
+          unavailable={unavailableIds.includes(track.id)}
+          isPlaying={isPlaying}
+          onPlay={() => onPlayTrack(track, topTracks, source)}
+          onOpenArtist={onOpenArtist}
+          onOpenAlbum={onOpenAlbum}
+        >
+          {renderTrackActions(track)}
+        </TrackRow>
+      ))}
+
+      {/* Discography */}
+      <h3 style={sectionTitleStyle}>Discography</h3>
+      <SectionStatus
+        loading={albums.loading}
+        error={albums.error}
+        onRetry={albums.retry}
+        empty={albums.data && albumList.length === 0}
+        emptyText="No albums found"
+      />
+      <div style={gridStyle}>
+        {albumList.map((album) => (
+          <MediaCard
+            key={album.id}
+            image={album.cover_medium}
+            title={album.title}
+            subtitle={[album.release_date?.slice(0, 4), album.record_type]
+              .filter(Boolean)
+              .join(" • ")}
+            onClick={() => onOpenAlbum(album)}
+          />
+        ))}
+      </div>
+
+      {/* Related artists */}
+      <h3 style={sectionTitleStyle}>Fans Also Like</h3>
+      <SectionStatus
+        loading={related.loading}
+        error={related.error}
+        onRetry={related.retry}
+        empty={related.data && relatedArtists.length === 0}
+        emptyText="No related artists"
+      />
+      <div style={gridStyle}>
+        {relatedArtists.map((relatedArtist) => (
+          <MediaCard
+            key={relatedArtist.id}
+            image={relatedArtist.picture_medium}
+            title={relatedArtist.name}
+            subtitle={`${(relatedArtist.nb_fan || 0).toLocaleString()} fans`}
+            round
+            onClick={() => onOpenArtist(relatedArtist)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ArtistView;
@@ -0,0 +1,44 @@
+/**
+ * ============================================================================
+ * BACK BUTTON
+ * ============================================================================
+ *
+ * The small "Back" pill shown at the top of artist, album and other views.
+ * ============================================================================
+ */
+
+/**
+ * BackButton
+ * @param {Function} onClick - Goes back to the previous view
+ * @param {string} label - Button text
+ */
+function BackButton({ onClick, label = "Back" }) {
+  return (
+    <button
+      onClick={onClick}
+      style={{
+        padding: "6px 12px",
+        borderRadius: "8px",
+        border: "1px solid rgba(255,255,255,0.2)",
+        background: "rgba(255,255,255,0.05)",
+        color: "rgba(255,255,255,0.7)",
+        cursor: "pointer",
+        fontSize: "13px",
+        fontWeight: 500,
+        transition: "all 0.2s ease",
+      }}
+      onMouseOver={(e) => {
+        e.currentTarget.style.background = "rgba(255,255,255,0.1)";
+        e.currentTarget.style.color = "white";
+      }}
+      onMouseOut={(e) => {
+        e.currentTarget.style.background = "rgba(255,255,255,0.05)";
+        e.currentTarget.style.color = "rgba(255,255,255,0.7)";
+      }}
+    >
+      ← {label}
+    </button>
+  );
+}
+
+export default BackButton;
@@ -0,0 +1,67 @@
+/**
+ * ============================================================================
+ * BACKUP CONTROLS
+ * ============================================================================
+ *
+ * "Back up" downloads the library and settings as a JSON file; "Restore"
+ * picks such a file (see storage/backup.js). What happens with the picked
+ * file - the preview and merge/replace choice - is up to the parent.
+ * ============================================================================
+ */
+
+import { useRef } from "react";
+import { FaDownload, FaUpload } from "react-icons/fa";
+
+const buttonStyle = {
+  flex: 1,
+  padding: "8px",
+  borderRadius: "10px",
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "rgba(255,255,255,0.03)",
+  color: "rgba(255,255,255,0.7)",
+  cursor: "pointer",
+  fontSize: "12px",
+  fontWeight: 500,
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  gap: "6px",
+};
+
+/**
+ * BackupControls
+ * @param {Function} onExport - Downloads a backup
+ * @param {Function} onPickFile - Called with the picked backup File
+ */
+function BackupControls({ onExport, onPickFile }) {
+  const inputRef = useRef(null);
+
+  return (
+    <div style={{ display: "flex", gap: "8px", marginTop: "16px" }}>
+      <button onClick={onExport} style={buttonStyle} title="Download your library and settings">
+        <FaDownload style={{ fontSize: "11px" }} />
+        Back up
+      </button>
+      <button
+        onClick={() => inputRef.current?.click()}
+        style={buttonStyle}
+        title="Restore from a backup file"
+      >
+        <FaUpload style={{ fontSize: "11px" }} />
+        Restore
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="application/json,.json"
+        style={{ display: "none" }}
+        onChange={(e) => {
+          if (e.target.files.length > 0) onPickFile(e.target.files[0]);
+          e.target.value = ""; // Picking the same file again still fires
+        }}
+      />
+    </div>
+  );
+}
+
+export default BackupControls;
@@ -0,0 +1,310 @@
+/**
+ * ============================================================================
+ * BROWSE VIEW - Genre charts
+ * ============================================================================
+ *
+ * Lets the user browse Deezer's charts by genre instead of only the global
+ * chart/0 shown in the sidebar:
+ *   - /genre                      the list of genres to pick from
+ *   - /chart/{genre_id}/{type}    top tracks, albums, artists or playlists
+ *   - /editorial/{id}/charts      fallback for genres that have no chart
+ *
+ * Each tab fetches on its own, with its own loading and error state.
+ * ============================================================================
+ */
+
+import { useState } from "react";
+import deezer, { describeDeezerError } from "../api/deezer.js";
+import useDeezer from "../hooks/useDeezer.js";
+import BackButton from "./BackButton.jsx";
+import MediaCard from "./MediaCard.jsx";
+import SectionStatus from "./SectionStatus.jsx";
+import TrackRow from "./TrackRow.jsx";
+
+const TABS = [
+  { key: "tracks", label: "Top Tracks" },
+  { key: "albums", label: "Albums" },
+  { key: "artists", label: "Artists" },
+  { key: "playlists", label: "Playlists" },
+];
+
+const CHART_LIMIT = 50;
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))",
+  gap: "8px",
+};
+
+const pillStyle = (active) => ({
+  padding: "8px 16px",
+  borderRadius: "20px",
+  border: active ? "1px solid rgba(139, 92, 246, 0.6)" : "1px solid rgba(255,255,255,0.1)",
+  background: active ? "rgba(139, 92, 246, 0.3)" : "rgba(255,255,255,0.03)",
+  color: active ? "white" : "rgba(255,255,255,0.7)",
+  cursor: "pointer",
+  fontSize: "13px",
+  fontWeight: 500,
+  whiteSpace: "nowrap",
+  transition: "all 0.2s ease",
+});
+
+/**
+ * useChart - Loads one chart list, falling back to the editorial charts
+ * Deezer answers /chart/{id}/{type} with an empty list for some genres; the
+ * editorial endpoint returns all four lists at once, so I pick the one I need.
+ */
+function useChart(genreId, type) {
+  const chart = useDeezer(`/chart/${genreId}/${type}`, { limit: CHART_LIMIT });
+  const chartItems = chart.data?.data || [];
+  const needsFallback = Boolean(chart.data) && chartItems.length === 0;
+
+  const editorial = useDeezer(needsFallback ? `/editorial/${genreId}/charts` : null);
+
+  if (!needsFallback) {
+    return { ...chart, items: chartItems };
+  }
+  return {
+    ...editorial,
+    items: editorial.data?.[type]?.data || [],
+  };
+}
+
+/**
+ * ChartTab - Renders the active tab's list
+ */
+function ChartTab({
+  genreId,
+  genreName,
+  type,
+  currentTrackId,
+  unavailableIds = [],
+  isPlaying,
+  onPlayTrack,
+  onPlayPlaylist,
+  onOpenArtist,
+  onOpenAlbum,
+  renderTrackActions,
+}) {
+  const { items, data, loading, error, retry } = useChart(genreId, type);
+
+  return (
+    <>
+      <SectionStatus
+        loading={loading}
+        error={error}
+        onRetry={retry}
+        empty={Boolean(data) && items.length === 0}
+        emptyText="No chart available for this genre yet"
+      />
+
+      {type === "tracks" &&
+        items.map((track, index) => (
+          <TrackRow
+            key={track.id}
+            track={track}
+            position={index + 1}
+            isCurrent={currentTrackId === track.id}
+            unavailable={unavailableIds.includes(track.id)}
+            isPlaying={isPlaying}
+            onPlay={() =>
+              onPlayTrack(track, items, {
+                type: "chart",
+                id: genreId,
+                label: `${genreName} chart`,
+              })
+            }
+            onOpenArtist={onOpenArtist}
+            onOpenAlbum={onOpenAlbum}
+          >
+            {renderTrackActions(track)}
+          </TrackRow>
+        ))}
+
+      {type !== "tracks" && (
+        <div style={gridStyle}>
+          {type === "albums" &&
+            items.map((album) => (
+              <MediaCard
+                key={album.id}
+                image={album.cover_medium}
+                title={album.title}
+                subtitle={album.artist?.name}
+                onClick={() => onOpenAlbum(album)}
+              />
+            ))}
+          {type === "artists" &&
+            items.map((artist) => (
+              <MediaCard
+                key={artist.id}
+                image={artist.picture_medium}
+                title={artist.name}
+                subtitle={artist.position ? `#${artist.position}` : null}
+                round
+                onClick={() => onOpenArtist(artist)}
+              />
+            ))}
+          {type === "playlists" &&
+            items.map((playlist) => (
+              <MediaCard
+                key={playlist.id}
+                image={playlist.picture_medium}
+                title={playlist.title}
+                subtitle={`${playlist.nb_tracks || 0} songs • ${playlist.user?.name || "Deezer"}`}
+                onClick={() => onPlayPlaylist(playlist)}
+              />
+            ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * BrowseView
+ * @param {number} genreId - Selected genre (0 = all genres)
+ * @param {string} tab - Selected tab key ("tracks", "albums"...)
+ * @param {Array} unavailableIds - Ids of songs that failed to play (shown dimmed)
+ * @param {Function} onChange - Called with { genreId, tab } when either changes
+ * @param {Function} onPlayTrack - Called with (track, list, source) to start playback
+ * @param {Function} onOpenArtist - Opens an artist page
+ * @param {Function} onOpenAlbum - Opens an album page
+ * @param {Function} onError - Shows an error toast
+ * @param {Function} renderTrackActions - Renders the buttons for a track row
+ * @param {Function} onBack - Returns to the previous view
+ */
+function BrowseView({
+  genreId = 0,
+  tab = "tracks",
+  currentTrackId,
+  unavailableIds = [],
+  isPlaying,
+  onChange,
+  onPlayTrack,
+  onOpenArtist,
+  onOpenAlbum,
+  onError,
+  renderTrackActions,
+  onBack,
+}) {
+  const genres = useDeezer("/genre");
+  const [loadingPlaylistId, setLoadingPlaylistId] = useState(null);
+  const genreList = genres.data?.data || [];
+  const genreName = genreList.find((genre) => genre.id === genreId)?.name || "All";
+
+  /**
+   * playPlaylist - Fetches a chart playlist's tracks and starts playing it
+   */
+  const playPlaylist = async (playlist) => {
+    if (loadingPlaylistId) return;
+    setLoadingPlaylistId(playlist.id);
+    const result = await deezer.request(`/playlist/${playlist.id}/tracks`, { limit: 100 });
+    setLoadingPlaylistId(null);
+
+    const playlistTracks = result.ok ? (result.data.data || []).filter((t) => t.preview) : [];
+    if (!result.ok) {
+      onError(describeDeezerError(result.error));
+    } else if (playlistTracks.length === 0) {
+      onError("This playlist has no playable songs");
+    } else {
+      onPlayTrack(playlistTracks[0], playlistTracks, {
+        type: "deezer-playlist",
+        id: playlist.id,
+        label: playlist.title,
+      });
+    }
+  };
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(255,255,255,0.08)",
+        borderRadius: "16px",
+        padding: "20px",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: "12px", marginBottom: "20px" }}>
+        <BackButton onClick={onBack} />
+        <h2 style={{ fontSize: "20px", fontWeight: 600, margin: 0 }}>Browse</h2>
+      </div>
+
+      {/* Genre picker */}
+      <SectionStatus loading={genres.loading} error={genres.error} onRetry={genres.retry} />
+      <div
+        className="scrollbar-hide"
+        style={{
+          display: "flex",
+          gap: "8px",
+          overflowX: "auto",
+          paddingBottom: "4px",
+          marginBottom: "16px",
+        }}
+      >
+        {genreList.map((genre) => (
+          <button
+            key={genre.id}
+            onClick={() => onChange({ genreId: genre.id, tab })}
+            style={pillStyle(genre.id === genreId)}
+          >
+            {genre.name}
+          </button>
+        ))}
+      </div>
+
+      {/* Tabs */}
+      <div
+        style={{
+          display: "flex",
+          gap: "4px",
+          borderBottom: "1px solid rgba(255,255,255,0.08)",
+          marginBottom: "16px",
+          overflowX: "auto",
+        }}
+      >
+        {TABS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => onChange({ genreId, tab: key })}
+            style={{
+              padding: "10px 16px",
+              border: "none",
+              borderBottom: key === tab ? "2px solid #8b5cf6" : "2px solid transparent",
+              background: "none",
+              color: key === tab ? "white" : "rgba(255,255,255,0.5)",
+              cursor: "pointer",
+              fontSize: "14px",
+              fontWeight: 500,
+              whiteSpace: "nowrap",
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loadingPlaylistId && (
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.5)", margin: "0 0 12px 0" }}>
+          Loading playlist...
+        </p>
+      )}
+
+      <ChartTab
+        key={`${genreId}-${tab}`}
+        genreId={genreId}
+        genreName={genreName}
+        type={tab}
+        currentTrackId={currentTrackId}
+        unavailableIds={unavailableIds}
+        isPlaying={isPlaying}
+        onPlayTrack={onPlayTrack}
+        onPlayPlaylist={playPlaylist}
+        onOpenArtist={onOpenArtist}
+        onOpenAlbum={onOpenAlbum}
+        renderTrackActions={renderTrackActions}
+      />
+    </div>
+  );
+}
+
+export default BrowseView;
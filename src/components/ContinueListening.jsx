@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * CONTINUE LISTENING
+ * ============================================================================
+ *
+ * Shown instead of the landing page when the last visit left something in
+ * the player (see player/session.js). One click resumes the song where it
+ * stopped, with the rest of the queue behind it; "Start fresh" forgets the
+ * session and opens the app as usual.
+ * ============================================================================
+ */
+
+import { FaPlay } from "react-icons/fa";
+import { IoMusicalNote } from "react-icons/io5";
+import { formatTime } from "../player/time.js";
+
+/**
+ * ContinueListening
+ * @param {Object} session - The saved session ({ queue, track, position })
+ * @param {boolean} fading - True while fading out into the app
+ * @param {Function} onContinue - Resumes playback
+ * @param {Function} onStartFresh - Drops the session and enters the app
+ */
+function ContinueListening({ session, fading, onContinue, onStartFresh }) {
+  const { track, queue, position } = session;
+  const upNext = queue.items.length - queue.position - 1;
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "24px",
+        background:
+          "linear-gradient(135deg, #1a1040 0%, #2d1b69 25%, #1e3a5f 50%, #2d1b69 75%, #1a1040 100%)",
+        opacity: fading ? 0 : 1,
+        transition: "opacity 0.5s ease",
+      }}
+    >
+      <div
+        style={{
+          width: "100%",
+          maxWidth: "400px",
+          textAlign: "center",
+          fontFamily: "'Outfit', system-ui, sans-serif",
+          animation: "slideUp 0.4s ease-out",
+        }}
+      >
+        <p
+          style={{
+            fontSize: "14px",
+            letterSpacing: "0.1em",
+            textTransform: "uppercase",
+            color: "rgba(199, 210, 254, 0.7)",
+            marginBottom: "24px",
+          }}
+        >
+          Welcome back to NovaBeat
+        </p>
+
+        {track.album?.cover_big ? (
+          <img
+            src={track.album.cover_big}
+            alt={track.album.title || track.title}
+            style={{
+              width: "220px",
+              height: "220px",
+              borderRadius: "20px",
+              objectFit: "cover",
+              boxShadow: "0 25px 50px -12px rgba(147, 51, 234, 0.4)",
+            }}
+          />
+        ) : (
+          <div
+            style={{
+              width: "220px",
+              height: "220px",
+              borderRadius: "20px",
+              display: "inline-flex",
+              alignItems: "center",
+              justifyContent: "center",
+              background: "linear-gradient(135deg, #818cf8 0%, #a78bfa 50%, #c4b5fd 100%)",
+            }}
+          >
+            <IoMusicalNote style={{ fontSize: "64px", color: "white" }} />
+          </div>
+        )}
+
+        <h1 style={{ fontSize: "26px", fontWeight: 500, margin: "24px 0 4px 0", color: "white" }}>
+          {track.title}
+        </h1>
+        <p style={{ fontSize: "16px", color: "#c7d2fe", margin: 0 }}>{track.artist?.name}</p>
+        <p style={{ fontSize: "13px", color: "rgba(199, 210, 254, 0.6)", margin: "12px 0 0 0" }}>
+          {position > 0 ? `Stopped at ${formatTime(position)}` : "Not started yet"}
+          {queue.source?.label && ` · from ${queue.source.label}`}
+          {upNext > 0 && ` · ${upNext} more in the queue`}
+        </p>
+
+        <button
+          onClick={onContinue}
+          style={{
+            marginTop: "32px",
+            width: "100%",
+            padding: "16px",
+            borderRadius: "16px",
+            border: "none",
+            background: "linear-gradient(135deg, #8b5cf6, #6366f1)",
+            color: "white",
+            fontSize: "17px",
+            fontWeight: 500,
+            cursor: "pointer",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            gap: "10px",
+            fontFamily: "inherit",
+          }}
+        >
+          <FaPlay style={{ fontSize: "14px" }} />
+          Continue listening
+        </button>
+        <button
+          onClick={onStartFresh}
+          style={{
+            marginTop: "12px",
+            width: "100%",
+            padding: "14px",
+            borderRadius: "16px",
+            border: "1px solid rgba(255, 255, 255, 0.15)",
+            background: "rgba(255, 255, 255, 0.05)",
+            color: "#c7d2fe",
+            fontSize: "15px",
+            cursor: "pointer",
+            fontFamily: "inherit",
+          }}
+        >
+          Start fresh
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ContinueListening;
@@ -0,0 +1,324 @@
+/**
+ * ============================================================================
+ * EQUALIZER PANEL
+ * ============================================================================
+ *
+ * Modal with the 10 band sliders, preamp and bypass switch. Changes apply
+ * live, so the user hears them straight away. Picking a preset loads its
+ * gains; moving any slider afterwards turns it into a "Custom" setting that
+ * can be saved under a new name.
+ * ============================================================================
+ */
+
+import { useState } from "react";
+import { FaTimes, FaTrash } from "react-icons/fa";
+import {
+  BUILT_IN_PRESETS,
+  EQ_FREQUENCIES,
+  EQ_MAX_GAIN,
+  EQ_MIN_GAIN,
+} from "../player/equalizer.js";
+
+const labelStyle = {
+  fontSize: "11px",
+  color: "rgba(255,255,255,0.5)",
+};
+
+const inputStyle = {
+  padding: "8px 12px",
+  borderRadius: "10px",
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "rgba(255,255,255,0.05)",
+  color: "white",
+  fontSize: "14px",
+  outline: "none",
+  fontFamily: "'Outfit', system-ui, sans-serif",
+};
+
+const buttonStyle = {
+  padding: "8px 16px",
+  borderRadius: "10px",
+  border: "none",
+  background: "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+  color: "white",
+  cursor: "pointer",
+  fontSize: "13px",
+  fontWeight: 500,
+};
+
+/**
+ * formatFrequency - 1000 -> "1k", 62 -> "62"
+ */
+const formatFrequency = (hz) => (hz >= 1000 ? `${hz / 1000}k` : `${hz}`);
+
+/**
+ * formatGain - 3 -> "+3", -4.5 -> "-4.5"
+ */
+const formatGain = (db) => (db > 0 ? `+${db}` : `${db}`);
+
+/**
+ * EqualizerPanel
+ * @param {Object} settings - Current equalizer settings ({ gains, preamp, bypass, preset })
+ * @param {Array} userPresets - Presets the user saved ({ name, gains, preamp })
+ * @param {Function} onChange - Called with the new settings on every change
+ * @param {Function} onSavePreset - Called with a name to save the current gains
+ * @param {Function} onDeletePreset - Called with the name of a user preset
+ * @param {Function} onClose - Hides the panel
+ */
+function EqualizerPanel({
+  settings,
+  userPresets,
+  onChange,
+  onSavePreset,
+  onDeletePreset,
+  onClose,
+}) {
+  const [presetName, setPresetName] = useState("");
+
+  const allPresets = [...BUILT_IN_PRESETS, ...userPresets];
+  const isUserPreset = userPresets.some((preset) => preset.name === settings.preset);
+
+  const selectPreset = (name) => {
+    const preset = allPresets.find((p) => p.name === name);
+    if (!preset) return;
+    onChange({
+      ...settings,
+      gains: preset.gains,
+      preamp: preset.preamp ?? 0,
+      preset: preset.name,
+    });
+  };
+
+  const setBand = (index, value) => {
+    const gains = settings.gains.map((gain, i) => (i === index ? value : gain));
+    onChange({ ...settings, gains, preset: null });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const name = presetName.trim();
+    if (!name) return;
+    onSavePreset(name);
+    setPresetName("");
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: "rgba(0,0,0,0.7)",
+        backdropFilter: "blur(8px)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 10001,
+        animation: "fadeIn 0.2s ease-out",
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          background: "rgba(15, 10, 30, 0.98)",
+          backdropFilter: "blur(20px)",
+          border: "1px solid rgba(255,255,255,0.1)",
+          borderRadius: "20px",
+          padding: "24px",
+          maxWidth: "640px",
+          width: "92%",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          boxShadow: "0 20px 60px rgba(0,0,0,0.5)",
+          animation: "slideUp 0.3s ease-out",
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header - title, bypass and close */}
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            gap: "12px",
+            marginBottom: "20px",
+          }}
+        >
+          <h2 style={{ fontSize: "20px", fontWeight: 600, margin: 0 }}>Equalizer</h2>
+          <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+                fontSize: "13px",
+                color: "rgba(255,255,255,0.7)",
+                cursor: "pointer",
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={settings.bypass}
+                onChange={(e) => onChange({ ...settings, bypass: e.target.checked })}
+                style={{ accentColor: "#8b5cf6" }}
+              />
+              Bypass
+            </label>
+            <button
+              onClick={onClose}
+              aria-label="Close equalizer"
+              style={{
+                background: "none",
+                border: "none",
+                cursor: "pointer",
+                color: "rgba(255,255,255,0.5)",
+                display: "flex",
+              }}
+            >
+              <FaTimes />
+            </button>
+          </div>
+        </div>
+
+        {/* Presets */}
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: "8px",
+            marginBottom: "20px",
+          }}
+        >
+          <select
+            value={settings.preset || ""}
+            onChange={(e) => selectPreset(e.target.value)}
+            style={{ ...inputStyle, flex: 1, minWidth: "160px" }}
+          >
+            {!settings.preset && <option value="">Custom</option>}
+            <optgroup label="Presets">
+              {BUILT_IN_PRESETS.map((preset) => (
+                <option key={preset.name} value={preset.name}>
+                  {preset.name}
+                </option>
+              ))}
+            </optgroup>
+            {userPresets.length > 0 && (
+              <optgroup label="My presets">
+                {userPresets.map((preset) => (
+                  <option key={preset.name} value={preset.name}>
+                    {preset.name}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          {isUserPreset && (
+            <button
+              onClick={() => onDeletePreset(settings.preset)}
+              aria-label="Delete preset"
+              title="Delete this preset"
+              style={{
+                ...buttonStyle,
+                background: "rgba(239, 68, 68, 0.2)",
+                color: "#fca5a5",
+                display: "flex",
+                alignItems: "center",
+              }}
+            >
+              <FaTrash style={{ fontSize: "12px" }} />
+            </button>
+          )}
+        </div>
+
+        {/* Preamp and band sliders */}
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            gap: "4px",
+            opacity: settings.bypass ? 0.4 : 1,
+            overflowX: "auto",
+            paddingBottom: "8px",
+          }}
+        >
+          {[
+            { key: "preamp", label: "Pre", value: settings.preamp },
+            ...EQ_FREQUENCIES.map((hz, index) => ({
+              key: hz,
+              label: formatFrequency(hz),
+              value: settings.gains[index],
+              index,
+            })),
+          ].map(({ key, label, value, index }) => (
+            <div
+              key={key}
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                alignItems: "center",
+                gap: "8px",
+                minWidth: "36px",
+                paddingRight: key === "preamp" ? "8px" : 0,
+                borderRight: key === "preamp" ? "1px solid rgba(255,255,255,0.08)" : "none",
+              }}
+            >
+              <span style={labelStyle}>{formatGain(value)}</span>
+              <input
+                type="range"
+                min={EQ_MIN_GAIN}
+                max={EQ_MAX_GAIN}
+                step="0.5"
+                value={value}
+                disabled={settings.bypass}
+                aria-label={key === "preamp" ? "Preamp" : `${label} Hz`}
+                onChange={(e) => {
+                  const db = Number(e.target.value);
+                  if (key === "preamp") {
+                    onChange({ ...settings, preamp: db, preset: null });
+                  } else {
+                    setBand(index, db);
+                  }
+                }}
+                style={{
+                  writingMode: "vertical-lr",
+                  direction: "rtl",
+                  height: "140px",
+                  width: "20px",
+                  accentColor: "#8b5cf6",
+                }}
+              />
+              <span style={labelStyle}>{label}</span>
+            </div>
+          ))}
+        </div>
+
+        {/* Save as a new preset */}
+        <form
+          onSubmit={handleSave}
+          style={{ display: "flex", gap: "8px", marginTop: "20px" }}
+        >
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Save current settings as..."
+            maxLength={30}
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button
+            type="submit"
+            disabled={!presetName.trim()}
+            style={{ ...buttonStyle, opacity: presetName.trim() ? 1 : 0.5 }}
+          >
+            Save preset
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default EqualizerPanel;
@@ -0,0 +1,248 @@
+/**
+ * ============================================================================
+ * FAVORITES VIEW
+ * ============================================================================
+ *
+ * Every favorited song in the center column, like a playlist. The list can
+ * be sorted (date added, title, artist, length) and filtered by text, and
+ * "Play all" / "Shuffle" play it in the order shown.
+ * ============================================================================
+ */
+
+import { useState } from "react";
+import { FaPlay, FaSortAmountDown, FaSortAmountUp } from "react-icons/fa";
+import { MdShuffle } from "react-icons/md";
+import BackButton from "./BackButton.jsx";
+import TrackRow from "./TrackRow.jsx";
+
+const SORT_OPTIONS = [
+  { value: "added", label: "Date added" },
+  { value: "title", label: "Title" },
+  { value: "artist", label: "Artist" },
+  { value: "duration", label: "Duration" },
+];
+
+const controlStyle = {
+  padding: "8px 12px",
+  borderRadius: "10px",
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "rgba(255,255,255,0.05)",
+  color: "white",
+  fontSize: "14px",
+  outline: "none",
+  fontFamily: "'Outfit', system-ui, sans-serif",
+};
+
+/**
+ * sortFavorites - Sorted copy of the favorites
+ * Favorites saved before dates were recorded have no addedAt; they keep
+ * their original order and count as the oldest.
+ * @param {Array} favorites - Favorites in the order they were added
+ * @param {string} sortBy - One of SORT_OPTIONS
+ * @param {boolean} descending - Newest / Z-A / longest first
+ */
+const sortFavorites = (favorites, sortBy, descending) => {
+  const compare = {
+    added: (a, b) => (a.track.addedAt || 0) - (b.track.addedAt || 0) || a.index - b.index,
+    title: (a, b) => a.track.title.localeCompare(b.track.title),
+    artist: (a, b) =>
+      (a.track.artist?.name || "").localeCompare(b.track.artist?.name || "") ||
+      a.track.title.localeCompare(b.track.title),
+    duration: (a, b) => (a.track.duration || 0) - (b.track.duration || 0),
+  }[sortBy];
+
+  return favorites
+    .map((track, index) => ({ track, index }))
+    .sort((a, b) => (descending ? compare(b, a) : compare(a, b)))
+    .map(({ track }) => track);
+};
+
+/**
+ * formatAdded - Short "date added" label, empty for old favorites
+ */
+const formatAdded = (timestamp) =>
+  timestamp
+    ? new Date(timestamp).toLocaleDateString(undefined, {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+/**
+ * FavoritesView
+ * @param {Array} favorites - Favorited tracks, oldest first
+ * @param {string} currentTrackId - Id of the loaded track
+ * @param {Array} unavailableIds - Ids of songs that failed to play (shown dimmed)
+ * @param {boolean} isPlaying - Whether audio is playing
+ * @param {Function} onPlayTrack - (track, list, source) like the other views
+ * @param {Function} onShuffleAll - (list, source) plays the list shuffled
+ * @param {Function} onOpenArtist - Opens an artist page
+ * @param {Function} onOpenAlbum - Opens an album page
+ * @param {Function} renderTrackActions - Returns the action buttons for a track
+ * @param {Function} onBack - Leaves the view
+ */
+function FavoritesView({
+  favorites,
+  currentTrackId,
+  unavailableIds = [],
+  isPlaying,
+  onPlayTrack,
+  onShuffleAll,
+  onOpenArtist,
+  onOpenAlbum,
+  renderTrackActions,
+  onBack,
+}) {
+  const [sortBy, setSortBy] = useState("added");
+  const [descending, setDescending] = useState(true);
+  const [filter, setFilter] = useState("");
+
+  const source = { type: "favorites", id: "favorites", label: "Favorites" };
+  const search = filter.trim().toLowerCase();
+  const shown = sortFavorites(favorites, sortBy, descending).filter(
+    (track) =>
+      !search ||
+      [track.title, track.artist?.name, track.album?.title].some((text) =>
+        (text || "").toLowerCase().includes(search)
+      )
+  );
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(255,255,255,0.08)",
+        borderRadius: "16px",
+        padding: "20px",
+      }}
+    >
+      <BackButton onClick={onBack} />
+
+      {/* Header - title, count and the play buttons */}
+      <div style={{ margin: "20px 0 20px 0" }}>
+        <h2 style={{ fontSize: "clamp(24px, 4vw, 36px)", fontWeight: 700, margin: "0 0 8px 0" }}>
+          Favorites
+        </h2>
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.5)", margin: 0 }}>
+          {favorites.length} {favorites.length === 1 ? "song" : "songs"}
+          {search && ` • ${shown.length} shown`}
+        </p>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", marginTop: "16px" }}>
+          <button
+            onClick={() => onPlayTrack(shown[0], shown, source)}
+            disabled={shown.length === 0}
+            style={{
+              padding: "10px 24px",
+              borderRadius: "25px",
+              border: "none",
+              background: "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+              color: "white",
+              cursor: shown.length === 0 ? "not-allowed" : "pointer",
+              opacity: shown.length === 0 ? 0.5 : 1,
+              fontSize: "14px",
+              fontWeight: 500,
+              display: "inline-flex",
+              alignItems: "center",
+              gap: "8px",
+            }}
+          >
+            <FaPlay style={{ fontSize: "12px" }} />
+            Play all
+          </button>
+          <button
+            onClick={() => onShuffleAll(shown, source)}
+            disabled={shown.length === 0}
+            style={{
+              padding: "10px 20px",
+              borderRadius: "25px",
+              border: "1px solid rgba(255,255,255,0.2)",
+              background: "rgba(255,255,255,0.05)",
+              color: "rgba(255,255,255,0.8)",
+              cursor: shown.length === 0 ? "not-allowed" : "pointer",
+              opacity: shown.length === 0 ? 0.5 : 1,
+              fontSize: "14px",
+              fontWeight: 500,
+              display: "inline-flex",
+              alignItems: "center",
+              gap: "8px",
+            }}
+          >
+            <MdShuffle style={{ fontSize: "16px" }} />
+            Shuffle
+          </button>
+        </div>
+      </div>
+
+      {/* Filter and sort */}
+      {favorites.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginBottom: "16px" }}>
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter favorites..."
+            aria-label="Filter favorites"
+            style={{ ...controlStyle, flex: 1, minWidth: "180px" }}
+          />
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            aria-label="Sort by"
+            style={{ ...controlStyle, cursor: "pointer" }}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value} style={{ background: "#1a1040" }}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setDescending(!descending)}
+            aria-label={descending ? "Sorted descending" : "Sorted ascending"}
+            title={descending ? "Descending" : "Ascending"}
+            style={{ ...controlStyle, cursor: "pointer", display: "flex", alignItems: "center" }}
+          >
+            {descending ? <FaSortAmountDown /> : <FaSortAmountUp />}
+          </button>
+        </div>
+      )}
+
+      {favorites.length === 0 ? (
+        <p style={{ textAlign: "center", padding: "32px 16px", color: "rgba(255,255,255,0.5)" }}>
+          No favorites yet - tap the heart on any song to save it here.
+        </p>
+      ) : shown.length === 0 ? (
+        <p style={{ textAlign: "center", padding: "32px 16px", color: "rgba(255,255,255,0.5)" }}>
+          No favorites match "{filter}".
+        </p>
+      ) : (
+        shown.map((track) => (
+          <TrackRow
+            key={track.id}
+            track={track}
+            isCurrent={currentTrackId === track.id}
+            unavailable={unavailableIds.includes(track.id)}
+            isPlaying={isPlaying}
+            onPlay={() => onPlayTrack(track, shown, source)}
+            onOpenArtist={onOpenArtist}
+            onOpenAlbum={onOpenAlbum}
+          >
+            {track.addedAt && (
+              <span
+                className="favorite-added"
+                style={{ fontSize: "12px", color: "rgba(255,255,255,0.4)", whiteSpace: "nowrap" }}
+              >
+                {formatAdded(track.addedAt)}
+              </span>
+            )}
+            {renderTrackActions(track)}
+          </TrackRow>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default FavoritesView;
@@ -0,0 +1,245 @@
+/**
+ * ============================================================================
+ * HISTORY VIEW
+ * ============================================================================
+ *
+ * The full listening log (see player/history.js), grouped by day. Each play
+ * shows when it started, how much of the song was heard and whether it was
+ * skipped. Entries can be searched, deleted one by one, or cleared for a
+ * range (today, the last 7 / 30 days, everything).
+ * ============================================================================
+ */
+
+import { useState } from "react";
+import { FaTimes } from "react-icons/fa";
+import { groupHistoryByDay, startOfDay } from "../player/history.js";
+import { DAY_MS, formatTime } from "../player/time.js";
+import BackButton from "./BackButton.jsx";
+import TrackRow from "./TrackRow.jsx";
+
+// "Clear" choices - since() gives the first timestamp that gets deleted
+const CLEAR_RANGES = [
+  { value: "today", label: "Today", since: (now) => startOfDay(now) },
+  { value: "week", label: "Last 7 days", since: (now) => startOfDay(now - 6 * DAY_MS) },
+  { value: "month", label: "Last 30 days", since: (now) => startOfDay(now - 29 * DAY_MS) },
+  { value: "all", label: "All history", since: () => null },
+];
+
+const OUTCOME_LABELS = {
+  completed: null,
+  skipped: "Skipped",
+  stopped: "Stopped",
+};
+
+const controlStyle = {
+  padding: "8px 12px",
+  borderRadius: "10px",
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "rgba(255,255,255,0.05)",
+  color: "white",
+  fontSize: "14px",
+  outline: "none",
+  fontFamily: "'Outfit', system-ui, sans-serif",
+};
+
+/**
+ * formatClock - "14:05" (or "2:05 PM") for a timestamp
+ */
+const formatClock = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+
+/**
+ * HistoryView
+ * @param {Array} history - Log entries, newest first
+ * @param {string} currentTrackId - Id of the loaded track
+ * @param {Array} unavailableIds - Ids of songs that failed to play (shown dimmed)
+ * @param {boolean} isPlaying - Whether audio is playing
+ * @param {Function} onPlayTrack - (track, list, source) like the other views
+ * @param {Function} onDeleteEntry - Called with an entry id
+ * @param {Function} onClear - Called with a timestamp (or null for everything)
+ * @param {Function} onOpenArtist - Opens an artist page
+ * @param {Function} onOpenAlbum - Opens an album page
+ * @param {Function} renderTrackActions - Returns the action buttons for a track
+ * @param {Function} onBack - Leaves the view
+ */
+function HistoryView({
+  history,
+  currentTrackId,
+  unavailableIds = [],
+  isPlaying,
+  onPlayTrack,
+  onDeleteEntry,
+  onClear,
+  onOpenArtist,
+  onOpenAlbum,
+  renderTrackActions,
+  onBack,
+}) {
+  const [filter, setFilter] = useState("");
+
+  const search = filter.trim().toLowerCase();
+  const entries = search
+    ? history.filter((entry) =>
+        [entry.track.title, entry.track.artist?.name, entry.track.album?.title].some((text) =>
+          (text || "").toLowerCase().includes(search)
+        )
+      )
+    : history;
+  const groups = groupHistoryByDay(entries);
+  const source = { type: "history", id: "history", label: "History" };
+
+  const clearRange = (value) => {
+    const range = CLEAR_RANGES.find((r) => r.value === value);
+    if (!range) return;
+    if (window.confirm(`Delete your listening history for "${range.label}"?`)) {
+      onClear(range.since(Date.now()));
+    }
+  };
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(255,255,255,0.08)",
+        borderRadius: "16px",
+        padding: "20px",
+      }}
+    >
+      <BackButton onClick={onBack} />
+
+      <div style={{ margin: "20px 0 20px 0" }}>
+        <h2 style={{ fontSize: "clamp(24px, 4vw, 36px)", fontWeight: 700, margin: "0 0 8px 0" }}>
+          Listening History
+        </h2>
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.5)", margin: 0 }}>
+          {history.length} {history.length === 1 ? "play" : "plays"}
+          {search && ` • ${entries.length} shown`}
+        </p>
+      </div>
+
+      {/* Search and clear */}
+      {history.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginBottom: "16px" }}>
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Search history..."
+            aria-label="Search history"
+            style={{ ...controlStyle, flex: 1, minWidth: "180px" }}
+          />
+          <select
+            value=""
+            onChange={(e) => clearRange(e.target.value)}
+            aria-label="Clear history"
+            style={{ ...controlStyle, cursor: "pointer" }}
+          >
+            <option value="" disabled style={{ background: "#1a1040" }}>
+              Clear...
+            </option>
+            {CLEAR_RANGES.map((range) => (
+              <option key={range.value} value={range.value} style={{ background: "#1a1040" }}>
+                {range.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {history.length === 0 && (
+        <p style={{ textAlign: "center", padding: "32px 16px", color: "rgba(255,255,255,0.5)" }}>
+          Nothing played yet - songs show up here once you've listened to them.
+        </p>
+      )}
+      {history.length > 0 && entries.length === 0 && (
+        <p style={{ textAlign: "center", padding: "32px 16px", color: "rgba(255,255,255,0.5)" }}>
+          Nothing in your history matches "{filter}".
+        </p>
+      )}
+
+      {groups.map((group) => {
+        const groupTracks = group.entries.map((entry) => entry.track);
+        return (
+          <div key={group.key} style={{ marginBottom: "20px" }}>
+            <h3
+              style={{
+                fontSize: "13px",
+                fontWeight: 600,
+                letterSpacing: "0.5px",
+                textTransform: "uppercase",
+                color: "rgba(255,255,255,0.5)",
+                margin: "0 0 8px 12px",
+              }}
+            >
+              {group.label}
+            </h3>
+            {group.entries.map((entry, index) => (
+              <TrackRow
+                key={entry.id}
+                track={entry.track}
+                isCurrent={currentTrackId === entry.track.id}
+                unavailable={unavailableIds.includes(entry.track.id)}
+                isPlaying={isPlaying}
+                onPlay={() => onPlayTrack(groupTracks[index], groupTracks, source)}
+                onOpenArtist={onOpenArtist}
+                onOpenAlbum={onOpenAlbum}
+              >
+                <span
+                  style={{
+                    fontSize: "12px",
+                    color: "rgba(255,255,255,0.4)",
+                    textAlign: "right",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  {entry.startedAt !== null && formatClock(entry.startedAt)}
+                  {entry.listened !== null && (
+                    <>
+                      <br />
+                      {formatTime(entry.listened)}
+                      {entry.track.duration ? ` of ${formatTime(entry.track.duration)}` : ""}
+                    </>
+                  )}
+                </span>
+                {OUTCOME_LABELS[entry.outcome] && (
+                  <span
+                    style={{
+                      padding: "1px 6px",
+                      borderRadius: "4px",
+                      background: "rgba(255,255,255,0.08)",
+                      color: "rgba(255,255,255,0.6)",
+                      fontSize: "11px",
+                    }}
+                  >
+                    {OUTCOME_LABELS[entry.outcome]}
+                  </span>
+                )}
+                {renderTrackActions(entry.track)}
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDeleteEntry(entry.id);
+                  }}
+                  aria-label="Delete from history"
+                  title="Delete from history"
+                  style={{
+                    background: "none",
+                    border: "none",
+                    cursor: "pointer",
+                    color: "rgba(255,255,255,0.4)",
+                    padding: "4px",
+                    display: "flex",
+                  }}
+                >
+                  <FaTimes style={{ fontSize: "13px" }} />
+                </button>
+              </TrackRow>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default HistoryView;
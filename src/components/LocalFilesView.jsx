@@ -0,0 +1,179 @@
+/**
+ * ============================================================================
+ * LOCAL FILES VIEW
+ * ============================================================================
+ *
+ * Lists the songs the user added from their computer (see
+ * player/localFiles.js). Files come in through the "Add files" picker here
+ * or by dropping them anywhere on the app; they play, favorite and go into
+ * playlists like any Deezer track.
+ * ============================================================================
+ */
+
+import { useRef } from "react";
+import { FaFolderOpen, FaPlay, FaTrash } from "react-icons/fa";
+import BackButton from "./BackButton.jsx";
+import TrackRow from "./TrackRow.jsx";
+
+// What the file picker offers - extensions too, for systems without MIME types
+const ACCEPT = "audio/*,.mp3,.flac,.ogg,.oga,.opus,.m4a";
+
+/**
+ * LocalFilesView
+ * @param {Array} tracks - Local tracks, oldest first
+ * @param {boolean} importing - True while files are being read and stored
+ * @param {string} currentTrackId - Id of the loaded track
+ * @param {Array} unavailableIds - Ids of songs that failed to play (shown dimmed)
+ * @param {boolean} isPlaying - Whether audio is playing
+ * @param {Function} onPlayTrack - (track, list, source) like the other views
+ * @param {Function} onAddFiles - Called with the picked FileList
+ * @param {Function} onRemove - Called with a track to delete it from the library
+ * @param {Function} renderTrackActions - Returns the action buttons for a track
+ * @param {Function} onBack - Leaves the view
+ */
+function LocalFilesView({
+  tracks,
+  importing,
+  currentTrackId,
+  unavailableIds = [],
+  isPlaying,
+  onPlayTrack,
+  onAddFiles,
+  onRemove,
+  renderTrackActions,
+  onBack,
+}) {
+  const inputRef = useRef(null);
+  const source = { type: "local", id: "local", label: "Local files" };
+  const totalMinutes = Math.round(tracks.reduce((sum, t) => sum + (t.duration || 0), 0) / 60);
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(255,255,255,0.08)",
+        borderRadius: "16px",
+        padding: "20px",
+      }}
+    >
+      <BackButton onClick={onBack} />
+
+      {/* Header - title, count and the add / play buttons */}
+      <div style={{ margin: "20px 0 24px 0" }}>
+        <h2 style={{ fontSize: "clamp(24px, 4vw, 36px)", fontWeight: 700, margin: "0 0 8px 0" }}>
+          Local Files
+        </h2>
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.5)", margin: 0 }}>
+          {tracks.length} {tracks.length === 1 ? "song" : "songs"}
+          {totalMinutes > 0 && ` • ${totalMinutes} min`} • MP3, FLAC, OGG and M4A
+        </p>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", marginTop: "16px" }}>
+          <button
+            onClick={() => onPlayTrack(tracks[0], tracks, source)}
+            disabled={tracks.length === 0}
+            style={{
+              padding: "10px 24px",
+              borderRadius: "25px",
+              border: "none",
+              background: "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+              color: "white",
+              cursor: tracks.length === 0 ? "not-allowed" : "pointer",
+              opacity: tracks.length === 0 ? 0.5 : 1,
+              fontSize: "14px",
+              fontWeight: 500,
+              display: "inline-flex",
+              alignItems: "center",
+              gap: "8px",
+            }}
+          >
+            <FaPlay style={{ fontSize: "12px" }} />
+            Play all
+          </button>
+          <button
+            onClick={() => inputRef.current?.click()}
+            disabled={importing}
+            style={{
+              padding: "10px 20px",
+              borderRadius: "25px",
+              border: "1px solid rgba(255,255,255,0.2)",
+              background: "rgba(255,255,255,0.05)",
+              color: "rgba(255,255,255,0.8)",
+              cursor: importing ? "wait" : "pointer",
+              fontSize: "14px",
+              fontWeight: 500,
+              display: "inline-flex",
+              alignItems: "center",
+              gap: "8px",
+            }}
+          >
+            <FaFolderOpen style={{ fontSize: "13px" }} />
+            {importing ? "Adding..." : "Add files"}
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={ACCEPT}
+            multiple
+            style={{ display: "none" }}
+            onChange={(e) => {
+              if (e.target.files.length > 0) onAddFiles(e.target.files);
+              e.target.value = ""; // Picking the same file again still fires
+            }}
+          />
+        </div>
+      </div>
+
+      {tracks.length === 0 ? (
+        <div
+          style={{
+            textAlign: "center",
+            padding: "40px 16px",
+            border: "2px dashed rgba(255,255,255,0.12)",
+            borderRadius: "12px",
+            color: "rgba(255,255,255,0.5)",
+            fontSize: "14px",
+          }}
+        >
+          Drop audio files anywhere on NovaBeat, or use "Add files".
+          <br />
+          They stay in this browser - nothing is uploaded.
+        </div>
+      ) : (
+        tracks.map((track) => (
+          <TrackRow
+            key={track.id}
+            track={track}
+            isCurrent={currentTrackId === track.id}
+            unavailable={unavailableIds.includes(track.id)}
+            isPlaying={isPlaying}
+            onPlay={() => onPlayTrack(track, tracks, source)}
+          >
+            {renderTrackActions(track)}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onRemove(track);
+              }}
+              aria-label={`Remove ${track.title} from local files`}
+              title="Remove from local files"
+              style={{
+                background: "rgba(239, 68, 68, 0.2)",
+                border: "none",
+                cursor: "pointer",
+                padding: "6px",
+                borderRadius: "6px",
+                color: "#f87171",
+                transition: "all 0.2s ease",
+              }}
+            >
+              <FaTrash style={{ fontSize: "14px" }} />
+            </button>
+          </TrackRow>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default LocalFilesView;
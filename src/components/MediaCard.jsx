@@ -0,0 +1,81 @@
+/**
+ * ============================================================================
+ * MEDIA CARD
+ * ============================================================================
+ *
+ * A square (or round, for artists) cover with a title and subtitle under it.
+ * Used in the album, artist and playlist grids.
+ * ============================================================================
+ */
+
+/**
+ * MediaCard
+ * @param {string} image - Cover or picture URL
+ * @param {string} title - Main line (album title, artist name...)
+ * @param {string} subtitle - Secondary line (year, fan count...)
+ * @param {boolean} round - Round picture (used for artists)
+ * @param {Function} onClick - Called when the card is clicked
+ */
+function MediaCard({ image, title, subtitle, round = false, onClick }) {
+  return (
+    <div
+      onClick={onClick}
+      style={{
+        padding: "12px",
+        borderRadius: "12px",
+        cursor: onClick ? "pointer" : "default",
+        transition: "all 0.2s ease",
+        textAlign: round ? "center" : "left",
+        minWidth: 0,
+      }}
+      onMouseOver={(e) => {
+        e.currentTarget.style.background = "rgba(255,255,255,0.05)";
+      }}
+      onMouseOut={(e) => {
+        e.currentTarget.style.background = "transparent";
+      }}
+    >
+      <img
+        src={image}
+        alt={title}
+        style={{
+          width: "100%",
+          aspectRatio: "1 / 1",
+          objectFit: "cover",
+          borderRadius: round ? "50%" : "10px",
+          boxShadow: "0 8px 24px rgba(0,0,0,0.3)",
+          marginBottom: "10px",
+          display: "block",
+        }}
+      />
+      <p
+        style={{
+          fontSize: "14px",
+          fontWeight: 500,
+          margin: 0,
+          overflow: "hidden",
+          textOverflow: "ellipsis",
+          whiteSpace: "nowrap",
+        }}
+      >
+        {title}
+      </p>
+      {subtitle && (
+        <p
+          style={{
+            fontSize: "12px",
+            color: "rgba(255,255,255,0.5)",
+            margin: "2px 0 0 0",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {subtitle}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default MediaCard;
@@ -0,0 +1,211 @@
+/**
+ * ============================================================================
+ * UP NEXT PANEL
+ * ============================================================================
+ *
+ * Lives in the Now Playing column and shows what the queue will play after
+ * the current song. Songs can be dragged (or nudged with the arrows) to
+ * reorder them, removed, or clicked to jump straight to them.
+ * ============================================================================
+ */
+
+import { useState } from "react";
+import { FaChevronDown, FaChevronUp, FaTimes } from "react-icons/fa";
+
+const iconButtonStyle = {
+  background: "none",
+  border: "none",
+  cursor: "pointer",
+  color: "rgba(255,255,255,0.4)",
+  padding: "4px",
+  display: "flex",
+  alignItems: "center",
+};
+
+/**
+ * QueuePanel
+ * @param {Object} source - Where playback started ({ label })
+ * @param {Array} upcoming - Queue items after the playing one ({ uid, track, queued })
+ * @param {Function} onJump - Called with a uid to play that item now
+ * @param {Function} onMove - Called with (uid, newUpcomingIndex)
+ * @param {Function} onRemove - Called with a uid to drop it from the queue
+ * @param {Function} onClear - Clears everything that's coming up
+ */
+function QueuePanel({ source, upcoming, onJump, onMove, onRemove, onClear }) {
+  const [draggedUid, setDraggedUid] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  return (
+    <div style={{ width: "100%", marginTop: "32px" }}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          marginBottom: "4px",
+        }}
+      >
+        <p
+          style={{
+            fontSize: "12px",
+            fontWeight: 500,
+            color: "rgba(255,255,255,0.4)",
+            letterSpacing: "1px",
+            margin: 0,
+          }}
+        >
+          UP NEXT
+        </p>
+        {upcoming.length > 0 && (
+          <button
+            onClick={onClear}
+            style={{
+              ...iconButtonStyle,
+              fontSize: "12px",
+              color: "rgba(255,255,255,0.5)",
+            }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      {source?.label && (
+        <p
+          style={{
+            fontSize: "12px",
+            color: "rgba(255,255,255,0.5)",
+            margin: "0 0 12px 0",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          Playing from {source.label}
+        </p>
+      )}
+
+      {upcoming.length === 0 && (
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.4)", margin: "8px 0" }}>
+          Nothing queued. Use "Play next" or "Add to queue" on any song.
+        </p>
+      )}
+
+      <div style={{ maxHeight: "280px", overflowY: "auto" }}>
+        {upcoming.map((item, index) => (
+          <div
+            key={item.uid}
+            draggable
+            onDragStart={(e) => {
+              setDraggedUid(item.uid);
+              e.dataTransfer.effectAllowed = "move";
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropIndex(index);
+            }}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (draggedUid) onMove(draggedUid, index);
+              setDraggedUid(null);
+              setDropIndex(null);
+            }}
+            onDragEnd={() => {
+              setDraggedUid(null);
+              setDropIndex(null);
+            }}
+            onClick={() => onJump(item.uid)}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+              padding: "6px",
+              borderRadius: "8px",
+              cursor: "grab",
+              opacity: draggedUid === item.uid ? 0.4 : 1,
+              borderTop:
+                dropIndex === index && draggedUid && draggedUid !== item.uid
+                  ? "2px solid #8b5cf6"
+                  : "2px solid transparent",
+            }}
+            onMouseOver={(e) => {
+              e.currentTarget.style.background = "rgba(255,255,255,0.05)";
+            }}
+            onMouseOut={(e) => {
+              e.currentTarget.style.background = "transparent";
+            }}
+          >
+            <img
+              src={item.track.album?.cover_small}
+              alt={item.track.title}
+              style={{ width: "32px", height: "32px", borderRadius: "6px", flexShrink: 0 }}
+            />
+            <div style={{ flex: 1, minWidth: 0, textAlign: "left" }}>
+              <p
+                style={{
+                  fontSize: "13px",
+                  fontWeight: 500,
+                  margin: 0,
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                  color: item.queued ? "#c4b5fd" : "white",
+                }}
+              >
+                {item.track.title}
+              </p>
+              <p
+                style={{
+                  fontSize: "11px",
+                  color: "rgba(255,255,255,0.5)",
+                  margin: 0,
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {item.track.artist?.name}
+              </p>
+            </div>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onMove(item.uid, index - 1);
+              }}
+              disabled={index === 0}
+              aria-label="Move up"
+              style={{ ...iconButtonStyle, opacity: index === 0 ? 0.3 : 1 }}
+            >
+              <FaChevronUp style={{ fontSize: "10px" }} />
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onMove(item.uid, index + 1);
+              }}
+              disabled={index === upcoming.length - 1}
+              aria-label="Move down"
+              style={{
+                ...iconButtonStyle,
+                opacity: index === upcoming.length - 1 ? 0.3 : 1,
+              }}
+            >
+              <FaChevronDown style={{ fontSize: "10px" }} />
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onRemove(item.uid);
+              }}
+              aria-label="Remove from queue"
+              style={iconButtonStyle}
+            >
+              <FaTimes style={{ fontSize: "11px" }} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default QueuePanel;
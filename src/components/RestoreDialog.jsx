@@ -0,0 +1,269 @@
+/**
+ * ============================================================================
+ * RESTORE DIALOG
+ * ============================================================================
+ *
+ * Shown after a backup file is picked. The user chooses whether to merge it
+ * into the current library or replace the library with it, and sees what
+ * either choice would add and remove before anything is written.
+ * ============================================================================
+ */
+
+import { useEffect, useState } from "react";
+import { FaTimes } from "react-icons/fa";
+import { planRestore } from "../storage/backup.js";
+
+const MODES = [
+  { value: "merge", label: "Merge", hint: "Keep everything and add what's missing" },
+  { value: "replace", label: "Replace", hint: "Make the library exactly the backup's" },
+];
+
+/**
+ * describeChange - "+3, 1 updated, -2" style summary of one list
+ */
+const describeChange = ({ added, updated = 0, removed }, noun) => {
+  const parts = [];
+  if (added) parts.push(`+${added} ${noun}`);
+  if (updated) parts.push(`${updated} updated`);
+  if (removed) parts.push(`-${removed} removed`);
+  return parts.length > 0 ? parts.join(", ") : "No change";
+};
+
+/**
+ * RestoreDialog
+ * @param {Object} backup - From parseBackup(): { exportedAt, library, settings, skipped }
+ * @param {Object} current - The library now: { favorites, playlists, history }
+ * @param {Function} onRestore - Called with { library, restoreSettings };
+ *   returns a promise that settles when the restore is done
+ * @param {Function} onClose - Hides the dialog
+ */
+function RestoreDialog({ backup, current, onRestore, onClose }) {
+  const [mode, setMode] = useState("merge");
+  const settingsCount = Object.keys(backup.settings).length;
+  const [restoreSettings, setRestoreSettings] = useState(settingsCount > 0);
+  const [restoring, setRestoring] = useState(false);
+
+  // Escape closes the dialog (unless it's busy writing)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape" && !restoring) onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [restoring, onClose]);
+
+  const { library, changes } = planRestore(current, backup.library, mode);
+  const rows = [
+    ["Favorites", describeChange(changes.favorites, "songs")],
+    ["Playlists", describeChange(changes.playlists, "playlists")],
+    ["History", describeChange(changes.history, "plays")],
+  ];
+
+  const restore = async () => {
+    setRestoring(true);
+    try {
+      await onRestore({ library, restoreSettings });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: "rgba(0,0,0,0.7)",
+        backdropFilter: "blur(8px)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 10001,
+        animation: "fadeIn 0.2s ease-out",
+      }}
+      onClick={restoring ? undefined : onClose}
+    >
+      <div
+        role="dialog"
+        aria-label="Restore backup"
+        style={{
+          background: "rgba(15, 10, 30, 0.98)",
+          backdropFilter: "blur(20px)",
+          border: "1px solid rgba(255,255,255,0.1)",
+          borderRadius: "20px",
+          padding: "24px",
+          maxWidth: "440px",
+          width: "92%",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          boxShadow: "0 20px 60px rgba(0,0,0,0.5)",
+          animation: "slideUp 0.3s ease-out",
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            marginBottom: "4px",
+          }}
+        >
+          <h2 style={{ fontSize: "20px", fontWeight: 600, margin: 0 }}>Restore Backup</h2>
+          <button
+            onClick={onClose}
+            disabled={restoring}
+            aria-label="Close"
+            style={{
+              background: "none",
+              border: "none",
+              cursor: "pointer",
+              color: "rgba(255,255,255,0.5)",
+              display: "flex",
+            }}
+          >
+            <FaTimes />
+          </button>
+        </div>
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.5)", margin: "0 0 16px 0" }}>
+          {backup.exportedAt
+            ? `Made on ${new Date(backup.exportedAt).toLocaleString()}`
+            : "Date unknown"}{" "}
+          • {backup.library.favorites.length} favorites, {backup.library.playlists.length}{" "}
+          playlists, {backup.library.history.length} plays
+        </p>
+
+        {/* Merge or replace */}
+        <div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}>
+          {MODES.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setMode(option.value)}
+              style={{
+                flex: 1,
+                textAlign: "left",
+                padding: "10px 12px",
+                borderRadius: "12px",
+                border:
+                  mode === option.value
+                    ? "1px solid rgba(139, 92, 246, 0.6)"
+                    : "1px solid rgba(255,255,255,0.1)",
+                background:
+                  mode === option.value ? "rgba(139, 92, 246, 0.25)" : "rgba(255,255,255,0.03)",
+                color: "white",
+                cursor: "pointer",
+              }}
+            >
+              <span style={{ display: "block", fontSize: "14px", fontWeight: 600 }}>
+                {option.label}
+              </span>
+              <span style={{ fontSize: "12px", color: "rgba(255,255,255,0.6)" }}>
+                {option.hint}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {/* Preview of the changes */}
+        <div
+          style={{
+            background: "rgba(255,255,255,0.03)",
+            border: "1px solid rgba(255,255,255,0.08)",
+            borderRadius: "12px",
+            padding: "4px 12px",
+            marginBottom: "16px",
+          }}
+        >
+          {rows.map(([label, summary]) => (
+            <div
+              key={label}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                gap: "12px",
+                padding: "8px 0",
+                fontSize: "13px",
+              }}
+            >
+              <span style={{ color: "rgba(255,255,255,0.6)" }}>{label}</span>
+              <span style={{ textAlign: "right" }}>{summary}</span>
+            </div>
+          ))}
+        </div>
+
+        {settingsCount > 0 && (
+          <label
+            style={{
+              display: "flex",
+              alignItems: "flex-start",
+              gap: "8px",
+              fontSize: "13px",
+              marginBottom: "12px",
+              cursor: "pointer",
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={restoreSettings}
+              onChange={(e) => setRestoreSettings(e.target.checked)}
+            />
+            <span>
+              Also restore {settingsCount} player settings (volume, equalizer, shortcuts...) -
+              the page reloads to apply them
+            </span>
+          </label>
+        )}
+
+        <p style={{ fontSize: "12px", color: "rgba(255,255,255,0.4)", margin: "0 0 16px 0" }}>
+          Audio added from your computer isn't part of a backup - add those files again to
+          play them.
+          {backup.skipped > 0 && ` ${backup.skipped} damaged entries in the file will be skipped.`}
+        </p>
+
+        <div style={{ display: "flex", gap: "12px" }}>
+          <button
+            onClick={onClose}
+            disabled={restoring}
+            style={{
+              flex: 1,
+              padding: "12px",
+              borderRadius: "12px",
+              border: "1px solid rgba(255,255,255,0.2)",
+              background: "transparent",
+              color: "white",
+              cursor: "pointer",
+              fontSize: "14px",
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={restore}
+            disabled={restoring}
+            style={{
+              flex: 1,
+              padding: "12px",
+              borderRadius: "12px",
+              border: "none",
+              background:
+                mode === "replace"
+                  ? "linear-gradient(135deg, #ef4444 0%, #ec4899 100%)"
+                  : "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+              color: "white",
+              cursor: restoring ? "wait" : "pointer",
+              fontSize: "14px",
+              fontWeight: 500,
+            }}
+          >
+            {restoring ? "Restoring..." : mode === "replace" ? "Replace library" : "Merge"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RestoreDialog;
@@ -0,0 +1,194 @@
+/**
+ * ============================================================================
+ * SEARCH SUGGESTIONS DROPDOWN
+ * ============================================================================
+ *
+ * Shown under the search box while the user types. Hits are grouped into
+ * Artists, Albums and Songs so it's quick to jump to the right thing.
+ * The parent owns all the data - this component only renders it.
+ * ============================================================================
+ */
+
+/**
+ * SuggestionGroup - One labelled group of results (e.g. "ARTISTS")
+ */
+function SuggestionGroup({ label, items, renderItem }) {
+  if (items.length === 0) return null;
+  return (
+    <div style={{ marginBottom: "8px" }}>
+      <p
+        style={{
+          fontSize: "11px",
+          fontWeight: 500,
+          color: "rgba(255,255,255,0.4)",
+          letterSpacing: "1px",
+          margin: "4px 8px 6px 8px",
+        }}
+      >
+        {label}
+      </p>
+      {items.map(renderItem)}
+    </div>
+  );
+}
+
+/**
+ * SuggestionRow - A clickable row with a thumbnail, title and subtitle
+ */
+function SuggestionRow({ image, title, subtitle, round = false, onSelect }) {
+  return (
+    <button
+      onClick={onSelect}
+      style={{
+        width: "100%",
+        display: "flex",
+        alignItems: "center",
+        gap: "10px",
+        padding: "6px 8px",
+        borderRadius: "8px",
+        border: "none",
+        background: "transparent",
+        color: "white",
+        cursor: "pointer",
+        textAlign: "left",
+        fontFamily: "inherit",
+      }}
+      onMouseOver={(e) => {
+        e.currentTarget.style.background = "rgba(139, 92, 246, 0.2)";
+      }}
+      onMouseOut={(e) => {
+        e.currentTarget.style.background = "transparent";
+      }}
+    >
+      <img
+        src={image}
+        alt={title}
+        style={{
+          width: "36px",
+          height: "36px",
+          borderRadius: round ? "50%" : "6px",
+          flexShrink: 0,
+        }}
+      />
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <p
+          style={{
+            fontSize: "14px",
+            fontWeight: 500,
+            margin: 0,
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {title}
+        </p>
+        <p
+          style={{
+            fontSize: "12px",
+            color: "rgba(255,255,255,0.5)",
+            margin: 0,
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {subtitle}
+        </p>
+      </div>
+    </button>
+  );
+}
+
+/**
+ * SearchSuggestions - The dropdown itself
+ * @param {Array} artists - Deezer artist objects
+ * @param {Array} albums - Deezer album objects
+ * @param {Array} tracks - Deezer track objects
+ * @param {boolean} loading - True while the suggestions are being fetched
+ * @param {Function} onSelect - Called with (type, item) when a row is clicked
+ */
+function SearchSuggestions({ artists, albums, tracks, loading, onSelect }) {
+  const isEmpty = artists.length === 0 && albums.length === 0 && tracks.length === 0;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 0,
+        right: 0,
+        top: "100%",
+        marginTop: "8px",
+        background: "rgba(15, 10, 30, 0.98)",
+        backdropFilter: "blur(20px)",
+        border: "1px solid rgba(255,255,255,0.1)",
+        borderRadius: "16px",
+        padding: "8px",
+        maxHeight: "70vh",
+        overflowY: "auto",
+        zIndex: 1002,
+        boxShadow: "0 8px 32px rgba(0,0,0,0.4)",
+        animation: "slideDown 0.2s ease-out",
+      }}
+    >
+      {isEmpty && (
+        <p
+          style={{
+            fontSize: "13px",
+            color: "rgba(255,255,255,0.5)",
+            margin: 0,
+            padding: "12px 8px",
+            textAlign: "center",
+          }}
+        >
+          {loading ? "Searching..." : "No matches yet - keep typing"}
+        </p>
+      )}
+
+      <SuggestionGroup
+        label="ARTISTS"
+        items={artists}
+        renderItem={(artist) => (
+          <SuggestionRow
+            key={`artist-${artist.id}`}
+            image={artist.picture_small}
+            title={artist.name}
+            subtitle={`${(artist.nb_fan || 0).toLocaleString()} fans`}
+            round
+            onSelect={() => onSelect("artist", artist)}
+          />
+        )}
+      />
+
+      <SuggestionGroup
+        label="ALBUMS"
+        items={albums}
+        renderItem={(album) => (
+          <SuggestionRow
+            key={`album-${album.id}`}
+            image={album.cover_small}
+            title={album.title}
+            subtitle={album.artist?.name}
+            onSelect={() => onSelect("album", album)}
+          />
+        )}
+      />
+
+      <SuggestionGroup
+        label="SONGS"
+        items={tracks}
+        renderItem={(track) => (
+          <SuggestionRow
+            key={`track-${track.id}`}
+            image={track.album.cover_small}
+            title={track.title}
+            subtitle={track.artist.name}
+            onSelect={() => onSelect("track", track)}
+          />
+        )}
+      />
+    </div>
+  );
+}
+
+export default SearchSuggestions;
@@ -0,0 +1,92 @@
+/**
+ * ============================================================================
+ * SECTION STATUS
+ * ============================================================================
+ *
+ * The loading spinner / error message / empty message shown in place of a
+ * section while its data isn't ready. Renders nothing once there's content.
+ * ============================================================================
+ */
+
+import { describeDeezerError } from "../api/deezer.js";
+
+/**
+ * SectionStatus
+ * @param {boolean} loading - Show the spinner
+ * @param {Object} error - DeezerError from a failed request
+ * @param {Function} onRetry - Called by the "Try again" button
+ * @param {boolean} empty - True when loading finished with nothing to show
+ * @param {string} emptyText - Message for the empty state
+ */
+function SectionStatus({ loading, error, onRetry, empty, emptyText = "Nothing here yet" }) {
+  if (loading) {
+    return (
+      <div style={{ textAlign: "center", padding: "32px 16px" }}>
+        <div
+          style={{
+            display: "inline-block",
+            width: "36px",
+            height: "36px",
+            border: "4px solid rgba(139, 92, 246, 0.2)",
+            borderTopColor: "#8b5cf6",
+            borderRadius: "50%",
+            animation: "spin 0.8s linear infinite",
+          }}
+        />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div style={{ textAlign: "center", padding: "32px 16px" }}>
+        <p
+          style={{
+            color: "#f87171",
+            fontSize: "14px",
+            margin: "0 0 12px 0",
+          }}
+        >
+          {describeDeezerError(error)}
+        </p>
+        {onRetry && (
+          <button
+            onClick={onRetry}
+            style={{
+              padding: "8px 16px",
+              borderRadius: "8px",
+              border: "1px solid rgba(255,255,255,0.2)",
+              background: "rgba(255,255,255,0.05)",
+              color: "rgba(255,255,255,0.7)",
+              cursor: "pointer",
+              fontSize: "13px",
+              fontWeight: 500,
+            }}
+          >
+            Try again
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (empty) {
+    return (
+      <p
+        style={{
+          color: "rgba(255,255,255,0.5)",
+          fontSize: "14px",
+          textAlign: "center",
+          padding: "24px 16px",
+          margin: 0,
+        }}
+      >
+        {emptyText}
+      </p>
+    );
+  }
+
+  return null;
+}
+
+export default SectionStatus;
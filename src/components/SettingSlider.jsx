@@ -0,0 +1,65 @@
+/**
+ * ============================================================================
+ * SETTING SLIDER
+ * ============================================================================
+ *
+ * One "label - slider - value" row for the sound settings under the volume
+ * control (speed, pitch, crossfade). Clicking the value resets the setting.
+ * ============================================================================
+ */
+
+const textStyle = {
+  fontSize: "12px",
+  color: "rgba(255,255,255,0.5)",
+};
+
+/**
+ * SettingSlider
+ * @param {string} id - Input id (ties the label to the slider)
+ * @param {string} label - Text on the left
+ * @param {number} min - Slider minimum
+ * @param {number} max - Slider maximum
+ * @param {number} step - Slider step
+ * @param {number} value - Current value
+ * @param {Function} onChange - Called with the new number
+ * @param {string} display - The value as shown on the right (e.g. "1.25x")
+ * @param {Function} onReset - Optional, called when the value is clicked
+ */
+function SettingSlider({ id, label, min, max, step, value, onChange, display, onReset }) {
+  return (
+    <div style={{ width: "100%", display: "flex", alignItems: "center", gap: "12px" }}>
+      <label htmlFor={id} style={{ ...textStyle, minWidth: "62px" }}>
+        {label}
+      </label>
+      <input
+        id={id}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={{ flex: 1, accentColor: "#8b5cf6" }}
+      />
+      <button
+        onClick={onReset}
+        disabled={!onReset}
+        title={onReset ? "Reset" : undefined}
+        style={{
+          ...textStyle,
+          minWidth: "40px",
+          padding: 0,
+          background: "none",
+          border: "none",
+          textAlign: "right",
+          cursor: onReset ? "pointer" : "default",
+          fontFamily: "inherit",
+        }}
+      >
+        {display}
+      </button>
+    </div>
+  );
+}
+
+export default SettingSlider;
@@ -0,0 +1,200 @@
+/**
+ * ============================================================================
+ * KEYBOARD SHORTCUTS OVERLAY
+ * ============================================================================
+ *
+ * Opened with "?" (or the keyboard button in the header). Lists every
+ * binding and doubles as the settings screen for them: "Change" waits for
+ * the next key press and binds it. If that key already belonged to another
+ * action, the other action is left unbound so a key never does two things.
+ * ============================================================================
+ */
+
+import { useEffect, useState } from "react";
+import { FaTimes } from "react-icons/fa";
+import {
+  DEFAULT_KEYMAP,
+  eventToKey,
+  formatKey,
+  SHORTCUT_ACTIONS,
+} from "../player/keymap.js";
+
+const keyStyle = {
+  display: "inline-block",
+  minWidth: "28px",
+  padding: "4px 8px",
+  borderRadius: "6px",
+  border: "1px solid rgba(255,255,255,0.2)",
+  background: "rgba(255,255,255,0.08)",
+  fontSize: "12px",
+  fontFamily: "monospace",
+  textAlign: "center",
+};
+
+const smallButtonStyle = {
+  padding: "4px 10px",
+  borderRadius: "8px",
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "transparent",
+  color: "rgba(255,255,255,0.7)",
+  cursor: "pointer",
+  fontSize: "12px",
+};
+
+/**
+ * ShortcutsOverlay
+ * @param {Object} keymap - Current bindings ({ actionId: key })
+ * @param {Function} onChange - Called with the new keymap
+ * @param {Function} onClose - Hides the overlay
+ */
+function ShortcutsOverlay({ keymap, onChange, onClose }) {
+  // Id of the action waiting for a key press, or null
+  const [recording, setRecording] = useState(null);
+
+  // While recording, grab the next key before the global shortcuts see it;
+  // otherwise Escape closes the overlay
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!recording) {
+        if (event.key === "Escape") onClose();
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.key === "Escape") {
+        setRecording(null);
+        return;
+      }
+      const key = eventToKey(event);
+      if (!key) return; // Just a modifier so far - wait for the real key
+
+      const updated = { ...keymap };
+      Object.keys(updated).forEach((id) => {
+        if (updated[id] === key) updated[id] = null;
+      });
+      updated[recording] = key;
+      onChange(updated);
+      setRecording(null);
+    };
+
+    // Capture phase so this runs before the global shortcut listener
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [recording, keymap, onChange, onClose]);
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: "rgba(0,0,0,0.7)",
+        backdropFilter: "blur(8px)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 10001,
+        animation: "fadeIn 0.2s ease-out",
+      }}
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-label="Keyboard shortcuts"
+        style={{
+          background: "rgba(15, 10, 30, 0.98)",
+          backdropFilter: "blur(20px)",
+          border: "1px solid rgba(255,255,255,0.1)",
+          borderRadius: "20px",
+          padding: "24px",
+          maxWidth: "460px",
+          width: "92%",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          boxShadow: "0 20px 60px rgba(0,0,0,0.5)",
+          animation: "slideUp 0.3s ease-out",
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            marginBottom: "16px",
+          }}
+        >
+          <h2 style={{ fontSize: "20px", fontWeight: 600, margin: 0 }}>
+            Keyboard Shortcuts
+          </h2>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            style={{
+              background: "none",
+              border: "none",
+              cursor: "pointer",
+              color: "rgba(255,255,255,0.5)",
+              display: "flex",
+            }}
+          >
+            <FaTimes />
+          </button>
+        </div>
+
+        {SHORTCUT_ACTIONS.map((action) => (
+          <div
+            key={action.id}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "12px",
+              padding: "8px 0",
+              borderBottom: "1px solid rgba(255,255,255,0.05)",
+            }}
+          >
+            <span style={{ flex: 1, fontSize: "14px", color: "rgba(255,255,255,0.8)" }}>
+              {action.label}
+            </span>
+            <span
+              style={{
+                ...keyStyle,
+                color: keymap[action.id] ? "white" : "rgba(255,255,255,0.4)",
+                borderColor:
+                  recording === action.id ? "#8b5cf6" : "rgba(255,255,255,0.2)",
+              }}
+            >
+              {recording === action.id ? "Press a key..." : formatKey(keymap[action.id])}
+            </span>
+            <button
+              onClick={() => setRecording(recording === action.id ? null : action.id)}
+              style={smallButtonStyle}
+            >
+              {recording === action.id ? "Cancel" : "Change"}
+            </button>
+          </div>
+        ))}
+
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            marginTop: "16px",
+          }}
+        >
+          <p style={{ fontSize: "12px", color: "rgba(255,255,255,0.4)", margin: 0 }}>
+            Shortcuts are ignored while typing in a text box.
+          </p>
+          <button onClick={() => onChange(DEFAULT_KEYMAP)} style={smallButtonStyle}>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutsOverlay;
@@ -0,0 +1,165 @@
+/**
+ * ============================================================================
+ * SLEEP TIMER MENU
+ * ============================================================================
+ *
+ * The moon button next to the volume control. With no timer it offers the
+ * three kinds of timer (after N minutes, at the end of this song, after N
+ * more songs); with one running it shows the countdown with Extend and
+ * Cancel.
+ * ============================================================================
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { FaMoon } from "react-icons/fa";
+import {
+  createTimeTimer,
+  createTrackTimer,
+  SLEEP_TIMER_MINUTES,
+  SLEEP_TIMER_TRACKS,
+} from "../player/sleepTimer.js";
+
+const headingStyle = {
+  fontSize: "12px",
+  color: "rgba(255,255,255,0.5)",
+  margin: "8px 8px 6px 8px",
+  fontWeight: 500,
+};
+
+const chipStyle = {
+  padding: "6px 10px",
+  borderRadius: "8px",
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "rgba(255,255,255,0.05)",
+  color: "rgba(255,255,255,0.8)",
+  cursor: "pointer",
+  fontSize: "13px",
+};
+
+/**
+ * SleepTimerMenu
+ * @param {Object} timer - The running timer, or null
+ * @param {string} countdown - Countdown text for the running timer
+ * @param {Function} onStart - Called with a new timer object
+ * @param {Function} onExtend - Adds time (or a song) to the running timer
+ * @param {Function} onCancel - Stops the running timer
+ */
+function SleepTimerMenu({ timer, countdown, onStart, onExtend, onCancel }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const start = (newTimer) => {
+    onStart(newTimer);
+    setOpen(false);
+  };
+
+  return (
+    <div ref={menuRef} style={{ position: "relative" }}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-label={timer ? `Sleep timer: ${countdown}` : "Sleep timer"}
+        title={timer ? `Sleep timer: ${countdown}` : "Sleep timer"}
+        style={{
+          background: "none",
+          border: "none",
+          cursor: "pointer",
+          color: timer ? "#a78bfa" : "rgba(255,255,255,0.5)",
+          display: "flex",
+          alignItems: "center",
+        }}
+      >
+        <FaMoon style={{ fontSize: "14px" }} />
+      </button>
+
+      {open && (
+        <div
+          style={{
+            position: "absolute",
+            right: 0,
+            bottom: "100%",
+            marginBottom: "8px",
+            background: "rgba(15, 10, 30, 0.98)",
+            backdropFilter: "blur(20px)",
+            border: "1px solid rgba(255,255,255,0.1)",
+            borderRadius: "12px",
+            padding: "8px",
+            width: "240px",
+            zIndex: 1000,
+            boxShadow: "0 8px 32px rgba(0,0,0,0.4)",
+            animation: "slideUp 0.2s ease-out",
+          }}
+        >
+          {timer ? (
+            <>
+              <p style={headingStyle}>Sleep timer</p>
+              <p style={{ fontSize: "22px", fontWeight: 600, margin: "0 8px 12px 8px" }}>
+                {countdown}
+              </p>
+              <div style={{ display: "flex", gap: "8px", padding: "0 8px 8px 8px" }}>
+                <button onClick={onExtend} style={{ ...chipStyle, flex: 1 }}>
+                  {timer.mode === "time" ? "+5 min" : "+1 song"}
+                </button>
+                <button
+                  onClick={() => {
+                    onCancel();
+                    setOpen(false);
+                  }}
+                  style={{
+                    ...chipStyle,
+                    flex: 1,
+                    background: "rgba(239, 68, 68, 0.2)",
+                    color: "#fca5a5",
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p style={headingStyle}>Stop playing in</p>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", padding: "0 8px" }}>
+                {SLEEP_TIMER_MINUTES.map((minutes) => (
+                  <button
+                    key={minutes}
+                    onClick={() => start(createTimeTimer(minutes))}
+                    style={chipStyle}
+                  >
+                    {minutes} min
+                  </button>
+                ))}
+              </div>
+              <p style={headingStyle}>Stop after</p>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", padding: "0 8px 8px 8px" }}>
+                <button onClick={() => start(createTrackTimer(0))} style={chipStyle}>
+                  This song
+                </button>
+                {SLEEP_TIMER_TRACKS.map((count) => (
+                  <button
+                    key={count}
+                    onClick={() => start(createTrackTimer(count))}
+                    style={chipStyle}
+                  >
+                    +{count} {count === 1 ? "song" : "songs"}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SleepTimerMenu;
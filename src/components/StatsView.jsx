@@ -0,0 +1,449 @@
+/**
+ * ============================================================================
+ * STATS VIEW
+ * ============================================================================
+ *
+ * Personal listening stats, worked out from the history (see player/stats.js):
+ *   - totals, streaks and discovery for the chosen week / month / year / all time
+ *   - top songs, artists and albums for the same period
+ *   - a heatmap of when the user listens, by weekday and hour
+ *   - a "year in review" card image to download or share
+ * ============================================================================
+ */
+
+import { useEffect, useState } from "react";
+import { FaDownload, FaShareAlt } from "react-icons/fa";
+import {
+  getDiscovery,
+  getHeatmap,
+  getHistoryYears,
+  getPeriodEntries,
+  getPeriodStart,
+  getStreaks,
+  getTopItems,
+  getTotals,
+  getYearInReview,
+  PERIODS,
+  WEEKDAYS,
+} from "../player/stats.js";
+import { createYearCard } from "../player/yearCard.js";
+import BackButton from "./BackButton.jsx";
+
+const TOP_LIMIT = 5;
+
+const panelStyle = {
+  background: "rgba(255,255,255,0.03)",
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: "12px",
+  padding: "16px",
+};
+
+const headingStyle = {
+  fontSize: "13px",
+  fontWeight: 600,
+  letterSpacing: "0.5px",
+  textTransform: "uppercase",
+  color: "rgba(255,255,255,0.5)",
+  margin: "0 0 12px 0",
+};
+
+const pillStyle = (active) => ({
+  padding: "8px 16px",
+  borderRadius: "20px",
+  border: active ? "1px solid rgba(139, 92, 246, 0.6)" : "1px solid rgba(255,255,255,0.1)",
+  background: active ? "rgba(139, 92, 246, 0.3)" : "rgba(255,255,255,0.03)",
+  color: active ? "white" : "rgba(255,255,255,0.7)",
+  cursor: "pointer",
+  fontSize: "13px",
+  fontWeight: 500,
+  whiteSpace: "nowrap",
+  transition: "all 0.2s ease",
+});
+
+const buttonStyle = {
+  padding: "10px 20px",
+  borderRadius: "25px",
+  border: "1px solid rgba(255,255,255,0.2)",
+  background: "rgba(255,255,255,0.05)",
+  color: "rgba(255,255,255,0.8)",
+  cursor: "pointer",
+  fontSize: "14px",
+  fontWeight: 500,
+  display: "inline-flex",
+  alignItems: "center",
+  gap: "8px",
+  textDecoration: "none",
+};
+
+/**
+ * formatListening - Seconds as "3h 25m", "25m" or "0m"
+ */
+const formatListening = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+/**
+ * StatTile - One number with a label under it
+ */
+function StatTile({ value, label }) {
+  return (
+    <div style={panelStyle}>
+      <p style={{ fontSize: "24px", fontWeight: 700, margin: 0 }}>{value}</p>
+      <p style={{ fontSize: "12px", color: "rgba(255,255,255,0.5)", margin: "4px 0 0 0" }}>
+        {label}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * TopList - A numbered top-5 list with covers
+ * @param {string} title - Heading
+ * @param {Array} items - From getTopItems()
+ * @param {Function} onSelect - Called with an item when it's clicked
+ */
+function TopList({ title, items, onSelect }) {
+  return (
+    <div style={panelStyle}>
+      <h3 style={headingStyle}>{title}</h3>
+      {items.length === 0 && (
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.4)", margin: 0 }}>
+          Nothing played in this period
+        </p>
+      )}
+      {items.map((item, index) => (
+        <div
+          key={item.key}
+          onClick={onSelect ? () => onSelect(item) : undefined}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "10px",
+            padding: "6px",
+            borderRadius: "8px",
+            cursor: onSelect ? "pointer" : "default",
+          }}
+          onMouseOver={(e) => (e.currentTarget.style.background = "rgba(255,255,255,0.05)")}
+          onMouseOut={(e) => (e.currentTarget.style.background = "transparent")}
+        >
+          <span style={{ width: "16px", fontSize: "13px", color: "rgba(255,255,255,0.4)" }}>
+            {index + 1}
+          </span>
+          <img
+            src={item.track.album?.cover_small}
+            alt=""
+            style={{ width: "36px", height: "36px", borderRadius: "6px" }}
+          />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <p
+              style={{
+                fontSize: "13px",
+                fontWeight: 500,
+                margin: 0,
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                whiteSpace: "nowrap",
+              }}
+            >
+              {item.label}
+            </p>
+            <p
+              style={{
+                fontSize: "11px",
+                color: "rgba(255,255,255,0.5)",
+                margin: 0,
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                whiteSpace: "nowrap",
+              }}
+            >
+              {item.detail ? `${item.detail} • ` : ""}
+              {item.plays} {item.plays === 1 ? "play" : "plays"}
+            </p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Heatmap - Listening time by weekday (rows) and hour (columns)
+ */
+function Heatmap({ grid }) {
+  const max = Math.max(...grid.flat());
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "36px repeat(24, minmax(12px, 1fr))",
+          gap: "3px",
+          minWidth: "420px",
+        }}
+      >
+        {grid.map((hours, day) => [
+          <span
+            key={`label-${day}`}
+            style={{ fontSize: "11px", color: "rgba(255,255,255,0.5)", alignSelf: "center" }}
+          >
+            {WEEKDAYS[day]}
+          </span>,
+          ...hours.map((seconds, hour) => (
+            <div
+              key={`${day}-${hour}`}
+              title={`${WEEKDAYS[day]} ${hour}:00 - ${formatListening(seconds)}`}
+              style={{
+                height: "16px",
+                borderRadius: "3px",
+                background:
+                  seconds > 0
+                    ? `rgba(139, 92, 246, ${0.2 + 0.8 * (seconds / max)})`
+                    : "rgba(255,255,255,0.05)",
+              }}
+            />
+          )),
+        ])}
+        <span />
+        {Array.from({ length: 24 }, (_, hour) => (
+          <span
+            key={`hour-${hour}`}
+            style={{ fontSize: "10px", color: "rgba(255,255,255,0.4)", textAlign: "center" }}
+          >
+            {hour % 6 === 0 ? hour : ""}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * StatsView
+ * @param {Array} history - Listening history, newest first
+ * @param {Function} onPlayTrack - (track, list, source) like the other views
+ * @param {Function} onOpenArtist - Opens an artist page
+ * @param {Function} onOpenAlbum - Opens an album page
+ * @param {Function} onError - Called with a message if the card can't be made
+ * @param {Function} onBack - Leaves the view
+ */
+function StatsView({ history, onPlayTrack, onOpenArtist, onOpenAlbum, onError, onBack }) {
+  const [period, setPeriod] = useState("month");
+  const years = getHistoryYears(history);
+  const [year, setYear] = useState(() => years[0] || new Date().getFullYear());
+  // The last card made - { year, url, blob }
+  const [card, setCard] = useState(null);
+  const [creatingCard, setCreatingCard] = useState(false);
+
+  // The preview's object URL is freed when it's replaced or the view closes
+  useEffect(
+    () => () => {
+      if (card) URL.revokeObjectURL(card.url);
+    },
+    [card]
+  );
+
+  const entries = getPeriodEntries(history, period);
+  const totals = getTotals(entries);
+  const streaks = getStreaks(history);
+  const discovery = getDiscovery(history, getPeriodStart(period));
+  const topTracks = getTopItems(entries, "track", TOP_LIMIT);
+  const topArtists = getTopItems(entries, "artist", TOP_LIMIT);
+  const topAlbums = getTopItems(entries, "album", TOP_LIMIT);
+  const source = { type: "stats", id: "stats", label: "Your top songs" };
+
+  const makeCard = async () => {
+    setCreatingCard(true);
+    try {
+      const blob = await createYearCard(getYearInReview(history, year));
+      setCard({ year, blob, url: URL.createObjectURL(blob) });
+    } catch (error) {
+      console.error("Error creating year card:", error);
+      onError("Couldn't create the year in review image");
+    } finally {
+      setCreatingCard(false);
+    }
+  };
+
+  const cardFile = card && new File([card.blob], `novabeat-${card.year}.png`, { type: "image/png" });
+  const canShare = Boolean(cardFile && navigator.canShare?.({ files: [cardFile] }));
+
+  const shareCard = async () => {
+    try {
+      await navigator.share({ files: [cardFile], title: `My ${card.year} on NovaBeat` });
+    } catch (error) {
+      // Closing the share sheet isn't an error
+      if (error.name !== "AbortError") onError("Couldn't share the image");
+    }
+  };
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.03)",
+        border: "1px solid rgba(255,255,255,0.08)",
+        borderRadius: "16px",
+        padding: "20px",
+      }}
+    >
+      <BackButton onClick={onBack} />
+
+      <div style={{ margin: "20px 0 16px 0" }}>
+        <h2 style={{ fontSize: "clamp(24px, 4vw, 36px)", fontWeight: 700, margin: "0 0 8px 0" }}>
+          Your Stats
+        </h2>
+        <p style={{ fontSize: "13px", color: "rgba(255,255,255,0.5)", margin: 0 }}>
+          Worked out from your listening history - nothing leaves this browser
+        </p>
+      </div>
+
+      {/* Period pills */}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginBottom: "16px" }}>
+        {PERIODS.map(({ value, label }) => (
+          <button key={value} onClick={() => setPeriod(value)} style={pillStyle(value === period)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Totals */}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))",
+          gap: "8px",
+          marginBottom: "16px",
+        }}
+      >
+        <StatTile value={formatListening(totals.seconds)} label="listening time" />
+        <StatTile value={totals.plays} label={totals.plays === 1 ? "play" : "plays"} />
+        <StatTile value={totals.tracks} label="different songs" />
+        <StatTile
+          value={period === "all" ? discovery.artists : discovery.newArtists}
+          label={
+            period === "all"
+              ? "artists heard"
+              : `new of ${discovery.artists} artists${
+                  discovery.artists > 0
+                    ? ` (${Math.round((discovery.newArtists / discovery.artists) * 100)}%)`
+                    : ""
+                }`
+          }
+        />
+        <StatTile
+          value={`${streaks.current} ${streaks.current === 1 ? "day" : "days"}`}
+          label={`current streak • best ${streaks.longest}`}
+        />
+      </div>
+
+      {/* Top lists */}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))",
+          gap: "8px",
+          marginBottom: "16px",
+        }}
+      >
+        <TopList
+          title="Top songs"
+          items={topTracks}
+          onSelect={(item) =>
+            onPlayTrack(
+              item.track,
+              topTracks.map((top) => top.track),
+              source
+            )
+          }
+        />
+        <TopList
+          title="Top artists"
+          items={topArtists}
+          onSelect={(item) => onOpenArtist(item.track.artist)}
+        />
+        <TopList
+          title="Top albums"
+          items={topAlbums}
+          onSelect={(item) => onOpenAlbum(item.track.album)}
+        />
+      </div>
+
+      {/* When I listen */}
+      <div style={{ ...panelStyle, marginBottom: "16px" }}>
+        <h3 style={headingStyle}>When you listen</h3>
+        <Heatmap grid={getHeatmap(entries)} />
+      </div>
+
+      {/* Year in review */}
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>Year in review</h3>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", alignItems: "center" }}>
+          {years.length > 1 && (
+            <select
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              aria-label="Year"
+              style={{
+                padding: "10px 12px",
+                borderRadius: "10px",
+                border: "1px solid rgba(255,255,255,0.1)",
+                background: "rgba(255,255,255,0.05)",
+                color: "white",
+                fontSize: "14px",
+                fontFamily: "'Outfit', system-ui, sans-serif",
+              }}
+            >
+              {years.map((option) => (
+                <option key={option} value={option} style={{ background: "#1a1040" }}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={makeCard}
+            disabled={creatingCard}
+            style={{
+              ...buttonStyle,
+              border: "none",
+              background: "linear-gradient(135deg, #8b5cf6 0%, #a855f7 100%)",
+              color: "white",
+              cursor: creatingCard ? "wait" : "pointer",
+            }}
+          >
+            {creatingCard ? "Creating..." : `Create my ${year} card`}
+          </button>
+          {card && (
+            <a href={card.url} download={`novabeat-${card.year}.png`} style={buttonStyle}>
+              <FaDownload style={{ fontSize: "13px" }} />
+              Download
+            </a>
+          )}
+          {canShare && (
+            <button onClick={shareCard} style={buttonStyle}>
+              <FaShareAlt style={{ fontSize: "13px" }} />
+              Share
+            </button>
+          )}
+        </div>
+        {card && (
+          <img
+            src={card.url}
+            alt={`NovaBeat ${card.year} in review`}
+            style={{
+              display: "block",
+              width: "100%",
+              maxWidth: "360px",
+              marginTop: "16px",
+              borderRadius: "12px",
+            }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StatsView;
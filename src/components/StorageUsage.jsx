@@ -0,0 +1,85 @@
+/**
+ * ============================================================================
+ * STORAGE USAGE
+ * ============================================================================
+ *
+ * A small readout at the bottom of the sidebar: how much of the browser's
+ * storage NovaBeat uses (library and local files), and a warning when the
+ * library couldn't be saved.
+ * ============================================================================
+ */
+
+/**
+ * formatBytes - 1536 -> "1.5 KB"
+ */
+const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 && unit > 0 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+};
+
+/**
+ * StorageUsage
+ * @param {Object} usage - { usage, quota } in bytes, or null if unknown
+ * @param {string} error - Message of the last failed save, or null
+ */
+function StorageUsage({ usage, error }) {
+  if (!usage && !error) return null;
+  const share = usage?.quota ? Math.min(usage.usage / usage.quota, 1) : 0;
+
+  return (
+    <div style={{ marginTop: "16px", padding: "0 4px" }}>
+      {usage && (
+        <>
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              fontSize: "11px",
+              color: "rgba(255,255,255,0.5)",
+              marginBottom: "6px",
+            }}
+          >
+            <span>Storage</span>
+            <span>
+              {formatBytes(usage.usage)}
+              {usage.quota > 0 && ` of ${formatBytes(usage.quota)}`}
+            </span>
+          </div>
+          <div
+            role="progressbar"
+            aria-label="Storage used"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(share * 100)}
+            style={{
+              height: "4px",
+              borderRadius: "2px",
+              background: "rgba(255,255,255,0.1)",
+              overflow: "hidden",
+            }}
+          >
+            <div
+              style={{
+                width: `${Math.max(share * 100, 1)}%`,
+                height: "100%",
+                background:
+                  share > 0.9 ? "#f87171" : "linear-gradient(90deg, #8b5cf6 0%, #ec4899 100%)",
+              }}
+            />
+          </div>
+        </>
+      )}
+      {error && (
+        <p style={{ fontSize: "12px", color: "#f87171", margin: "8px 0 0 0" }}>{error}</p>
+      )}
+    </div>
+  );
+}
+
+export default StorageUsage;
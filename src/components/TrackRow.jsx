@@ -0,0 +1,232 @@
+/**
+ * ============================================================================
+ * TRACK ROW
+ * ============================================================================
+ *
+ * One song in a list: cover (with the animated "now playing" bars), title,
+ * artist/album line and duration. Whatever is passed as children is shown
+ * on the right - the parent decides which buttons a list gets.
+ * ============================================================================
+ */
+
+import { formatTime } from "../player/time.js";
+
+/**
+ * TrackRow
+ * @param {Object} track - Deezer track object
+ * @param {boolean} isCurrent - True if this is the loaded track
+ * @param {boolean} isPlaying - True if audio is playing right now
+ * @param {Function} onPlay - Called when the row is clicked
+ * @param {Function} onOpenArtist - Called with the artist when its name is clicked
+ * @param {Function} onOpenAlbum - Called with the album when its title is clicked
+ * @param {number} position - Optional number shown instead of the cover (album lists)
+ * @param {boolean} unavailable - True if the song failed to play; it's dimmed
+ *   but can still be clicked to try again
+ * @param {ReactNode} children - Action buttons shown at the end of the row
+ */
+function TrackRow({
+  track,
+  isCurrent,
+  isPlaying,
+  onPlay,
+  onOpenArtist,
+  onOpenAlbum,
+  position,
+  unavailable,
+  children,
+}) {
+  const showBars = isCurrent && isPlaying;
+
+  return (
+    <div
+      className="track-row"
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "14px",
+        padding: "12px",
+        borderRadius: "10px",
+        cursor: "pointer",
+        marginBottom: "4px",
+        background: isCurrent ? "rgba(139, 92, 246, 0.2)" : "transparent",
+        opacity: unavailable ? 0.45 : 1,
+      }}
+      title={unavailable ? "Unavailable - click to try again" : undefined}
+      onClick={onPlay}
+      onMouseOver={(e) => {
+        if (!isCurrent) e.currentTarget.style.background = "rgba(255,255,255,0.05)";
+      }}
+      onMouseOut={(e) => {
+        if (!isCurrent) e.currentTarget.style.background = "transparent";
+      }}
+    >
+      <div style={{ position: "relative" }}>
+        {position !== undefined ? (
+          <div
+            style={{
+              width: "32px",
+              textAlign: "center",
+              fontSize: "14px",
+              color: isCurrent ? "#a78bfa" : "rgba(255,255,255,0.4)",
+              visibility: showBars ? "hidden" : "visible",
+            }}
+          >
+            {position}
+          </div>
+        ) : (
+          <img
+            src={track.album?.cover_small}
+            alt={track.title}
+            style={{
+              width: "48px",
+              height: "48px",
+              borderRadius: "8px",
+            }}
+          />
+        )}
+        {showBars && (
+          <div
+            style={{
+              position: "absolute",
+              inset: 0,
+              background: position !== undefined ? "transparent" : "rgba(0,0,0,0.5)",
+              borderRadius: "8px",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+            }}
+          >
+            <div
+              style={{
+                display: "flex",
+                gap: "2px",
+                alignItems: "flex-end",
+              }}
+            >
+              <div
+                style={{
+                  width: "3px",
+                  height: "12px",
+                  background: "#8b5cf6",
+                  borderRadius: "2px",
+                  animation: "pulse 0.5s infinite alternate",
+                }}
+              />
+              <div
+                style={{
+                  width: "3px",
+                  height: "16px",
+                  background: "#8b5cf6",
+                  borderRadius: "2px",
+                  animation: "pulse 0.5s infinite alternate 0.1s",
+                }}
+              />
+              <div
+                style={{
+                  width: "3px",
+                  height: "10px",
+                  background: "#8b5cf6",
+                  borderRadius: "2px",
+                  animation: "pulse 0.5s infinite alternate 0.2s",
+                }}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <p
+          style={{
+            fontSize: "15px",
+            fontWeight: 500,
+            margin: 0,
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {track.title}
+          {unavailable && (
+            <span
+              style={{
+                marginLeft: "8px",
+                padding: "1px 6px",
+                borderRadius: "4px",
+                background: "rgba(239, 68, 68, 0.2)",
+                color: "#fca5a5",
+                fontSize: "11px",
+                fontWeight: 500,
+              }}
+            >
+              Unavailable
+            </span>
+          )}
+        </p>
+        <p
+          style={{
+            fontSize: "13px",
+            color: "rgba(255,255,255,0.5)",
+            margin: "2px 0 0 0",
+          }}
+        >
+          <span
+            onClick={(e) => {
+              if (!onOpenArtist || !track.artist?.id) return;
+              e.stopPropagation();
+              onOpenArtist(track.artist);
+            }}
+            style={{ cursor: onOpenArtist ? "pointer" : "inherit" }}
+            onMouseOver={(e) => {
+              if (onOpenArtist) e.currentTarget.style.textDecoration = "underline";
+            }}
+            onMouseOut={(e) => {
+              e.currentTarget.style.textDecoration = "none";
+            }}
+          >
+            {track.artist?.name}
+          </span>
+          {track.album?.title && (
+            <>
+              {" • "}
+              <span
+                onClick={(e) => {
+                  if (!onOpenAlbum || !track.album.id) return;
+                  e.stopPropagation();
+                  onOpenAlbum(track.album);
+                }}
+                style={{ cursor: onOpenAlbum ? "pointer" : "inherit" }}
+                onMouseOver={(e) => {
+                  if (onOpenAlbum) e.currentTarget.style.textDecoration = "underline";
+                }}
+                onMouseOut={(e) => {
+                  e.currentTarget.style.textDecoration = "none";
+                }}
+              >
+                {track.album.title}
+              </span>
+            </>
+          )}
+        </p>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "16px",
+        }}
+      >
+        <span
+          style={{
+            fontSize: "13px",
+            color: "rgba(255,255,255,0.4)",
+          }}
+        >
+          {formatTime(track.duration)}
+        </span>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default TrackRow;
@@ -0,0 +1,272 @@
+/**
+ * ============================================================================
+ * VISUALIZER
+ * ============================================================================
+ *
+ * Replaces the plain album art in Now Playing. The art stays in the middle
+ * and the engine's AnalyserNode drives one of three drawings:
+ *   - bars      frequency bars over the bottom of the cover
+ *   - waveform  the live waveform over the bottom of the cover
+ *   - radial    frequency bars radiating out from behind the cover
+ *
+ * Drawing runs on requestAnimationFrame only while a song is playing and
+ * the tab is visible, so a paused player or a background tab costs nothing.
+ * ============================================================================
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { MdGraphicEq } from "react-icons/md";
+
+const MODES = ["bars", "waveform", "radial", "off"];
+const MODE_LABELS = {
+  bars: "Bars",
+  waveform: "Waveform",
+  radial: "Radial",
+  off: "Off",
+};
+
+// Theme colours - the same purple to pink as the progress bar
+const PURPLE = "#8b5cf6";
+const PINK = "#ec4899";
+
+/**
+ * fitCanvas - Matches the canvas resolution to its displayed size
+ * @returns {Object} - The 2D context plus the size in CSS pixels
+ */
+const fitCanvas = (canvas) => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (canvas.width !== Math.round(width * ratio)) canvas.width = Math.round(width * ratio);
+  if (canvas.height !== Math.round(height * ratio)) canvas.height = Math.round(height * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  return { ctx, width, height };
+};
+
+/**
+ * drawBars - Frequency bars rising from the bottom edge
+ */
+const drawBars = (canvas, analyser, data) => {
+  analyser.getByteFrequencyData(data);
+  const { ctx, width, height } = fitCanvas(canvas);
+
+  // The top bins are nearly always empty in 30 s previews, so skip them
+  const count = Math.floor(data.length * 0.7);
+  const barWidth = width / count;
+  const gradient = ctx.createLinearGradient(0, height, 0, 0);
+  gradient.addColorStop(0, PURPLE);
+  gradient.addColorStop(1, PINK);
+  ctx.fillStyle = gradient;
+
+  for (let i = 0; i < count; i++) {
+    const barHeight = (data[i] / 255) * height;
+    ctx.fillRect(i * barWidth + 1, height - barHeight, Math.max(barWidth - 2, 1), barHeight);
+  }
+};
+
+/**
+ * drawWaveform - The current waveform as a single line
+ */
+const drawWaveform = (canvas, analyser, data) => {
+  analyser.getByteTimeDomainData(data);
+  const { ctx, width, height } = fitCanvas(canvas);
+
+  const gradient = ctx.createLinearGradient(0, 0, width, 0);
+  gradient.addColorStop(0, PURPLE);
+  gradient.addColorStop(1, PINK);
+  ctx.strokeStyle = gradient;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i < data.length; i++) {
+    const x = (i / (data.length - 1)) * width;
+    const y = (data[i] / 255) * height;
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+};
+
+/**
+ * drawRadial - Bars pointing outwards in a ring behind the cover
+ */
+const drawRadial = (canvas, analyser, data) => {
+  analyser.getByteFrequencyData(data);
+  const { ctx, width, height } = fitCanvas(canvas);
+
+  const centerX = width / 2;
+  const centerY = height / 2;
+  // The ring starts just inside the cover's edge; its corners hide the overlap
+  const innerRadius = Math.min(width, height) * 0.36;
+  const maxLength = Math.min(width, height) * 0.14;
+  const count = Math.floor(data.length * 0.7);
+
+  const gradient = ctx.createRadialGradient(
+    centerX,
+    centerY,
+    innerRadius,
+    centerX,
+    centerY,
+    innerRadius + maxLength
+  );
+  gradient.addColorStop(0, PURPLE);
+  gradient.addColorStop(1, PINK);
+  ctx.strokeStyle = gradient;
+  ctx.lineWidth = 3;
+  ctx.lineCap = "round";
+
+  for (let i = 0; i < count; i++) {
+    // Mirror the spectrum so the ring is symmetrical left to right
+    const angle = (i / count) * Math.PI - Math.PI / 2;
+    const length = (data[i] / 255) * maxLength + 2;
+    [angle, Math.PI - angle].forEach((a) => {
+      const cos = Math.cos(a);
+      const sin = Math.sin(a);
+      ctx.beginPath();
+      ctx.moveTo(centerX + cos * innerRadius, centerY + sin * innerRadius);
+      ctx.lineTo(
+        centerX + cos * (innerRadius + length),
+        centerY + sin * (innerRadius + length)
+      );
+      ctx.stroke();
+    });
+  }
+};
+
+const DRAWERS = {
+  bars: drawBars,
+  waveform: drawWaveform,
+  radial: drawRadial,
+};
+
+/**
+ * Visualizer
+ * @param {string} image - Album art URL
+ * @param {string} alt - Alt text for the art
+ * @param {string} mode - "bars", "waveform", "radial" or "off"
+ * @param {Function} onModeChange - Called with the next mode
+ * @param {boolean} isPlaying - Drawing only runs while this is true
+ * @param {Function} getAnalyser - Returns the engine's AnalyserNode (or null)
+ */
+function Visualizer({ image, alt, mode, onModeChange, isPlaying, getAnalyser }) {
+  const overlayRef = useRef(null);
+  const ringRef = useRef(null);
+  const [tabVisible, setTabVisible] = useState(!document.hidden);
+
+  const activeMode = MODES.includes(mode) ? mode : "bars";
+
+  // Stop drawing while the tab is in the background
+  useEffect(() => {
+    const handleVisibility = () => setTabVisible(!document.hidden);
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
+
+  // The animation loop - only runs while there is something to draw
+  useEffect(() => {
+    const canvas = activeMode === "radial" ? ringRef.current : overlayRef.current;
+    const draw = DRAWERS[activeMode];
+    if (!canvas || !draw || !isPlaying || !tabVisible) return;
+
+    let frame = null;
+    let data = null;
+    const render = () => {
+      const analyser = getAnalyser();
+      if (analyser) {
+        if (!data || data.length !== analyser.frequencyBinCount) {
+          data = new Uint8Array(analyser.frequencyBinCount);
+        }
+        draw(canvas, analyser, data);
+      }
+      frame = requestAnimationFrame(render);
+    };
+    frame = requestAnimationFrame(render);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      // Don't leave a frozen frame behind
+      fitCanvas(canvas);
+    };
+  }, [activeMode, isPlaying, tabVisible, getAnalyser]);
+
+  const nextMode = MODES[(MODES.indexOf(activeMode) + 1) % MODES.length];
+
+  return (
+    <div
+      className="now-playing-art"
+      style={{ position: "relative", marginBottom: "24px", lineHeight: 0 }}
+    >
+      {/* Radial ring - sits behind the cover and reaches past its edges */}
+      <canvas
+        ref={ringRef}
+        aria-hidden="true"
+        style={{
+          position: "absolute",
+          top: "50%",
+          left: "50%",
+          width: "140%",
+          height: "140%",
+          transform: "translate(-50%, -50%)",
+          pointerEvents: "none",
+          display: activeMode === "radial" ? "block" : "none",
+        }}
+      />
+      <img
+        src={image}
+        alt={alt}
+        style={{
+          position: "relative",
+          width: "200px",
+          height: "200px",
+          borderRadius: "16px",
+          boxShadow: "0 20px 60px rgba(0,0,0,0.4)",
+        }}
+      />
+      {/* Bars / waveform - over the bottom of the cover */}
+      <canvas
+        ref={overlayRef}
+        aria-hidden="true"
+        style={{
+          position: "absolute",
+          left: 0,
+          right: 0,
+          bottom: 0,
+          width: "100%",
+          height: "40%",
+          borderRadius: "0 0 16px 16px",
+          background: "linear-gradient(to top, rgba(15,10,30,0.7), transparent)",
+          pointerEvents: "none",
+          display: activeMode === "bars" || activeMode === "waveform" ? "block" : "none",
+        }}
+      />
+      <button
+        onClick={() => onModeChange(nextMode)}
+        aria-label={`Visualizer: ${MODE_LABELS[activeMode]}`}
+        title={`Visualizer: ${MODE_LABELS[activeMode]} (click for ${MODE_LABELS[nextMode]})`}
+        style={{
+          position: "absolute",
+          top: "8px",
+          right: "8px",
+          width: "28px",
+          height: "28px",
+          borderRadius: "50%",
+          border: "none",
+          background: "rgba(15,10,30,0.6)",
+          color: activeMode === "off" ? "rgba(255,255,255,0.5)" : "#c4b5fd",
+          cursor: "pointer",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+        }}
+      >
+        <MdGraphicEq style={{ fontSize: "16px" }} />
+      </button>
+    </div>
+  );
+}
+
+export default Visualizer;
@@ -0,0 +1,61 @@
+/**
+ * ============================================================================
+ * useDeezer - React hook for loading a Deezer endpoint
+ * ============================================================================
+ *
+ * Fetches an endpoint through the shared Deezer client whenever the path or
+ * params change, cancels the old request if they change mid-flight, and
+ * tracks loading/error state for the component.
+ *
+ *   const { data, loading, error, retry } = useDeezer(`/artist/${id}`);
+ *
+ * Pass null as the path to skip loading (e.g. while an id isn't known yet).
+ * ============================================================================
+ */
+
+import { useEffect, useState } from "react";
+import deezer from "../api/deezer.js";
+
+/**
+ * useDeezer
+ * @param {string|null} path - Endpoint path such as "/artist/27"
+ * @param {Object} params - Query parameters (kept in a stable string key)
+ * @returns {{data: Object|null, error: Object|null, loading: boolean, retry: Function}}
+ */
+function useDeezer(path, params = {}) {
+  const paramsKey = JSON.stringify(params);
+  const requestKey = path ? `${path}?${paramsKey}` : null;
+
+  // The key the stored result belongs to - when it doesn't match the current
+  // request key, the result is stale and we're loading
+  const [result, setResult] = useState({ key: null, data: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!path) return;
+
+    const controller = new AbortController();
+    deezer
+      .request(path, JSON.parse(paramsKey), { signal: controller.signal })
+      .then((response) => {
+        if (controller.signal.aborted) return;
+        setResult({
+          key: `${path}?${paramsKey}#${attempt}`,
+          data: response.ok ? response.data : null,
+          error: response.ok ? null : response.error,
+        });
+      });
+    return () => controller.abort();
+  }, [path, paramsKey, attempt]);
+
+  const isCurrent = requestKey !== null && result.key === `${requestKey}#${attempt}`;
+
+  return {
+    data: isCurrent ? result.data : null,
+    error: isCurrent ? result.error : null,
+    loading: requestKey !== null && !isCurrent,
+    retry: () => setAttempt((prev) => prev + 1),
+  };
+}
+
+export default useDeezer;
@@ -0,0 +1,62 @@
+/**
+ * ============================================================================
+ * useKeyboardShortcuts - Global keyboard shortcuts
+ * ============================================================================
+ *
+ * One keydown listener on the window maps keys to player actions through a
+ * keymap ({ actionId: "key" }) that the user can change - see
+ * player/keymap.js for the actions, default keys and key names.
+ *
+ * Shortcuts never fire while the user is typing (search box, playlist name,
+ * sliders...) so they can't get in the way of normal input.
+ * ============================================================================
+ */
+
+import { useEffect, useRef } from "react";
+import { eventToKey } from "../player/keymap.js";
+
+/**
+ * isTypingTarget - Whether a key press belongs to a form field
+ */
+const isTypingTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  const tag = target.tagName.toLowerCase();
+  return tag === "input" || tag === "textarea" || tag === "select" || target.isContentEditable;
+};
+
+/**
+ * useKeyboardShortcuts
+ * @param {Object} keymap - { actionId: key }
+ * @param {Object} handlers - { actionId: function }
+ * @param {boolean} enabled - Set to false to pause all shortcuts (e.g. while
+ *   the user is recording a new binding)
+ */
+function useKeyboardShortcuts(keymap, handlers, enabled = true) {
+  // Latest handlers without re-adding the listener every render
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.isComposing || isTypingTarget(event.target)) return;
+
+      const key = eventToKey(event);
+      const actionId = Object.keys(keymap).find((id) => keymap[id] === key);
+      const handler = actionId && handlersRef.current[actionId];
+      if (!handler) return;
+
+      // Stop the browser's own use of the key (page scroll, button press...)
+      event.preventDefault();
+      handler(event);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [keymap, enabled]);
+}
+
+export default useKeyboardShortcuts;
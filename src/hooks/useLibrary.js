@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * useLibrary - Favorites, playlists and history, saved in IndexedDB
+ * ============================================================================
+ *
+ * Holds the three collections as React state, loads them once from
+ * storage/library.js and saves each one whenever it changes:
+ *
+ *   const { favorites, setFavorites, playlists, setPlaylists,
+ *           history, setHistory, replaceLibrary, storageUsage,
+ *           saveError, refreshStorageUsage } = useLibrary();
+ *
+ * Nothing is saved until the load has finished, so the empty starting
+ * state never overwrites the stored library. Changes made while it loads
+ * are kept on top of what was loaded.
+ *
+ * If the database can't be opened the library is read from and saved to
+ * the old localStorage keys instead, so it still works (with less room).
+ * ============================================================================
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { addHistoryEntry } from "../player/history.js";
+import { estimateStorage } from "../storage/database.js";
+import {
+  loadLegacyLibrary,
+  loadLibrary,
+  saveCollection,
+  saveLegacyCollection,
+  saveLibrary,
+} from "../storage/library.js";
+
+/**
+ * describeSaveError - A message for a failed load or save
+ */
+const describeSaveError = (error) =>
+  error?.name === "QuotaExceededError"
+    ? "Storage is full - your latest changes couldn't be saved"
+    : "Couldn't save your library - changes may be lost when you leave";
+
+// Shown for as long as the library is kept in localStorage
+const FALLBACK_NOTICE = "Couldn't open the library database - saving to basic browser storage";
+
+/**
+ * keepAddedDuringLoad - Loaded items plus any the user added meanwhile
+ */
+const keepAddedDuringLoad = (loadedItems, addedItems, key) => {
+  const known = new Set(loadedItems.map(key));
+  return [...loadedItems, ...addedItems.filter((item) => !known.has(key(item)))];
+};
+
+/**
+ * useSavedCollection - Saves one collection after every change
+ * @param {string} storage - null until loaded, then "database" or "localStorage"
+ */
+function useSavedCollection(name, items, storage, report) {
+  useEffect(() => {
+    if (storage === "database") report(saveCollection(name, items));
+    if (storage === "localStorage") {
+      // Synchronous - wrapped so a full storage is reported like a failed save
+      report(new Promise((resolve) => resolve(saveLegacyCollection(name, items))));
+    }
+  }, [name, items, storage, report]);
+}
+
+/**
+ * useLibrary
+ * @returns {Object} - The collections and their setters, plus
+ *   replaceLibrary(library), storageUsage ({ usage, quota } in bytes, or null), saveError (message
+ *   of the last failed load/save, or null) and refreshStorageUsage()
+ */
+function useLibrary() {
+  const [favorites, setFavorites] = useState([]);
+  const [playlists, setPlaylists] = useState([]);
+  const [history, setHistory] = useState([]);
+  // Where the library is saved, once it has loaded: "database" or "localStorage"
+  const [storage, setStorage] = useState(null);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  /**
+   * refreshStorageUsage - Asks the browser how much is stored again
+   * Called after saves here, and by the app after adding/removing files.
+   */
+  const refreshStorageUsage = useCallback(() => {
+    estimateStorage().then(setStorageUsage);
+  }, []);
+
+  // Records the outcome of a save
+  const report = useCallback(
+    (save) =>
+      save.then(
+        () => {
+          setSaveError(null);
+          refreshStorageUsage();
+        },
+        (error) => {
+          console.error("Error saving library:", error);
+          setSaveError(describeSaveError(error));
+        }
+      ),
+    [refreshStorageUsage]
+  );
+
+  /**
+   * replaceLibrary - Saves a whole new library, then shows it (restores)
+   * Unlike the setters this waits for the write, so the caller knows it
+   * worked before e.g. reloading the page. Saved wherever the library is.
+   * @param {Object} library - { favorites, playlists, history }
+   */
+  const replaceLibrary = useCallback(
+    async (library) => {
+      try {
+        if (storage === "localStorage") {
+          Object.keys(library).forEach((name) => saveLegacyCollection(name, library[name]));
+        } else {
+          await saveLibrary(library);
+        }
+      } catch (error) {
+        setSaveError(describeSaveError(error));
+        throw error;
+      }
+      setFavorites(library.favorites);
+      setPlaylists(library.playlists);
+      setHistory(library.history);
+      setSaveError(null);
+    },
+    [storage]
+  );
+
+  /**
+   * EFFECT: Load the library (moving old localStorage data over the first time)
+   */
+  useEffect(() => {
+    loadLibrary()
+      .then((library) => ({ library, storage: "database" }))
+      .catch((error) => {
+        console.error("Error loading library, using localStorage instead:", error);
+        return { library: loadLegacyLibrary(), storage: "localStorage" };
+      })
+      .then(({ library, storage: where }) => {
+        // Keep anything favorited, created or played while the library was loading
+        setFavorites((prev) => keepAddedDuringLoad(library.favorites, prev, (t) => t.id));
+        setPlaylists((prev) => keepAddedDuringLoad(library.playlists, prev, (p) => p.id));
+        setHistory((prev) =>
+          prev.reduceRight((merged, entry) => addHistoryEntry(merged, entry), library.history)
+        );
+        setStorage(where);
+        refreshStorageUsage();
+      });
+  }, [refreshStorageUsage]);
+
+  useSavedCollection("favorites", favorites, storage, report);
+  useSavedCollection("playlists", playlists, storage, report);
+  useSavedCollection("history", history, storage, report);
+
+  return {
+    favorites,
+    setFavorites,
+    playlists,
+    setPlaylists,
+    history,
+    setHistory,
+    replaceLibrary,
+    storageUsage,
+    saveError: saveError || (storage === "localStorage" ? FALLBACK_NOTICE : null),
+    refreshStorageUsage,
+  };
+}
+
+export default useLibrary;
@@ -0,0 +1,124 @@
+/**
+ * ============================================================================
+ * useMediaSession - Media keys, headset buttons and lock-screen controls
+ * ============================================================================
+ *
+ * Publishes the playing track to navigator.mediaSession (title, artist,
+ * album, artwork and position) and routes the OS controls back into the
+ * player:
+ *
+ *   useMediaSession({
+ *     track: currentTrack,
+ *     isPlaying,
+ *     position: { current, duration, rate },
+ *     actions: { play, pause, nexttrack, previoustrack, seekto, ... },
+ *   });
+ *
+ * Browsers without the Media Session API simply ignore all of this.
+ * ============================================================================
+ */
+
+import { useEffect, useRef } from "react";
+
+const ACTIONS = [
+  "play",
+  "pause",
+  "stop",
+  "nexttrack",
+  "previoustrack",
+  "seekto",
+  "seekbackward",
+  "seekforward",
+];
+
+const hasMediaSession = () =>
+  typeof navigator !== "undefined" && "mediaSession" in navigator;
+
+/**
+ * buildArtwork - Deezer's cover sizes as Media Session artwork entries
+ */
+const buildArtwork = (album = {}) =>
+  [
+    { src: album.cover_small, sizes: "56x56" },
+    { src: album.cover_medium, sizes: "250x250" },
+    { src: album.cover_big, sizes: "500x500" },
+    { src: album.cover_xl, sizes: "1000x1000" },
+  ]
+    .filter((image) => image.src)
+    .map((image) => ({ ...image, type: "image/jpeg" }));
+
+/**
+ * useMediaSession
+ * @param {Object} track - The loaded track (or null)
+ * @param {boolean} isPlaying - Whether audio is playing
+ * @param {Object} position - { current, duration, rate } in seconds
+ * @param {Object} actions - Handlers keyed by Media Session action name;
+ *   seek handlers receive the action details ({ seekTime, seekOffset })
+ */
+function useMediaSession({ track, isPlaying, position, actions }) {
+  // Handlers change every render - the OS always calls the latest ones
+  const actionsRef = useRef(actions);
+  useEffect(() => {
+    actionsRef.current = actions;
+  });
+
+  // Register the action handlers once
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    ACTIONS.forEach((action) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, (details) =>
+          actionsRef.current[action]?.(details)
+        );
+      } catch {
+        // Older browsers throw for actions they don't support
+      }
+    });
+    return () => {
+      ACTIONS.forEach((action) => {
+        try {
+          navigator.mediaSession.setActionHandler(action, null);
+        } catch {
+          // Same as above
+        }
+      });
+    };
+  }, []);
+
+  // Title, artist, album and artwork
+  useEffect(() => {
+    if (!hasMediaSession() || typeof MediaMetadata === "undefined") return;
+    navigator.mediaSession.metadata = track
+      ? new MediaMetadata({
+          title: track.title,
+          artist: track.artist?.name || "",
+          album: track.album?.title || "",
+          artwork: buildArtwork(track.album),
+        })
+      : null;
+  }, [track]);
+
+  // Playing / paused indicator
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    navigator.mediaSession.playbackState = !track ? "none" : isPlaying ? "playing" : "paused";
+  }, [track, isPlaying]);
+
+  // Position for the OS scrubber
+  const { current, duration, rate } = position;
+  useEffect(() => {
+    if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+    if (!duration || !isFinite(duration)) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate: rate || 1,
+        position: Math.min(Math.max(current, 0), duration),
+      });
+    } catch {
+      // Invalid values are rejected - the next update will fix it
+    }
+  }, [current, duration, rate]);
+}
+
+export default useMediaSession;
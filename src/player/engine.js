@@ -0,0 +1,478 @@
+/**
+ * ============================================================================
+ * PLAYBACK ENGINE
+ * ============================================================================
+ *
+ * Plays previews through the Web Audio API instead of a single <audio> tag,
+ * so one song can fade into the next without a gap:
+ *
+ *   deck A (<audio>) -> trim A -> gain A --\
+ *                                           >-- master gain -> pitch shifter -> equalizer -> analyser -> speakers
+ *   deck B (<audio>) -> trim B -> gain B --/
+ *
+ * "trim" is the loudness-normalization gain of the song on that deck and
+ * "gain" is the deck's crossfade level.
+ *
+ * The two decks take turns. While one plays, the other preloads whatever
+ * comes next, and when the playing song gets within the crossfade length of
+ * its end the engine asks the app what to play next (onTrackEnding). The
+ * next song then starts on the idle deck while the gains cross over.
+ *
+ * With a crossfade of 0 the switch happens when the song ends, and because
+ * the next preview is already buffered it starts straight away.
+ *
+ * Speed is the <audio> elements' own playbackRate (optionally keeping the
+ * pitch); the semitone shift is a separate AudioWorklet so it doesn't touch
+ * the speed.
+ *
+ * Browsers without Web Audio still work - fades, the equalizer and the pitch
+ * shift are then skipped and the volume goes straight on the <audio> elements.
+ * ============================================================================
+ */
+
+import { createEqualizer, DEFAULT_EQ_SETTINGS } from "./equalizer.js";
+
+export const MAX_CROSSFADE = 12; // seconds
+
+// Playback speed and pitch shift ranges
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 2;
+export const MAX_PITCH_SHIFT = 12; // semitones either way
+
+const PITCH_WORKLET_URL = new URL("./pitchShifter.worklet.js", import.meta.url);
+
+/**
+ * createPlaybackEngine - Creates the two-deck player
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onTimeUpdate - Called with (currentTime, duration)
+ * @param {Function} callbacks.onTrackEnding - The playing song is about to end
+ * @param {Function} callbacks.onPlayStateChange - Called with (playing, ended) -
+ *   ended is true when the song stopped because it reached its end
+ * @param {Function} callbacks.onError - Called with (error, url) when the playing
+ *   song fails: a MediaError if it couldn't load, or the DOMException from
+ *   play() (NotAllowedError when the browser's autoplay policy blocked it)
+ */
+export function createPlaybackEngine({
+  onTimeUpdate = () => {},
+  onTrackEnding = () => {},
+  onPlayStateChange = () => {},
+  onError = () => {},
+} = {}) {
+  const AudioContextClass =
+    typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext);
+
+  let context = null;
+  let master = null;
+  let equalizer = null;
+  let analyser = null;
+  let eqSettings = DEFAULT_EQ_SETTINGS;
+  let pitchShifter = null;
+  let volume = 1;
+  let fadeLevel = 1; // Extra fade on top of the volume (sleep timer)
+  let crossfade = 0;
+  let playbackRate = 1;
+  let preservePitch = true;
+  let semitones = 0;
+  let fadeTimer = null;
+  let pendingPreload = null;
+  // Loudness normalization - gain in dB per preview URL
+  let normalize = true;
+  const trackGains = new Map();
+
+  const decks = [createDeck(), createDeck()];
+  let activeIndex = 0;
+
+  const active = () => decks[activeIndex];
+  const idle = () => decks[1 - activeIndex];
+
+  // ==========================================================================
+  // DECKS
+  // ==========================================================================
+
+  function createDeck() {
+    const audio = new Audio();
+    audio.preload = "auto";
+    // Web Audio only hears cross-origin media that was fetched with CORS
+    audio.crossOrigin = "anonymous";
+
+    const deck = { audio, trim: null, gain: null, url: null, endingFired: false };
+
+    audio.addEventListener("timeupdate", () => {
+      if (deck !== active()) return;
+      const { currentTime, duration } = audio;
+      onTimeUpdate(currentTime, duration || 0);
+
+      // Ask for the next song once we're inside the crossfade window
+      // (measured in real seconds, so it follows the playback speed)
+      if (
+        crossfade > 0 &&
+        !deck.endingFired &&
+        duration &&
+        (duration - currentTime) / playbackRate <= crossfade
+      ) {
+        deck.endingFired = true;
+        onTrackEnding();
+      }
+    });
+    audio.addEventListener("ended", () => {
+      if (deck !== active()) return;
+      if (!deck.endingFired) {
+        deck.endingFired = true;
+        onTrackEnding();
+      }
+      // Nothing took over - playback simply stops here
+      if (deck === active()) onPlayStateChange(false, true);
+    });
+    audio.addEventListener("play", () => {
+      if (deck === active()) onPlayStateChange(true);
+    });
+    audio.addEventListener("pause", () => {
+      if (deck === active() && !audio.ended) onPlayStateChange(false);
+    });
+    audio.addEventListener("error", () => {
+      if (deck === active() && deck.url) onError(audio.error, deck.url);
+    });
+
+    return deck;
+  }
+
+  /**
+   * setDeckLevel - Sets (or fades) a deck's own gain
+   * @param {number} seconds - Fade length, 0 to jump straight there
+   */
+  function setDeckLevel(deck, level, seconds = 0) {
+    if (!deck.gain) {
+      deck.audio.volume = level * volume * fadeLevel;
+      return;
+    }
+    const param = deck.gain.gain;
+    const now = context.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    if (seconds > 0) {
+      param.linearRampToValueAtTime(level, now + seconds);
+    } else {
+      param.setValueAtTime(level, now);
+    }
+  }
+
+  /**
+   * applyOutputLevel - Sets the master gain from the volume and fade level
+   * Glides over a few milliseconds so slider moves and fades don't click.
+   */
+  function applyOutputLevel() {
+    const level = volume * fadeLevel;
+    if (master) {
+      master.gain.setTargetAtTime(level, context.currentTime, 0.05);
+    } else {
+      decks.forEach((deck) => {
+        deck.audio.volume = deck === active() ? level : 0;
+      });
+    }
+  }
+
+  /**
+   * loadDeck - Points a deck at a URL (skipped if it's already loaded there)
+   */
+  function loadDeck(deck, url) {
+    if (deck.url === url) return;
+    deck.url = url;
+    deck.audio.src = url;
+    deck.audio.load();
+    // load() resets the rate to defaultPlaybackRate, so set both
+    applyRate(deck);
+    applyTrim(deck);
+  }
+
+  /**
+   * applyTrim - Sets a deck's normalization gain for the song it holds
+   */
+  function applyTrim(deck) {
+    if (!deck.trim) return;
+    const db = normalize ? trackGains.get(deck.url) || 0 : 0;
+    deck.trim.gain.setTargetAtTime(Math.pow(10, db / 20), context.currentTime, 0.05);
+  }
+
+  /**
+   * applyRate - Puts the current speed and pitch setting on a deck
+   */
+  function applyRate(deck) {
+    const { audio } = deck;
+    audio.defaultPlaybackRate = playbackRate;
+    audio.playbackRate = playbackRate;
+    audio.preservesPitch = preservePitch;
+    audio.mozPreservesPitch = preservePitch;
+    audio.webkitPreservesPitch = preservePitch;
+  }
+
+  /**
+   * stopDeck - Silences and rewinds a deck that's no longer needed
+   */
+  function stopDeck(deck) {
+    deck.audio.pause();
+    setDeckLevel(deck, 0);
+    if (pendingPreload) {
+      loadDeck(deck, pendingPreload);
+      pendingPreload = null;
+    }
+  }
+
+  /**
+   * finishFade - Ends a crossfade early (e.g. the user skipped again)
+   */
+  function finishFade() {
+    if (!fadeTimer) return;
+    clearTimeout(fadeTimer);
+    fadeTimer = null;
+    stopDeck(idle());
+  }
+
+  // ==========================================================================
+  // WEB AUDIO GRAPH
+  // ==========================================================================
+
+  /**
+   * ensureContext - Builds the audio graph on first use
+   * Browsers only allow an AudioContext to start after a user gesture, so
+   * this runs from play() rather than when the engine is created.
+   */
+  function ensureContext() {
+    if (context || !AudioContextClass) return;
+    context = new AudioContextClass();
+    master = context.createGain();
+    master.gain.value = volume * fadeLevel;
+    equalizer = createEqualizer(context);
+    equalizer.apply(eqSettings);
+    master.connect(equalizer.input);
+    // The analyser only listens - it feeds the visualizer and passes audio on
+    analyser = context.createAnalyser();
+    analyser.fftSize = 256;
+    analyser.smoothingTimeConstant = 0.8;
+    equalizer.output.connect(analyser);
+    analyser.connect(context.destination);
+    loadPitchShifter();
+
+    decks.forEach((deck) => {
+      const source = context.createMediaElementSource(deck.audio);
+      deck.trim = context.createGain();
+      deck.gain = context.createGain();
+      deck.gain.gain.value = deck === active() ? 1 : 0;
+      source.connect(deck.trim);
+      deck.trim.connect(deck.gain);
+      applyTrim(deck);
+      deck.gain.connect(master);
+      deck.audio.volume = 1;
+    });
+  }
+
+  /**
+   * loadPitchShifter - Loads the worklet and splices it in after the master
+   * Loading is async, so until it's ready (or if the browser has no
+   * AudioWorklet) the master feeds the equalizer directly.
+   */
+  function loadPitchShifter() {
+    if (!context.audioWorklet) return;
+    const loadingContext = context;
+    context.audioWorklet
+      .addModule(PITCH_WORKLET_URL)
+      .then(() => {
+        if (context !== loadingContext || context.state === "closed") return;
+        pitchShifter = new AudioWorkletNode(context, "pitch-shifter", {
+          outputChannelCount: [2],
+        });
+        pitchShifter.parameters.get("semitones").value = semitones;
+        master.disconnect();
+        master.connect(pitchShifter);
+        pitchShifter.connect(equalizer.input);
+      })
+      .catch(() => {
+        // No pitch shift then - everything else keeps working
+      });
+  }
+
+  /**
+   * startDeck - Calls play() and reports anything other than an interruption
+   */
+  function startDeck(deck) {
+    deck.audio.play().catch((error) => {
+      // AbortError just means another song was started before this one did
+      if (error.name !== "AbortError" && deck === active()) onError(error, deck.url);
+    });
+  }
+
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+
+  return {
+    /**
+     * play - Starts a song
+     * @param {string} url - Preview URL
+     * @param {Object} options
+     * @param {boolean} options.crossfade - Fade over from the playing song
+     *   (used for automatic transitions; a click switches straight away)
+     * @param {number} options.startAt - Position to start from in seconds
+     *   (resuming a saved session)
+     */
+    play(url, { crossfade: fadeIn = false, startAt = 0 } = {}) {
+      ensureContext();
+      if (context?.state === "suspended") context.resume();
+      finishFade();
+
+      const outgoing = active();
+      const incoming = idle();
+      const fadeSeconds =
+        fadeIn && crossfade > 0 && !outgoing.audio.paused ? crossfade : 0;
+
+      activeIndex = 1 - activeIndex;
+      loadDeck(incoming, url);
+      incoming.endingFired = false;
+      // Before the metadata loads this sets where playback will begin
+      if (incoming.audio.currentTime !== startAt) incoming.audio.currentTime = startAt;
+
+      if (fadeSeconds > 0) {
+        setDeckLevel(incoming, 0);
+        setDeckLevel(incoming, 1, fadeSeconds);
+        setDeckLevel(outgoing, 0, fadeSeconds);
+        fadeTimer = setTimeout(() => {
+          fadeTimer = null;
+          stopDeck(outgoing);
+        }, fadeSeconds * 1000);
+      } else {
+        setDeckLevel(incoming, 1);
+        stopDeck(outgoing);
+      }
+      startDeck(incoming);
+    },
+
+    /**
+     * preload - Buffers the song that will most likely play next
+     * If a crossfade is still using the idle deck, it loads once that's done.
+     */
+    preload(url) {
+      if (!url || url === active().url) return;
+      if (fadeTimer) {
+        pendingPreload = url;
+      } else {
+        loadDeck(idle(), url);
+      }
+    },
+
+    pause() {
+      finishFade();
+      active().audio.pause();
+    },
+
+    resume() {
+      if (!active().url) return;
+      ensureContext();
+      if (context?.state === "suspended") context.resume();
+      startDeck(active());
+    },
+
+    seek(seconds) {
+      const { audio } = active();
+      if (!audio.duration) return;
+      audio.currentTime = Math.min(Math.max(seconds, 0), audio.duration);
+      // Seeking back out of the crossfade window re-arms the transition
+      if ((audio.duration - audio.currentTime) / playbackRate > crossfade) {
+        active().endingFired = false;
+      }
+    },
+
+    /**
+     * setVolume - Master volume (0-1), applied after the crossfade
+     */
+    setVolume(value) {
+      volume = value;
+      applyOutputLevel();
+    },
+
+    /**
+     * setTrackGain - Sets the loudness-normalization gain for a preview
+     * Applies straight away if that preview is on a deck (playing or preloaded).
+     */
+    setTrackGain(url, db) {
+      trackGains.set(url, db);
+      decks.filter((deck) => deck.url === url).forEach(applyTrim);
+    },
+
+    /**
+     * setNormalization - Turns loudness normalization on or off
+     */
+    setNormalization(enabled) {
+      normalize = enabled;
+      decks.forEach(applyTrim);
+    },
+
+    /**
+     * setFadeLevel - Fades the output (0-1) independently of the volume
+     * Used by the sleep timer so the user's volume setting isn't touched.
+     */
+    setFadeLevel(value) {
+      fadeLevel = Math.min(Math.max(value, 0), 1);
+      applyOutputLevel();
+    },
+
+    /**
+     * getAnalyser - The AnalyserNode for visualizers (null until something played)
+     */
+    getAnalyser() {
+      return analyser;
+    },
+
+    /**
+     * setEqualizer - Applies equalizer settings (see equalizer.js)
+     * Kept until the audio graph exists if nothing has played yet.
+     */
+    setEqualizer(settings) {
+      eqSettings = settings;
+      equalizer?.apply(settings);
+    },
+
+    /**
+     * setPlaybackRate - Speed from 0.5x to 2x
+     * @param {boolean} keepPitch - Keep the original pitch (otherwise slower
+     *   sounds lower, like a record)
+     */
+    setPlaybackRate(rate, keepPitch = true) {
+      playbackRate = Math.min(
+        Math.max(Number(rate) || 1, MIN_PLAYBACK_RATE),
+        MAX_PLAYBACK_RATE
+      );
+      preservePitch = keepPitch;
+      decks.forEach(applyRate);
+    },
+
+    /**
+     * setPitch - Shifts the pitch by whole semitones without changing speed
+     */
+    setPitch(value) {
+      semitones = Math.min(
+        Math.max(Math.round(Number(value) || 0), -MAX_PITCH_SHIFT),
+        MAX_PITCH_SHIFT
+      );
+      pitchShifter?.parameters.get("semitones").setValueAtTime(semitones, context.currentTime);
+    },
+
+    /**
+     * setCrossfade - Crossfade length in seconds (0 = gapless, no fade)
+     */
+    setCrossfade(seconds) {
+      crossfade = Math.min(Math.max(Number(seconds) || 0, 0), MAX_CROSSFADE);
+    },
+
+    /**
+     * destroy - Stops both decks and closes the audio context
+     */
+    destroy() {
+      clearTimeout(fadeTimer);
+      decks.forEach((deck) => {
+        deck.audio.pause();
+        deck.audio.removeAttribute("src");
+        deck.audio.load();
+      });
+      context?.close();
+    },
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * ============================================================================
+ * 10-BAND EQUALIZER
+ * ============================================================================
+ *
+ * A chain of BiquadFilterNodes that the playback engine puts between its
+ * master gain and the speakers, so the settings apply to every song:
+ *
+ *   preamp -> 31 Hz (low shelf) -> 62 Hz ... 8 kHz (peaking) -> 16 kHz (high shelf)
+ *
+ * Settings are plain data so they can be saved to localStorage:
+ *   { gains: [10 numbers in dB], preamp: dB, bypass: boolean, preset: name }
+ * ============================================================================
+ */
+
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Range of every slider (bands and preamp), in dB
+export const EQ_MIN_GAIN = -12;
+export const EQ_MAX_GAIN = 12;
+
+const FLAT_GAINS = EQ_FREQUENCIES.map(() => 0);
+
+export const BUILT_IN_PRESETS = [
+  { name: "Flat", gains: FLAT_GAINS },
+  { name: "Bass Boost", gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { name: "Vocal", gains: [-2, -2, -1, 1, 3, 4, 4, 2, 0, -1] },
+  { name: "Acoustic", gains: [3, 3, 2, 1, 1, 1, 2, 3, 2, 1] },
+];
+
+export const DEFAULT_EQ_SETTINGS = {
+  gains: FLAT_GAINS,
+  preamp: 0,
+  bypass: false,
+  preset: "Flat",
+};
+
+/**
+ * clampGain - Keeps a dB value inside the slider range
+ */
+export const clampGain = (value) =>
+  Math.min(Math.max(Number(value) || 0, EQ_MIN_GAIN), EQ_MAX_GAIN);
+
+/**
+ * normalizeEqSettings - Fills in anything missing from saved settings
+ * Protects against old or hand-edited localStorage data.
+ */
+export const normalizeEqSettings = (settings) => {
+  const gains = Array.isArray(settings?.gains) ? settings.gains : FLAT_GAINS;
+  return {
+    gains: EQ_FREQUENCIES.map((_, i) => clampGain(gains[i])),
+    preamp: clampGain(settings?.preamp),
+    bypass: Boolean(settings?.bypass),
+    preset: typeof settings?.preset === "string" ? settings.preset : null,
+  };
+};
+
+/**
+ * normalizeEqPresets - The user's saved presets, minus anything broken
+ * @returns {Array} - [{ name, gains, preamp }]
+ */
+export const normalizeEqPresets = (presets) =>
+  (Array.isArray(presets) ? presets : [])
+    .filter(
+      (preset) =>
+        typeof preset?.name === "string" && preset.name !== "" && Array.isArray(preset.gains)
+    )
+    .map((preset) => ({
+      name: preset.name,
+      gains: EQ_FREQUENCIES.map((_, i) => clampGain(preset.gains[i])),
+      preamp: clampGain(preset.preamp),
+    }));
+
+// dB -> linear gain for the preamp
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * createEqualizer - Builds the filter chain on an AudioContext
+ * @param {AudioContext} context - The engine's audio context
+ * @returns {Object} - { input, output, apply(settings) }
+ */
+export function createEqualizer(context) {
+  const input = context.createGain();
+  const output = context.createGain();
+
+  const filters = EQ_FREQUENCIES.map((frequency, index) => {
+    const filter = context.createBiquadFilter();
+    if (index === 0) {
+      filter.type = "lowshelf";
+    } else if (index === EQ_FREQUENCIES.length - 1) {
+      filter.type = "highshelf";
+    } else {
+      filter.type = "peaking";
+      filter.Q.value = 1.4;
+    }
+    filter.frequency.value = frequency;
+    return filter;
+  });
+  filters.reduce((previous, filter) => {
+    previous.connect(filter);
+    return filter;
+  });
+  filters[filters.length - 1].connect(output);
+
+  let bypassed = null;
+
+  return {
+    input,
+    output,
+
+    /**
+     * apply - Updates the filters from a settings object
+     * Bypass routes the input straight to the output, preamp included.
+     */
+    apply(settings) {
+      const { gains, preamp, bypass } = normalizeEqSettings(settings);
+      filters.forEach((filter, i) => {
+        filter.gain.value = gains[i];
+      });
+      input.gain.value = bypass ? 1 : dbToGain(preamp);
+
+      if (bypass !== bypassed) {
+        input.disconnect();
+        input.connect(bypass ? output : filters[0]);
+        bypassed = bypass;
+      }
+    },
+  };
+}
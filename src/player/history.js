@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * LISTENING HISTORY
+ * ============================================================================
+ *
+ * A log of every play, newest first. An entry is written when a song stops
+ * playing - because it finished, because the user moved on, or because the
+ * page was closed:
+ *
+ *   {
+ *     id: "h1700000000000-3",
+ *     track: { id, title, ... },  // the song (stored once in storage/library.js)
+ *     startedAt: 1700000000000,   // null for entries migrated from the
+ *     listened: 27,               //   old recentlyPlayed list
+ *     outcome: "completed",       // "completed" | "skipped" | "stopped"
+ *   }
+ *
+ * "listened" counts seconds actually heard: seeking doesn't add to it and
+ * replaying part of the song does.
+ * ============================================================================
+ */
+
+// Plays shorter than this (failed loads, instant skips) aren't logged
+const MIN_LISTENED_SECONDS = 1;
+
+// Position jumps bigger than this between time updates are seeks
+const MAX_TICK_SECONDS = 2;
+
+let nextId = 1;
+const createId = (startedAt) => `h${startedAt}-${nextId++}`;
+
+// ============================================================================
+// EDITING - pure functions that return a new history
+// ============================================================================
+
+/**
+ * addHistoryEntry - Puts a new entry at the top
+ */
+export const addHistoryEntry = (history, entry) => [entry, ...history];
+
+/**
+ * removeHistoryEntry - Deletes one entry
+ */
+export const removeHistoryEntry = (history, entryId) =>
+  history.filter((entry) => entry.id !== entryId);
+
+/**
+ * clearHistorySince - Deletes every entry from a point in time onwards
+ * @param {number|null} since - Timestamp; null clears everything
+ */
+export const clearHistorySince = (history, since) =>
+  since === null ? [] : history.filter((entry) => entry.startedAt === null || entry.startedAt < since);
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * getRecentTracks - The last few different songs, for the sidebar card
+ * @param {Array} history - Newest first
+ * @param {Object} current - The loaded song, shown first even though its
+ *   entry is only written when it stops
+ * @param {number} limit - How many songs
+ */
+export const getRecentTracks = (history, current = null, limit = 10) => {
+  const tracks = current ? [current] : [];
+  for (const entry of history) {
+    if (tracks.length >= limit) break;
+    if (!tracks.some((track) => track.id === entry.track.id)) tracks.push(entry.track);
+  }
+  return tracks;
+};
+
+/**
+ * startOfDay - Midnight (local time) of the day a timestamp falls on
+ */
+export const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * groupHistoryByDay - Splits entries into days, newest day first
+ * @returns {Array} - [{ key, label, entries }]; undated entries go last
+ */
+export const groupHistoryByDay = (history, now = Date.now()) => {
+  const today = startOfDay(now);
+  const yesterday = startOfDay(today - 12 * 60 * 60 * 1000);
+  const groups = new Map();
+
+  history.forEach((entry) => {
+    const key = entry.startedAt === null ? "earlier" : startOfDay(entry.startedAt);
+    if (!groups.has(key)) {
+      let label = "Earlier";
+      if (key === today) label = "Today";
+      else if (key === yesterday) label = "Yesterday";
+      else if (key !== "earlier") {
+        label = new Date(key).toLocaleDateString(undefined, {
+          weekday: "long",
+          day: "numeric",
+          month: "long",
+          year: new Date(key).getFullYear() === new Date(now).getFullYear() ? undefined : "numeric",
+        });
+      }
+      groups.set(key, { key: String(key), label, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  });
+
+  return [...groups.values()];
+};
+
+// ============================================================================
+// LISTEN TRACKER - measures the play that's going on right now
+// ============================================================================
+
+/**
+ * createListenTracker - Follows one play at a time
+ *
+ *   tracker.start(track);          // a song starts
+ *   tracker.update(currentTime);   // on every time update
+ *   const entry = tracker.finish("skipped");  // null if nothing to log
+ */
+export function createListenTracker() {
+  let play = null;
+
+  return {
+    start(track) {
+      play = { track, startedAt: Date.now(), listened: 0, lastTime: null };
+    },
+
+    update(currentTime) {
+      if (!play) return;
+      const delta = play.lastTime === null ? 0 : currentTime - play.lastTime;
+      if (delta > 0 && delta < MAX_TICK_SECONDS) play.listened += delta;
+      play.lastTime = currentTime;
+    },
+
+    finish(outcome) {
+      const finished = play;
+      play = null;
+      if (!finished || finished.listened < MIN_LISTENED_SECONDS) return null;
+      return {
+        id: createId(finished.startedAt),
+        track: finished.track,
+        startedAt: finished.startedAt,
+        listened: Math.round(finished.listened),
+        outcome,
+      };
+    },
+  };
+}
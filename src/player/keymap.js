@@ -0,0 +1,96 @@
+/**
+ * ============================================================================
+ * KEYMAP - Which key triggers which player action
+ * ============================================================================
+ *
+ * A keymap is plain data ({ actionId: "key" }, null for "not set") so it can
+ * be saved to localStorage and restored from backups. Keys are written the
+ * way eventToKey() produces them: "Space", "ArrowLeft", "n", "?",
+ * "Shift+ArrowUp", "Ctrl+k"... The listener itself is
+ * hooks/useKeyboardShortcuts.js.
+ * ============================================================================
+ */
+
+/**
+ * Every action that can be bound, in the order the help overlay lists them
+ */
+export const SHORTCUT_ACTIONS = [
+  { id: "togglePlay", label: "Play / pause", defaultKey: "Space" },
+  { id: "next", label: "Next song", defaultKey: "n" },
+  { id: "previous", label: "Previous song", defaultKey: "p" },
+  { id: "seekBackward", label: "Back 5 seconds", defaultKey: "ArrowLeft" },
+  { id: "seekForward", label: "Forward 5 seconds", defaultKey: "ArrowRight" },
+  { id: "volumeUp", label: "Volume up", defaultKey: "ArrowUp" },
+  { id: "volumeDown", label: "Volume down", defaultKey: "ArrowDown" },
+  { id: "mute", label: "Mute / unmute", defaultKey: "m" },
+  { id: "favorite", label: "Favorite the playing song", defaultKey: "f" },
+  { id: "search", label: "Focus search", defaultKey: "/" },
+  { id: "help", label: "Show keyboard shortcuts", defaultKey: "?" },
+];
+
+export const DEFAULT_KEYMAP = Object.fromEntries(
+  SHORTCUT_ACTIONS.map((action) => [action.id, action.defaultKey])
+);
+
+// Keys that only make sense as modifiers - never a binding on their own
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "CapsLock"];
+
+/**
+ * eventToKey - Turns a keydown event into a binding string
+ * For printable characters Shift is already part of the character ("?"
+ * rather than "Shift+/"), so it's only added for named keys.
+ * @returns {string|null} - null for a lone modifier key
+ */
+export const eventToKey = (event) => {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+
+  const printable = event.key.length === 1 && event.key !== " ";
+  const key = event.key === " " ? "Space" : printable ? event.key.toLowerCase() : event.key;
+  const shiftedChar = printable && event.key !== event.key.toLowerCase();
+
+  return [
+    event.ctrlKey && "Ctrl",
+    event.altKey && "Alt",
+    event.metaKey && "Meta",
+    event.shiftKey && !printable && "Shift",
+    // Upper-case letters keep Shift so "Shift+n" and "n" stay different
+    shiftedChar && "Shift",
+    key,
+  ]
+    .filter(Boolean)
+    .join("+");
+};
+
+/**
+ * formatKey - Readable label for a binding, e.g. "ArrowLeft" -> "←"
+ */
+export const formatKey = (key) => {
+  if (!key) return "Not set";
+  const names = {
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    Space: "Space",
+    Escape: "Esc",
+  };
+  return key
+    .split("+")
+    .map((part) => names[part] || (part.length === 1 ? part.toUpperCase() : part))
+    .join(" + ");
+};
+
+/**
+ * normalizeKeymap - Saved keymap merged over the defaults
+ * New actions added in later versions get their default key, and anything
+ * that isn't a key (or null for "not set") is ignored.
+ */
+export const normalizeKeymap = (saved) => {
+  const keymap = { ...DEFAULT_KEYMAP };
+  if (saved && typeof saved === "object") {
+    Object.keys(keymap).forEach((id) => {
+      if (saved[id] === null || typeof saved[id] === "string") keymap[id] = saved[id];
+    });
+  }
+  return keymap;
+};
@@ -0,0 +1,211 @@
+/**
+ * ============================================================================
+ * LOCAL FILES
+ * ============================================================================
+ *
+ * Songs the user adds from their own computer. Each file is kept in
+ * IndexedDB (so it survives reloads) next to a track object in the same
+ * shape as a Deezer track, which lets every list, the player, favorites
+ * and playlists handle it without special cases:
+ *
+ *   {
+ *     id: "local-song.mp3-4035112-1700000000000",
+ *     local: true,
+ *     title, artist: { name }, album: { title, cover_small, ... },
+ *     duration,                 // seconds
+ *     preview: "blob:...",      // only valid for this visit
+ *   }
+ *
+ * Blob URLs die with the page, and favorites/playlists keep whatever track
+ * object they were given, so the player always asks getPlayableUrl() for
+ * a local track's current URL instead of trusting track.preview. Covers are
+ * stored as small JPEG data URLs, which stay valid anywhere they're copied.
+ * ============================================================================
+ */
+
+import { getAll, put, remove } from "../storage/database.js";
+import { readTags } from "./tags.js";
+
+const STORE = "localFiles";
+
+// Extensions accepted when the browser doesn't report a MIME type
+const AUDIO_EXTENSIONS = ["mp3", "flac", "ogg", "oga", "opus", "m4a", "mp4", "aac"];
+
+// Embedded covers are scaled down to this before they're stored
+const COVER_SIZE = 300;
+
+// Shown for files without an embedded cover
+const DEFAULT_COVER = `data:image/svg+xml,${encodeURIComponent(
+  `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">` +
+    `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">` +
+    `<stop offset="0" stop-color="#818cf8"/><stop offset="1" stop-color="#c4b5fd"/>` +
+    `</linearGradient></defs><rect width="100" height="100" fill="url(#g)"/>` +
+    `<path d="M42 30v30a9 9 0 1 0 6 8V42h14v-12z" fill="white"/></svg>`
+)}`;
+
+// Blob URL per local track id for this visit
+const urls = new Map();
+
+/**
+ * isAudioFile - Whether a dropped/picked file looks like something we play
+ */
+export const isAudioFile = (file) => {
+  if (file.type.startsWith("audio/")) return true;
+  const extension = file.name.split(".").pop().toLowerCase();
+  return AUDIO_EXTENSIONS.includes(extension);
+};
+
+/**
+ * getPlayableUrl - The URL to hand the engine for any track
+ * @returns {string|null} - null for a local file that isn't in the library
+ */
+export const getPlayableUrl = (track) =>
+  track?.local ? urls.get(track.id) || null : track?.preview || null;
+
+/**
+ * makeCover - Scales an embedded picture down to a JPEG data URL
+ */
+async function makeCover(picture) {
+  if (!picture || typeof createImageBitmap === "undefined") return DEFAULT_COVER;
+  try {
+    const bitmap = await createImageBitmap(new Blob([picture.data], { type: picture.mime }));
+    const canvas = document.createElement("canvas");
+    canvas.width = COVER_SIZE;
+    canvas.height = COVER_SIZE;
+    // Crop to a square from the middle, like Deezer's covers
+    const side = Math.min(bitmap.width, bitmap.height);
+    canvas
+      .getContext("2d")
+      .drawImage(
+        bitmap,
+        (bitmap.width - side) / 2,
+        (bitmap.height - side) / 2,
+        side,
+        side,
+        0,
+        0,
+        COVER_SIZE,
+        COVER_SIZE
+      );
+    bitmap.close();
+    return canvas.toDataURL("image/jpeg", 0.85);
+  } catch {
+    return DEFAULT_COVER;
+  }
+}
+
+/**
+ * readDuration - Length in seconds, from the browser's own decoder
+ * Resolves to 0 if the browser can't read the file.
+ */
+const readDuration = (url) =>
+  new Promise((resolve) => {
+    const audio = new Audio();
+    const done = (seconds) => {
+      audio.removeAttribute("src");
+      resolve(Math.round(seconds) || 0);
+    };
+    audio.preload = "metadata";
+    audio.onloadedmetadata = () => done(isFinite(audio.duration) ? audio.duration : 0);
+    audio.onerror = () => done(0);
+    audio.src = url;
+  });
+
+/**
+ * guessFromFileName - Title (and artist) from names like "Artist - Title.mp3"
+ */
+const guessFromFileName = (name) => {
+  const base = name.replace(/\.[^.]+$/, "").replace(/_/g, " ").trim();
+  const split = base.indexOf(" - ");
+  return split === -1
+    ? { title: base, artist: "" }
+    : { artist: base.slice(0, split).trim(), title: base.slice(split + 3).trim() };
+};
+
+/**
+ * withUrl - Gives a stored record's track this visit's blob URL
+ */
+const withUrl = (record) => {
+  if (!urls.has(record.id)) urls.set(record.id, URL.createObjectURL(record.file));
+  return { ...record.track, preview: urls.get(record.id) };
+};
+
+/**
+ * loadLocalTracks - Every stored local track, oldest first
+ * @returns {Promise<Array>}
+ */
+export async function loadLocalTracks() {
+  const records = await getAll(STORE);
+  return records.sort((a, b) => a.addedAt - b.addedAt).map(withUrl);
+}
+
+/**
+ * addLocalFiles - Reads the tags of new files and stores them
+ * Adding the same file again replaces it instead of making a copy.
+ * @param {FileList|Array} files - From a file input or a drop
+ * @returns {Promise<Object>} - { tracks, skipped } where skipped counts
+ *   files that aren't audio or couldn't be saved
+ */
+export async function addLocalFiles(files) {
+  const tracks = [];
+  let skipped = 0;
+
+  for (const file of Array.from(files)) {
+    if (!isAudioFile(file)) {
+      skipped++;
+      continue;
+    }
+
+    const id = `local-${file.name}-${file.size}-${file.lastModified}`;
+    const tags = await readTags(file);
+    const guess = guessFromFileName(file.name);
+    const cover = await makeCover(tags.picture);
+
+    const previousUrl = urls.get(id);
+    if (previousUrl) URL.revokeObjectURL(previousUrl);
+    urls.set(id, URL.createObjectURL(file));
+
+    const record = {
+      id,
+      file,
+      addedAt: Date.now(),
+      track: {
+        id,
+        local: true,
+        title: tags.title || guess.title,
+        title_short: tags.title || guess.title,
+        artist: { name: tags.artist || guess.artist || "Unknown artist" },
+        album: {
+          title: tags.album || "Local files",
+          cover_small: cover,
+          cover_medium: cover,
+          cover_big: cover,
+          cover_xl: cover,
+        },
+        duration: await readDuration(urls.get(id)),
+      },
+    };
+
+    try {
+      await put(STORE, record);
+      tracks.push(withUrl(record));
+    } catch {
+      // Usually the storage quota - the file can't be kept
+      skipped++;
+      URL.revokeObjectURL(urls.get(id));
+      urls.delete(id);
+    }
+  }
+
+  return { tracks, skipped };
+}
+
+/**
+ * removeLocalFile - Deletes a stored file and frees its blob URL
+ */
+export async function removeLocalFile(id) {
+  await remove(STORE, id);
+  const url = urls.get(id);
+  if (url) URL.revokeObjectURL(url);
+  urls.delete(id);
+}
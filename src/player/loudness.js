@@ -0,0 +1,134 @@
+/**
+ * ============================================================================
+ * LOUDNESS NORMALIZATION
+ * ============================================================================
+ *
+ * Deezer previews are mastered at very different levels, so without help
+ * every skip means reaching for the volume slider. For each track I work
+ * out how loud it is and the gain that brings it to a common target:
+ *
+ *   1. /track/{id} has a "gain" field (the track's loudness in dB) - cheap,
+ *      and the same request that refreshes the preview (see trackDetails.js)
+ *   2. otherwise the preview is downloaded, decoded and its RMS measured
+ *      (always the case for local files, which Deezer knows nothing about)
+ *
+ * The resulting gain (in dB) is cached per track id in localStorage, so a
+ * track is only ever analysed once.
+ * ============================================================================
+ */
+
+import { getPlayableUrl } from "./localFiles.js";
+import { getTrackDetails } from "./trackDetails.js";
+
+// Everything is levelled to this loudness (dB) - a typical streaming level
+export const TARGET_LOUDNESS = -14;
+
+// Boosting quiet tracks too far would clip, so the gain is capped
+const MIN_GAIN = -12;
+const MAX_GAIN = 6;
+
+const CACHE_KEY = "loudnessGains";
+const CACHE_LIMIT = 2000;
+
+// ============================================================================
+// CACHE - [[trackId, gainDb], ...] oldest first, so it can be trimmed
+// ============================================================================
+
+let cache = null;
+
+const loadCache = () => {
+  if (cache) return cache;
+  try {
+    cache = new Map(JSON.parse(localStorage.getItem(CACHE_KEY)) || []);
+  } catch {
+    cache = new Map();
+  }
+  return cache;
+};
+
+const saveToCache = (trackId, gainDb) => {
+  const entries = loadCache();
+  entries.delete(trackId);
+  entries.set(trackId, gainDb);
+  while (entries.size > CACHE_LIMIT) {
+    entries.delete(entries.keys().next().value);
+  }
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify([...entries]));
+  } catch {
+    // Storage full or disabled - the gain is still kept for this visit
+  }
+};
+
+/**
+ * getCachedGain - The stored gain for a track, or undefined
+ */
+export const getCachedGain = (trackId) => loadCache().get(trackId);
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * gainForLoudness - dB needed to move a track's loudness to the target
+ */
+export const gainForLoudness = (loudness) =>
+  Math.round(Math.min(Math.max(TARGET_LOUDNESS - loudness, MIN_GAIN), MAX_GAIN) * 10) / 10;
+
+/**
+ * measureLoudness - Decodes a preview and measures its RMS level in dB
+ * @returns {Promise<number|null>} - null if it couldn't be downloaded/decoded
+ */
+export async function measureLoudness(url, { signal } = {}) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) return null;
+
+  try {
+    const response = await fetch(url, { signal });
+    if (!response.ok) return null;
+    const data = await response.arrayBuffer();
+    // decodeAudioData only needs a context, not a rendered graph
+    const audio = await new OfflineContext(1, 1, 44100).decodeAudioData(data);
+
+    let sum = 0;
+    let count = 0;
+    for (let c = 0; c < audio.numberOfChannels; c++) {
+      const samples = audio.getChannelData(c);
+      // Every 4th sample is plenty for an average and 4x cheaper
+      for (let i = 0; i < samples.length; i += 4) {
+        sum += samples[i] * samples[i];
+        count++;
+      }
+    }
+    if (count === 0 || sum === 0) return null;
+    return 20 * Math.log10(Math.sqrt(sum / count));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * getTrackGain - Finds (or works out and caches) the normalization gain
+ * @param {Object} track - Deezer or local track ({ id, preview })
+ * @param {Object} options - { signal } to cancel when the track changes
+ * @returns {Promise<number|null>} - Gain in dB, or null if unknown
+ */
+export async function getTrackGain(track, { signal } = {}) {
+  if (!track?.id) return null;
+  const cached = getCachedGain(track.id);
+  if (cached !== undefined) return cached;
+
+  let loudness = null;
+  const result = track.local ? null : await getTrackDetails(track.id);
+  const url = getPlayableUrl(track);
+  if (result?.ok && typeof result.data.gain === "number") {
+    loudness = result.data.gain;
+  } else if (url && !signal?.aborted) {
+    loudness = await measureLoudness(url, { signal });
+  }
+  if (loudness === null || signal?.aborted) return null;
+
+  const gainDb = gainForLoudness(loudness);
+  saveToCache(track.id, gainDb);
+  return gainDb;
+}
@@ -0,0 +1,92 @@
+/**
+ * ============================================================================
+ * PITCH SHIFTER (AudioWorklet)
+ * ============================================================================
+ *
+ * Shifts the pitch by a number of semitones without changing the speed, so
+ * it works on top of the playback-rate control. This file runs on the audio
+ * thread and is loaded by the engine with audioWorklet.addModule().
+ *
+ * It's the classic delay-line shifter: two read heads sweep through a short
+ * delay buffer faster or slower than it's written, and each fades in and
+ * out (half a window apart) so the jumps back are never heard.
+ * ============================================================================
+ */
+
+const WINDOW_SECONDS = 0.06;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: "semitones", defaultValue: 0, minValue: -12, maxValue: 12, automationRate: "k-rate" },
+    ];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(WINDOW_SECONDS * sampleRate);
+    this.bufferSize = this.windowSize * 2;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  /**
+   * readAt - Reads the delay buffer at a fractional delay (linear interpolation)
+   */
+  readAt(buffer, delay) {
+    let position = this.writeIndex - delay;
+    while (position < 0) position += this.bufferSize;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = (index + 1) % this.bufferSize;
+    return buffer[index] * (1 - fraction) + buffer[next] * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = Math.pow(2, parameters.semitones[0] / 12);
+
+    // No shift (or nothing connected) - pass the audio straight through
+    if (ratio === 1 || input.length === 0) {
+      output.forEach((channel, c) => {
+        if (input[c]) channel.set(input[c]);
+      });
+      return true;
+    }
+
+    while (this.buffers.length < input.length) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+
+    const frames = output[0].length;
+    const step = (1 - ratio) / this.windowSize;
+    let phase = this.phase;
+    let writeIndex = this.writeIndex;
+
+    for (let i = 0; i < frames; i++) {
+      const phaseB = (phase + 0.5) % 1;
+      const gainA = Math.sin(Math.PI * phase);
+      const gainB = Math.sin(Math.PI * phaseB);
+
+      for (let c = 0; c < output.length; c++) {
+        const buffer = this.buffers[c] || this.buffers[0];
+        buffer[writeIndex] = (input[c] || input[0])[i];
+        this.writeIndex = writeIndex;
+        output[c][i] =
+          this.readAt(buffer, phase * this.windowSize) * gainA +
+          this.readAt(buffer, phaseB * this.windowSize) * gainB;
+      }
+
+      writeIndex = (writeIndex + 1) % this.bufferSize;
+      phase = (phase + step + 1) % 1;
+    }
+
+    this.phase = phase;
+    this.writeIndex = writeIndex;
+    return true;
+  }
+}
+
+registerProcessor("pitch-shifter", PitchShifterProcessor);
@@ -0,0 +1,66 @@
+/**
+ * ============================================================================
+ * PREVIEW URLS
+ * ============================================================================
+ *
+ * Deezer preview URLs are signed and stop working after a while:
+ *
+ *   https://cdnt-preview.dzcdn.net/api/1/1/.../xyz.mp3?hdnea=exp=1700000000~acl=...~hmac=...
+ *
+ * Tracks kept in favorites, playlists or a saved session still carry the
+ * URL they were saved with, so before playing (and after a playback error)
+ * I check the "exp" timestamp and get a fresh URL from /track/{id} (shared
+ * with the loudness lookup, see trackDetails.js). Tracks
+ * Deezer has no preview for at all come back as unavailable.
+ * ============================================================================
+ */
+
+import { ERROR_TYPES } from "../api/deezer.js";
+import { getTrackDetails } from "./trackDetails.js";
+
+// Refresh a little early so a URL doesn't expire halfway through loading
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * getPreviewExpiry - When a signed preview URL stops working
+ * @returns {number|null} - Timestamp in ms, or null if the URL isn't signed
+ */
+export const getPreviewExpiry = (url) => {
+  const match = /\bexp=(\d+)/.exec(url || "");
+  return match ? Number(match[1]) * 1000 : null;
+};
+
+/**
+ * needsFreshPreview - Whether a Deezer track's preview is missing or expired
+ * Local files never need one.
+ */
+export const needsFreshPreview = (track) => {
+  if (!track || track.local) return false;
+  if (!track.preview) return true;
+  const expiry = getPreviewExpiry(track.preview);
+  return expiry !== null && expiry - EXPIRY_MARGIN_MS < Date.now();
+};
+
+/**
+ * fetchFreshPreview - Asks Deezer for the track again to get a new preview
+ * Resolves like the Deezer client, never throws:
+ *   { ok: true, track }         - the same track object with a new preview
+ *   { ok: false, unavailable }  - Deezer has no playable preview for it (or
+ *                                 no longer knows the track)
+ *   { ok: false, error }        - the request itself failed (offline...)
+ * @param {Object} track - The track to refresh
+ */
+export async function fetchFreshPreview(track) {
+  let result = await getTrackDetails(track.id);
+  // A reused answer with the URL that's being replaced - ask Deezer again
+  if (result.ok && result.data.preview === track.preview) {
+    result = await getTrackDetails(track.id, { reuse: false });
+  }
+  if (!result.ok) {
+    return { ok: false, unavailable: result.error.type === ERROR_TYPES.API, error: result.error };
+  }
+
+  const { preview, readable } = result.data;
+  if (!preview || readable === false) return { ok: false, unavailable: true };
+  return { ok: true, track: { ...track, preview } };
+}
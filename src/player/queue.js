@@ -0,0 +1,271 @@
+/**
+ * ============================================================================
+ * PLAY QUEUE
+ * ============================================================================
+ *
+ * Keeps track of what plays next, independently of whatever list is visible.
+ * When a song is started from a list (search results, a playlist, an album,
+ * favorites...) that whole list becomes the queue and the "source" records
+ * where playback started. The user can then add songs ("Play next" / "Add to
+ * queue"), reorder, remove or clear what's coming up.
+ *
+ * A queue looks like:
+ *   {
+ *     source: { type: "album", id: 302127, label: "Discovery" },
+ *     items: [{ uid, track, queued }],  // queued = added by the user
+ *     position: 3,                      // index of the playing item
+ *   }
+ *
+ * Shuffle reorders the items themselves (the playing song moves to the front
+ * and everything else is shuffled behind it), so skipping back walks the
+ * same shuffled order instead of jumping around. Each item remembers the
+ * order it was added in ("seq") so turning shuffle off can put the list back.
+ *
+ * Every function here is pure - it returns a new queue and never mutates
+ * the one passed in, so the result can go straight into React state.
+ * ============================================================================
+ */
+
+export const EMPTY_QUEUE = { source: null, items: [], position: -1 };
+
+// Repeat modes, in the order the repeat button cycles through them
+export const REPEAT_MODES = ["off", "all", "one"];
+
+// Items get a uid so the same song can be in the queue twice
+let nextSeq = 1;
+const createItem = (track, queued = false) => {
+  const seq = nextSeq++;
+  return { uid: `q${Date.now().toString(36)}-${seq}`, seq, track, queued };
+};
+
+/**
+ * restoreQueue - Rebuilds a queue that was saved (e.g. the last session)
+ * Items keep their uid and seq; new items are numbered after them so
+ * unshuffling still puts everything in the right order.
+ * @returns {Object} - The queue, or EMPTY_QUEUE if the saved one is unusable
+ */
+export const restoreQueue = (saved) => {
+  const items = Array.isArray(saved?.items)
+    ? saved.items.filter((item) => item && item.uid && item.track)
+    : [];
+  if (items.length === 0) return EMPTY_QUEUE;
+  nextSeq = Math.max(nextSeq, ...items.map((item) => (item.seq || 0) + 1));
+  return {
+    source: saved.source || null,
+    items,
+    position: Math.min(Math.max(Number(saved.position) || 0, 0), items.length - 1),
+  };
+};
+
+/**
+ * createQueue - Starts a new queue from a list
+ * @param {Array} tracks - The list playback was started from
+ * @param {number} startIndex - Index of the track that starts playing
+ * @param {Object} source - Where playback started ({ type, id, label })
+ */
+export const createQueue = (tracks, startIndex = 0, source = null) => {
+  if (!tracks || tracks.length === 0) return EMPTY_QUEUE;
+  return {
+    source,
+    items: tracks.map((track) => createItem(track)),
+    position: Math.min(Math.max(startIndex, 0), tracks.length - 1),
+  };
+};
+
+/**
+ * replaceTrack - Swaps in an updated copy of a track (e.g. a fresh preview
+ * URL) wherever that song is in the queue
+ */
+export const replaceTrack = (queue, track) => {
+  if (!queue.items.some((item) => item.track.id === track.id)) return queue;
+  return {
+    ...queue,
+    items: queue.items.map((item) => (item.track.id === track.id ? { ...item, track } : item)),
+  };
+};
+
+/**
+ * getCurrentItem - The queue item that is playing (or null)
+ */
+export const getCurrentItem = (queue) => queue.items[queue.position] || null;
+
+/**
+ * getUpcoming - Everything after the playing item, in play order
+ */
+export const getUpcoming = (queue) => queue.items.slice(queue.position + 1);
+
+/**
+ * insertAt - Helper that inserts items at an index
+ */
+const insertAt = (items, index, newItems) => [
+  ...items.slice(0, index),
+  ...newItems,
+  ...items.slice(index),
+];
+
+/**
+ * playNextInQueue - Puts a track right after the playing one
+ * With an empty queue the track simply becomes the whole queue.
+ */
+export const playNextInQueue = (queue, track) => {
+  if (queue.items.length === 0) {
+    return { ...createQueue([track], 0, null), position: -1 };
+  }
+  return {
+    ...queue,
+    items: insertAt(queue.items, queue.position + 1, [createItem(track, true)]),
+  };
+};
+
+/**
+ * addToQueue - Adds a track after the other songs the user queued
+ * Like most players, queued songs play before the rest of the source list.
+ */
+export const addToQueue = (queue, track) => {
+  if (queue.items.length === 0) {
+    return { ...createQueue([track], 0, null), position: -1 };
+  }
+  let index = queue.position + 1;
+  while (index < queue.items.length && queue.items[index].queued) {
+    index++;
+  }
+  return {
+    ...queue,
+    items: insertAt(queue.items, index, [createItem(track, true)]),
+  };
+};
+
+/**
+ * removeFromQueue - Removes an upcoming item
+ * The playing item can't be removed (skip it instead).
+ */
+export const removeFromQueue = (queue, uid) => {
+  const index = queue.items.findIndex((item) => item.uid === uid);
+  if (index === -1 || index === queue.position) return queue;
+  return {
+    ...queue,
+    items: queue.items.filter((item) => item.uid !== uid),
+    position: index < queue.position ? queue.position - 1 : queue.position,
+  };
+};
+
+/**
+ * moveInQueue - Moves an upcoming item to another upcoming slot
+ * @param {string} uid - Item to move
+ * @param {number} toUpcomingIndex - New index within getUpcoming()
+ */
+export const moveInQueue = (queue, uid, toUpcomingIndex) => {
+  const fromIndex = queue.items.findIndex((item) => item.uid === uid);
+  if (fromIndex <= queue.position) return queue;
+
+  const items = queue.items.filter((item) => item.uid !== uid);
+  const upcomingCount = items.length - (queue.position + 1);
+  const clamped = Math.min(Math.max(toUpcomingIndex, 0), upcomingCount);
+  return {
+    ...queue,
+    items: insertAt(items, queue.position + 1 + clamped, [queue.items[fromIndex]]),
+  };
+};
+
+/**
+ * clearUpcoming - Drops everything after the playing item
+ */
+export const clearUpcoming = (queue) => ({
+  ...queue,
+  items: queue.items.slice(0, queue.position + 1),
+});
+
+/**
+ * jumpTo - Makes an item the playing one
+ * Items between the old and new position stay in the history behind it.
+ */
+export const jumpTo = (queue, uid) => {
+  const index = queue.items.findIndex((item) => item.uid === uid);
+  return index === -1 ? queue : { ...queue, position: index };
+};
+
+/**
+ * shuffleList - Fisher-Yates shuffle into a new array
+ */
+const shuffleList = (list) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * shuffleQueue - Shuffles everything except the playing song
+ * The playing song moves to the front and songs the user queued stay right
+ * after it; the rest of the list is shuffled behind them. Every song still
+ * plays exactly once per pass.
+ */
+export const shuffleQueue = (queue) => {
+  const current = getCurrentItem(queue);
+  const upcomingQueued = getUpcoming(queue).filter((item) => item.queued);
+  const rest = queue.items.filter(
+    (item) => item !== current && !upcomingQueued.includes(item)
+  );
+  return {
+    ...queue,
+    items: [...(current ? [current] : []), ...upcomingQueued, ...shuffleList(rest)],
+    position: current ? 0 : -1,
+  };
+};
+
+/**
+ * unshuffleQueue - Puts the queue back in the order songs were added
+ * Songs the user queued keep the order they're in: the ones still to come
+ * stay right after the playing song, the ones already played stay behind it.
+ */
+export const unshuffleQueue = (queue) => {
+  const current = getCurrentItem(queue);
+  const playedQueued = queue.items
+    .slice(0, Math.max(queue.position, 0))
+    .filter((item) => item.queued);
+  const upcomingQueued = getUpcoming(queue).filter((item) => item.queued);
+  const rest = queue.items
+    .filter((item) => item !== current && !item.queued)
+    .sort((a, b) => a.seq - b.seq);
+
+  if (!current) {
+    return { ...queue, items: [...upcomingQueued, ...rest] };
+  }
+  const before = [...rest.filter((item) => item.seq < current.seq), ...playedQueued];
+  const after = rest.filter((item) => item.seq > current.seq);
+  return {
+    ...queue,
+    items: [...before, current, ...upcomingQueued, ...after],
+    position: before.length,
+  };
+};
+
+/**
+ * stepQueue - Moves to the next (+1) or previous (-1) item
+ * @param {boolean} wrap - Loop around at either end
+ * @returns {Object|null} - The new queue, or null when there's nothing there
+ */
+export const stepQueue = (queue, step, wrap = true) => {
+  const count = queue.items.length;
+  if (count === 0) return null;
+
+  let position = queue.position + step;
+  if (position >= count || position < 0) {
+    if (!wrap) return null;
+    position = (position + count) % count;
+  }
+  return { ...queue, position };
+};
+
+/**
+ * peekNext - The item that will play after the current one finishes
+ * @param {string} repeatMode - "off", "all" or "one"
+ * @returns {Object|null} - A queue item, or null at the end of the queue
+ */
+export const peekNext = (queue, repeatMode) => {
+  if (repeatMode === "one") return getCurrentItem(queue);
+  const next = stepQueue(queue, 1, repeatMode === "all");
+  return next && getCurrentItem(next);
+};
@@ -0,0 +1,109 @@
+/**
+ * ============================================================================
+ * LISTENING SESSION
+ * ============================================================================
+ *
+ * Remembers what was playing so a reload (or coming back tomorrow) can pick
+ * up where the user left off. The session lives in the database's "meta"
+ * store (see storage/database.js) as two records:
+ *
+ *   { key: "sessionQueue", value: { source, items, position } }  // queue.js
+ *   { key: "sessionPosition", value: { position: 42, savedAt: 1700000000000 } }
+ *
+ * The position changes every few seconds but the queue rarely does, so the
+ * queue (full track objects) is only written when it changes.
+ *
+ * Volume and mute are saved separately (they apply even when nothing was
+ * playing), see the effects in App.jsx.
+ * ============================================================================
+ */
+
+import { get, transact } from "../storage/database.js";
+import { getCurrentItem, restoreQueue } from "./queue.js";
+import { DAY_MS } from "./time.js";
+
+const QUEUE_KEY = "sessionQueue";
+const POSITION_KEY = "sessionPosition";
+// Where older versions kept the session, in one localStorage key
+const LEGACY_KEY = "listeningSession";
+
+// Sessions older than this aren't worth offering any more
+const MAX_SESSION_AGE = 30 * DAY_MS;
+
+// The queue object last written, so an unchanged queue isn't written again
+let savedQueue = null;
+
+/**
+ * saveSession - Stores the queue and playback position
+ * An empty queue is ignored so starting the app doesn't wipe the session
+ * before the user had a chance to resume it.
+ * @returns {Promise} - Never rejects; a failed save just isn't offered later
+ */
+export const saveSession = async (queue, position) => {
+  if (!queue || queue.items.length === 0) return;
+  const writeQueue = queue !== savedQueue;
+  savedQueue = queue;
+  try {
+    await transact(["meta"], ({ meta }) => {
+      if (writeQueue) meta.put({ key: QUEUE_KEY, value: queue });
+      meta.put({
+        key: POSITION_KEY,
+        value: { position: Math.max(0, position || 0), savedAt: Date.now() },
+      });
+    });
+    localStorage.removeItem(LEGACY_KEY);
+  } catch {
+    // Storage full or unavailable - try the queue again next time
+    if (savedQueue === queue) savedQueue = null;
+  }
+};
+
+/**
+ * readSavedSession - { queue, position, savedAt } as last saved, or null
+ * A session from before the move to IndexedDB is still read from
+ * localStorage until the next save replaces it.
+ */
+const readSavedSession = async () => {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_KEY));
+    if (legacy) return legacy;
+  } catch {
+    // Unreadable - fall through to the database
+  }
+  const [queueRecord, positionRecord] = await Promise.all([
+    get("meta", QUEUE_KEY),
+    get("meta", POSITION_KEY),
+  ]);
+  if (!queueRecord || !positionRecord) return null;
+  return { queue: queueRecord.value, ...positionRecord.value };
+};
+
+/**
+ * loadSession - The saved session, or null if there is nothing to resume
+ * @returns {Promise<Object|null>} - { queue, track, position, savedAt }
+ */
+export const loadSession = async () => {
+  try {
+    const saved = await readSavedSession();
+    if (!saved || Date.now() - saved.savedAt > MAX_SESSION_AGE) return null;
+
+    const queue = restoreQueue(saved.queue);
+    const track = getCurrentItem(queue)?.track;
+    if (!track) return null;
+    return { queue, track, position: Number(saved.position) || 0, savedAt: saved.savedAt };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * clearSession - Forgets the saved session ("Start fresh")
+ */
+export const clearSession = () => {
+  savedQueue = null;
+  localStorage.removeItem(LEGACY_KEY);
+  return transact(["meta"], ({ meta }) => {
+    meta.delete(QUEUE_KEY);
+    meta.delete(POSITION_KEY);
+  }).catch(() => {});
+};
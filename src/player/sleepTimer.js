@@ -0,0 +1,90 @@
+/**
+ * ============================================================================
+ * SLEEP TIMER
+ * ============================================================================
+ *
+ * Stops playback later on, fading the volume out over the last 30 seconds.
+ * A timer is plain data kept in React state:
+ *   { mode: "time", endsAt: 1718000000000 }   stop at a clock time
+ *   { mode: "tracks", remaining: 2 }          stop after 2 more songs
+ *   { mode: "tracks", remaining: 0 }          stop at the end of this song
+ *
+ * Only automatic song changes count down "tracks" timers - skipping by hand
+ * doesn't use one up.
+ * ============================================================================
+ */
+
+import { formatTime } from "./time.js";
+
+export const SLEEP_FADE_SECONDS = 30;
+export const SLEEP_TIMER_MINUTES = [15, 30, 45, 60, 90];
+export const SLEEP_TIMER_TRACKS = [1, 2, 3, 5, 10];
+
+// How much "Extend" adds to a time-based timer
+const EXTEND_MINUTES = 5;
+
+/**
+ * createTimeTimer - Stops playback after a number of minutes
+ */
+export const createTimeTimer = (minutes, now = Date.now()) => ({
+  mode: "time",
+  endsAt: now + minutes * 60 * 1000,
+});
+
+/**
+ * createTrackTimer - Stops after the current song plus `moreTracks` songs
+ * (0 = at the end of the current song)
+ */
+export const createTrackTimer = (moreTracks = 0) => ({
+  mode: "tracks",
+  remaining: moreTracks,
+});
+
+/**
+ * extendSleepTimer - Adds 5 minutes or one more song
+ */
+export const extendSleepTimer = (timer, now = Date.now()) =>
+  timer.mode === "time"
+    ? { ...timer, endsAt: Math.max(timer.endsAt, now) + EXTEND_MINUTES * 60 * 1000 }
+    : { ...timer, remaining: timer.remaining + 1 };
+
+/**
+ * isLastTrack - Whether playback should stop when the current song ends
+ */
+export const isLastTrack = (timer) => timer?.mode === "tracks" && timer.remaining <= 0;
+
+/**
+ * countDownTrack - Uses up one song when the player moves on by itself
+ */
+export const countDownTrack = (timer) =>
+  timer?.mode === "tracks" ? { ...timer, remaining: timer.remaining - 1 } : timer;
+
+/**
+ * getSecondsLeft - Seconds until playback stops, or null if not known yet
+ * @param {Object} timer - The sleep timer (or null)
+ * @param {number} now - Current time in ms
+ * @param {number} trackSecondsLeft - Real seconds left in the current song
+ */
+export const getSecondsLeft = (timer, now, trackSecondsLeft) => {
+  if (!timer) return null;
+  if (timer.mode === "time") return Math.max((timer.endsAt - now) / 1000, 0);
+  return isLastTrack(timer) ? Math.max(trackSecondsLeft, 0) : null;
+};
+
+/**
+ * getFadeLevel - Output level (0-1) for the fade over the last 30 seconds
+ */
+export const getFadeLevel = (secondsLeft) =>
+  secondsLeft === null ? 1 : Math.min(secondsLeft / SLEEP_FADE_SECONDS, 1);
+
+/**
+ * describeSleepTimer - Short countdown text, e.g. "12:04" or "2 more songs"
+ */
+export const describeSleepTimer = (timer, secondsLeft) => {
+  if (!timer) return "";
+  if (timer.mode === "time" || isLastTrack(timer)) {
+    // Rounded up, so the countdown shows 0:00 only when it's over
+    return formatTime(Math.ceil(secondsLeft || 0));
+  }
+  return `${timer.remaining} more ${timer.remaining === 1 ? "song" : "songs"}`;
+};
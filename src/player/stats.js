@@ -0,0 +1,250 @@
+/**
+ * ============================================================================
+ * LISTENING STATS
+ * ============================================================================
+ *
+ * Everything on the Stats page, worked out from the listening history (see
+ * history.js) - nothing leaves the browser. All functions are pure and take
+ * the history newest first.
+ *
+ * Entries carried over from the old "recently played" list have no date, so
+ * they only count towards the all-time top lists.
+ * ============================================================================
+ */
+
+import { startOfDay } from "./history.js";
+import { DAY_MS } from "./time.js";
+
+// A skip shorter than this doesn't count as a play in the top lists
+const PLAY_SECONDS = 10;
+
+export const PERIODS = [
+  { value: "week", label: "Week", days: 7 },
+  { value: "month", label: "Month", days: 30 },
+  { value: "year", label: "Year", days: 365 },
+  { value: "all", label: "All time", days: null },
+];
+
+// Heatmap rows, Monday first (Date.getDay() counts from Sunday)
+export const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * isPlay - Whether an entry counts as a play (not a quick skip)
+ */
+const isPlay = (entry) =>
+  entry.outcome !== "skipped" || entry.listened === null || entry.listened >= PLAY_SECONDS;
+
+/**
+ * nextDay / previousDay - Midnight of the neighbouring day (DST-safe)
+ */
+const nextDay = (day) => startOfDay(day + 1.5 * DAY_MS);
+const previousDay = (day) => startOfDay(day - 0.5 * DAY_MS);
+
+/**
+ * artistKey - Groups an artist's songs by name, so a local file and a Deezer
+ * track by the same artist count together
+ */
+const artistKey = (track) => (track.artist?.name || "").trim().toLowerCase();
+
+// How each top list groups and labels the songs in it
+const TOP_KINDS = {
+  track: (track) => ({ key: String(track.id), label: track.title, detail: track.artist?.name }),
+  artist: (track) => ({ key: artistKey(track), label: track.artist?.name || "Unknown artist" }),
+  album: (track) => ({
+    key: `${(track.album?.title || "").toLowerCase()}|${artistKey(track)}`,
+    label: track.album?.title || "Unknown album",
+    detail: track.artist?.name,
+  }),
+};
+
+// ============================================================================
+// PERIODS
+// ============================================================================
+
+/**
+ * getPeriodStart - First moment of a period, counting back from today
+ * @returns {number|null} - null for "all"
+ */
+export const getPeriodStart = (period, now = Date.now()) => {
+  const days = PERIODS.find((p) => p.value === period)?.days;
+  return days ? startOfDay(now - (days - 1) * DAY_MS) : null;
+};
+
+/**
+ * getPeriodEntries - The entries that fall in a period
+ */
+export const getPeriodEntries = (history, period, now = Date.now()) => {
+  const start = getPeriodStart(period, now);
+  return start === null
+    ? history
+    : history.filter((entry) => entry.startedAt !== null && entry.startedAt >= start);
+};
+
+/**
+ * getHistoryYears - Every calendar year with plays in it, newest first
+ */
+export const getHistoryYears = (history) =>
+  [
+    ...new Set(
+      history
+        .filter((entry) => entry.startedAt !== null)
+        .map((entry) => new Date(entry.startedAt).getFullYear())
+    ),
+  ].sort((a, b) => b - a);
+
+// ============================================================================
+// TOTALS AND TOP LISTS
+// ============================================================================
+
+/**
+ * getTotals - Plays, seconds listened and different songs/artists
+ */
+export const getTotals = (entries) => {
+  const plays = entries.filter(isPlay);
+  return {
+    plays: plays.length,
+    seconds: entries.reduce((sum, entry) => sum + (entry.listened || 0), 0),
+    tracks: new Set(plays.map((entry) => entry.track.id)).size,
+    artists: new Set(plays.map((entry) => artistKey(entry.track))).size,
+  };
+};
+
+/**
+ * getTopItems - The most played songs, artists or albums
+ * Ties are broken by time listened.
+ * @param {Array} entries - History entries
+ * @param {string} kind - "track", "artist" or "album"
+ * @param {number} limit - How many to return
+ * @returns {Array} - [{ key, label, detail, track, plays, seconds }], where
+ *   track is the item's most recent song (for its cover and links)
+ */
+export const getTopItems = (entries, kind, limit = 10) => {
+  const items = new Map();
+  entries.filter(isPlay).forEach((entry) => {
+    const info = TOP_KINDS[kind](entry.track);
+    if (!items.has(info.key)) items.set(info.key, { ...info, track: entry.track, plays: 0, seconds: 0 });
+    const item = items.get(info.key);
+    item.plays++;
+    item.seconds += entry.listened || 0;
+  });
+  return [...items.values()]
+    .sort((a, b) => b.plays - a.plays || b.seconds - a.seconds)
+    .slice(0, limit);
+};
+
+// ============================================================================
+// HABITS
+// ============================================================================
+
+/**
+ * getHeatmap - Seconds listened per weekday and hour
+ * @returns {Array} - 7 rows (Monday first) of 24 numbers
+ */
+export const getHeatmap = (entries) => {
+  const grid = WEEKDAYS.map(() => new Array(24).fill(0));
+  entries.forEach((entry) => {
+    if (entry.startedAt === null) return;
+    const date = new Date(entry.startedAt);
+    grid[(date.getDay() + 6) % 7][date.getHours()] += entry.listened || 0;
+  });
+  return grid;
+};
+
+/**
+ * getStreaks - Runs of days in a row with at least one play
+ * The current streak still counts if nothing has been played yet today.
+ * @returns {Object} - { current, longest, days } in days; days is how many
+ *   different days had plays
+ */
+export const getStreaks = (entries, now = Date.now()) => {
+  const days = new Set(
+    entries.filter((entry) => entry.startedAt !== null).map((entry) => startOfDay(entry.startedAt))
+  );
+
+  let longest = 0;
+  let run = 0;
+  let last = null;
+  [...days]
+    .sort((a, b) => a - b)
+    .forEach((day) => {
+      run = last !== null && nextDay(last) === day ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      last = day;
+    });
+
+  let current = 0;
+  let day = startOfDay(now);
+  if (!days.has(day)) day = previousDay(day);
+  while (days.has(day)) {
+    current++;
+    day = previousDay(day);
+  }
+
+  return { current, longest, days: days.size };
+};
+
+/**
+ * getDiscovery - Artists heard for the first time ever within a period
+ * @param {Array} history - The whole history (to know who was heard before)
+ * @param {number|null} start - Start of the period; null counts every artist
+ * @param {number} end - End of the period (exclusive)
+ * @returns {Object} - { artists, newArtists } - artists played in the period
+ *   and how many of them were new
+ */
+export const getDiscovery = (history, start, end = Infinity) => {
+  const firstHeard = new Map();
+  history.filter(isPlay).forEach((entry) => {
+    const key = artistKey(entry.track);
+    // Undated entries were heard before any dated one
+    const time = entry.startedAt === null ? -Infinity : entry.startedAt;
+    if (!firstHeard.has(key) || time < firstHeard.get(key)) firstHeard.set(key, time);
+  });
+
+  const inPeriod = new Set(
+    history
+      .filter(
+        (entry) =>
+          isPlay(entry) &&
+          (start === null || (entry.startedAt !== null && entry.startedAt >= start)) &&
+          (entry.startedAt === null || entry.startedAt < end)
+      )
+      .map((entry) => artistKey(entry.track))
+  );
+  const newArtists = [...inPeriod].filter(
+    (key) => start === null || firstHeard.get(key) >= start
+  ).length;
+
+  return { artists: inPeriod.size, newArtists };
+};
+
+// ============================================================================
+// YEAR IN REVIEW
+// ============================================================================
+
+/**
+ * getYearInReview - The numbers on the "year in review" card
+ * @param {Array} history - The whole history
+ * @param {number} year - Calendar year, e.g. 2026
+ */
+export const getYearInReview = (history, year) => {
+  const start = new Date(year, 0, 1).getTime();
+  const end = new Date(year + 1, 0, 1).getTime();
+  const entries = history.filter(
+    (entry) => entry.startedAt !== null && entry.startedAt >= start && entry.startedAt < end
+  );
+  const totals = getTotals(entries);
+  const streaks = getStreaks(entries, end - 1);
+
+  return {
+    year,
+    plays: totals.plays,
+    minutes: Math.round(totals.seconds / 60),
+    artists: totals.artists,
+    newArtists: getDiscovery(history, start, end).newArtists,
+    activeDays: streaks.days,
+    longestStreak: streaks.longest,
+    topTracks: getTopItems(entries, "track", 5),
+    topArtists: getTopItems(entries, "artist", 5),
+    topAlbum: getTopItems(entries, "album", 1)[0] || null,
+  };
+};
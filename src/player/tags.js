@@ -0,0 +1,471 @@
+/**
+ * ============================================================================
+ * AUDIO TAG READER
+ * ============================================================================
+ *
+ * Reads title, artist, album and the embedded cover from local audio files
+ * without any library:
+ *
+ *   MP3        ID3v2.2 / 2.3 / 2.4 (and ID3v1 at the end as a fallback)
+ *   FLAC       Vorbis comments + PICTURE block
+ *   OGG/Opus   Vorbis comments in the second packet (cover as
+ *              METADATA_BLOCK_PICTURE)
+ *   M4A/MP4    iTunes-style moov/udta/meta/ilst atoms
+ *
+ *   const tags = await readTags(file);
+ *   // { title, artist, album, picture: { mime, data } | null }
+ *
+ * Only the parts of the file that hold tags are read, never the whole song
+ * (except for OGG, where the comment packet can be anywhere in the first
+ * pages). Anything unreadable just comes back empty.
+ * ============================================================================
+ */
+
+// OGG comment packets rarely need more than this, even with a cover
+const MAX_OGG_BYTES = 16 * 1024 * 1024;
+
+// ============================================================================
+// BYTE HELPERS
+// ============================================================================
+
+/**
+ * readBytes - Reads part of a file into a Uint8Array
+ */
+const readBytes = async (file, start, length) =>
+  new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+
+const ascii = (bytes, start, length) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+const uint32BE = (bytes, i) =>
+  ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0;
+
+const uint32LE = (bytes, i) =>
+  ((bytes[i + 3] << 24) | (bytes[i + 2] << 16) | (bytes[i + 1] << 8) | bytes[i]) >>> 0;
+
+const uint24BE = (bytes, i) => (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+
+// ID3v2 sizes use 7 bits per byte so they never look like a sync word
+const synchsafe = (bytes, i) =>
+  (bytes[i] << 21) | (bytes[i + 1] << 14) | (bytes[i + 2] << 7) | bytes[i + 3];
+
+const utf8 = new TextDecoder("utf-8");
+
+/**
+ * cleanText - Trims whitespace and the null padding tags are full of
+ */
+const cleanText = (text) => text.replace(/\0+$/, "").split("\0")[0].trim();
+
+const emptyTags = () => ({ title: "", artist: "", album: "", picture: null });
+
+// ============================================================================
+// ID3 (MP3)
+// ============================================================================
+
+/**
+ * decodeId3Text - Decodes text in one of the four ID3 encodings
+ * 0 = ISO-8859-1, 1 = UTF-16 with BOM, 2 = UTF-16BE, 3 = UTF-8
+ */
+const decodeId3Text = (bytes, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    let bigEndian = encoding === 2;
+    let start = 0;
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      bigEndian = true;
+      start = 2;
+    } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      start = 2;
+    }
+    return new TextDecoder(bigEndian ? "utf-16be" : "utf-16le").decode(bytes.subarray(start));
+  }
+  if (encoding === 3) return utf8.decode(bytes);
+  return new TextDecoder("iso-8859-1").decode(bytes);
+};
+
+/**
+ * findTextEnd - Index of the null terminator for an encoding (1 or 2 bytes)
+ */
+const findTextEnd = (bytes, start, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+  }
+  return bytes.length;
+};
+
+/**
+ * removeUnsynchronisation - Undoes the 0xFF 0x00 escaping of ID3v2.3
+ */
+const removeUnsynchronisation = (bytes) => {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return new Uint8Array(out);
+};
+
+/**
+ * parseId3Picture - APIC (v2.3/2.4) or PIC (v2.2) frame
+ * @returns {Object} - { mime, data, type } where type 3 is the front cover
+ */
+const parseId3Picture = (frame, isV22) => {
+  const encoding = frame[0];
+  let mime;
+  let i;
+  if (isV22) {
+    const format = ascii(frame, 1, 3).toLowerCase();
+    mime = format === "png" ? "image/png" : "image/jpeg";
+    i = 4;
+  } else {
+    const mimeEnd = frame.indexOf(0, 1);
+    mime = ascii(frame, 1, mimeEnd - 1) || "image/jpeg";
+    i = mimeEnd + 1;
+  }
+  const type = frame[i];
+  const descriptionEnd = findTextEnd(frame, i + 1, encoding);
+  const dataStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+  if (!mime.includes("/")) mime = `image/${mime.toLowerCase()}`;
+  return { mime, data: frame.slice(dataStart), type };
+};
+
+/**
+ * readId3v2 - Parses an ID3v2 tag at the start of the file
+ * @returns {Promise<Object|null>} - Tags, or null if there is no ID3v2 tag
+ */
+async function readId3v2(file) {
+  const header = await readBytes(file, 0, 10);
+  if (ascii(header, 0, 3) !== "ID3") return null;
+
+  const version = header[3];
+  const flags = header[5];
+  let tag = await readBytes(file, 10, synchsafe(header, 6));
+  if (flags & 0x80 && version < 4) tag = removeUnsynchronisation(tag);
+
+  let offset = 0;
+  if (flags & 0x40) {
+    // Extended header - v2.4 counts its own size, v2.3 doesn't
+    offset = version === 4 ? synchsafe(tag, 0) : uint32BE(tag, 0) + 4;
+  }
+
+  const isV22 = version === 2;
+  const idLength = isV22 ? 3 : 4;
+  const headerLength = isV22 ? 6 : 10;
+  const fields = { TIT2: "title", TT2: "title", TPE1: "artist", TP1: "artist", TALB: "album", TAL: "album" };
+  const tags = emptyTags();
+  let albumArtist = "";
+
+  while (offset + headerLength <= tag.length) {
+    const id = ascii(tag, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Reached the padding
+
+    let size;
+    if (isV22) size = uint24BE(tag, offset + 3);
+    else if (version === 4) size = synchsafe(tag, offset + 4);
+    else size = uint32BE(tag, offset + 4);
+
+    const frame = tag.subarray(offset + headerLength, offset + headerLength + size);
+    offset += headerLength + size;
+    if (frame.length === 0) continue;
+
+    if (fields[id] && !tags[fields[id]]) {
+      tags[fields[id]] = cleanText(decodeId3Text(frame.subarray(1), frame[0]));
+    } else if (id === "TPE2" || id === "TP2") {
+      albumArtist = cleanText(decodeId3Text(frame.subarray(1), frame[0]));
+    } else if (id === "APIC" || id === "PIC") {
+      const picture = parseId3Picture(frame, isV22);
+      // Keep the front cover if there is one, otherwise the first picture
+      if (!tags.picture || (picture.type === 3 && tags.picture.type !== 3)) {
+        tags.picture = picture;
+      }
+    }
+  }
+
+  if (!tags.artist) tags.artist = albumArtist;
+  return tags;
+}
+
+/**
+ * readId3v1 - The old fixed-size tag in the last 128 bytes
+ */
+async function readId3v1(file) {
+  if (file.size < 128) return null;
+  const tag = await readBytes(file, file.size - 128, 128);
+  if (ascii(tag, 0, 3) !== "TAG") return null;
+  const latin1 = new TextDecoder("iso-8859-1");
+  return {
+    ...emptyTags(),
+    title: cleanText(latin1.decode(tag.subarray(3, 33))),
+    artist: cleanText(latin1.decode(tag.subarray(33, 63))),
+    album: cleanText(latin1.decode(tag.subarray(63, 93))),
+  };
+}
+
+// ============================================================================
+// VORBIS COMMENTS (FLAC, OGG)
+// ============================================================================
+
+/**
+ * parseFlacPicture - FLAC PICTURE block (also used base64-encoded in OGG)
+ */
+const parseFlacPicture = (bytes) => {
+  let i = 0;
+  const type = uint32BE(bytes, i);
+  const mimeLength = uint32BE(bytes, (i += 4));
+  const mime = ascii(bytes, (i += 4), mimeLength);
+  const descriptionLength = uint32BE(bytes, (i += mimeLength));
+  i += 4 + descriptionLength + 16; // Description, width, height, depth, colours
+  const dataLength = uint32BE(bytes, i);
+  return { mime, data: bytes.slice(i + 4, i + 4 + dataLength), type };
+};
+
+const base64ToBytes = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * parseVorbisComment - "KEY=value" list with little-endian lengths
+ */
+const parseVorbisComment = (bytes, tags = emptyTags()) => {
+  let i = uint32LE(bytes, 0) + 4; // Skip the vendor string
+  const count = uint32LE(bytes, i);
+  i += 4;
+  let albumArtist = "";
+  let legacyCover = null;
+
+  for (let n = 0; n < count && i + 4 <= bytes.length; n++) {
+    const length = uint32LE(bytes, i);
+    const comment = utf8.decode(bytes.subarray(i + 4, i + 4 + length));
+    i += 4 + length;
+
+    const split = comment.indexOf("=");
+    if (split === -1) continue;
+    const key = comment.slice(0, split).toUpperCase();
+    const value = comment.slice(split + 1);
+
+    if (key === "TITLE" && !tags.title) tags.title = value.trim();
+    else if (key === "ARTIST" && !tags.artist) tags.artist = value.trim();
+    else if (key === "ALBUM" && !tags.album) tags.album = value.trim();
+    else if (key === "ALBUMARTIST") albumArtist = value.trim();
+    else if (key === "METADATA_BLOCK_PICTURE" && !tags.picture) {
+      try {
+        tags.picture = parseFlacPicture(base64ToBytes(value));
+      } catch {
+        // Broken picture - carry on with the text tags
+      }
+    } else if (key === "COVERART") {
+      legacyCover = value;
+    }
+  }
+
+  if (!tags.artist) tags.artist = albumArtist;
+  if (!tags.picture && legacyCover) {
+    try {
+      tags.picture = { mime: "image/jpeg", data: base64ToBytes(legacyCover), type: 3 };
+    } catch {
+      // Same as above
+    }
+  }
+  return tags;
+};
+
+/**
+ * readFlac - Walks the metadata blocks after the "fLaC" marker
+ * Some taggers put an ID3v2 tag in front of it, which is skipped.
+ */
+async function readFlac(file) {
+  let offset = 0;
+  const start = await readBytes(file, 0, 10);
+  if (ascii(start, 0, 3) === "ID3") offset = 10 + synchsafe(start, 6);
+
+  const marker = await readBytes(file, offset, 4);
+  if (ascii(marker, 0, 4) !== "fLaC") return null;
+  offset += 4;
+
+  const tags = emptyTags();
+  for (;;) {
+    const header = await readBytes(file, offset, 4);
+    if (header.length < 4) break;
+    const isLast = header[0] & 0x80;
+    const type = header[0] & 0x7f;
+    const length = uint24BE(header, 1);
+
+    if (type === 4) {
+      parseVorbisComment(await readBytes(file, offset + 4, length), tags);
+    } else if (type === 6) {
+      const picture = parseFlacPicture(await readBytes(file, offset + 4, length));
+      if (!tags.picture || (picture.type === 3 && tags.picture.type !== 3)) {
+        tags.picture = picture;
+      }
+    }
+    offset += 4 + length;
+    if (isLast) break;
+  }
+  return tags;
+}
+
+/**
+ * readOgg - Reassembles the second packet (the comment header) from the
+ * first Ogg pages and parses it
+ */
+async function readOgg(file) {
+  const bytes = await readBytes(file, 0, Math.min(file.size, MAX_OGG_BYTES));
+  const packets = [];
+  let packet = [];
+  let offset = 0;
+
+  while (packets.length < 2 && offset + 27 <= bytes.length) {
+    if (ascii(bytes, offset, 4) !== "OggS") return null;
+    const segmentCount = bytes[offset + 26];
+    const table = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    let dataOffset = offset + 27 + segmentCount;
+
+    for (const segmentLength of table) {
+      packet.push(bytes.subarray(dataOffset, dataOffset + segmentLength));
+      dataOffset += segmentLength;
+      // A segment shorter than 255 bytes ends the packet
+      if (segmentLength < 255) {
+        packets.push(packet);
+        packet = [];
+        if (packets.length === 2) break;
+      }
+    }
+    offset = dataOffset;
+  }
+  if (packets.length < 2) return null;
+
+  const parts = packets[1];
+  const comment = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((position, part) => {
+    comment.set(part, position);
+    return position + part.length;
+  }, 0);
+
+  // Vorbis: "\x03vorbis" header, Opus: "OpusTags"
+  if (ascii(comment, 1, 6) === "vorbis") return parseVorbisComment(comment.subarray(7));
+  if (ascii(comment, 0, 8) === "OpusTags") return parseVorbisComment(comment.subarray(8));
+  return null;
+}
+
+// ============================================================================
+// MP4 ATOMS (M4A)
+// ============================================================================
+
+/**
+ * findAtom - Finds a child atom by type inside a buffer
+ * @returns {Object|null} - { start, end } of the atom's content
+ */
+const findAtom = (bytes, type, start = 0, end = bytes.length) => {
+  let i = start;
+  while (i + 8 <= end) {
+    let size = uint32BE(bytes, i);
+    let headerLength = 8;
+    if (size === 1) {
+      // 64-bit size - the high half is never set for a tag atom
+      size = uint32BE(bytes, i + 12);
+      headerLength = 16;
+    } else if (size === 0) {
+      size = end - i;
+    }
+    if (size < headerLength) return null;
+    if (ascii(bytes, i + 4, 4) === type) return { start: i + headerLength, end: i + size };
+    i += size;
+  }
+  return null;
+};
+
+/**
+ * readMp4 - Finds the moov atom at the top level (it can be at the start or
+ * the end), then reads the iTunes item list inside it
+ */
+async function readMp4(file) {
+  const first = await readBytes(file, 0, 8);
+  if (ascii(first, 4, 4) !== "ftyp") return null;
+
+  let offset = 0;
+  let moov = null;
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, 16);
+    let size = uint32BE(header, 0);
+    if (size === 1) size = uint32BE(header, 8) * 2 ** 32 + uint32BE(header, 12);
+    else if (size === 0) size = file.size - offset;
+    if (size < 8) return null;
+    if (ascii(header, 4, 4) === "moov") {
+      moov = await readBytes(file, offset, size);
+      break;
+    }
+    offset += size;
+  }
+  if (!moov) return null;
+
+  const udta = findAtom(moov, "udta", 8);
+  const meta = udta && findAtom(moov, "meta", udta.start, udta.end);
+  if (!meta) return emptyTags();
+  // "meta" is usually a full box (4 bytes of version/flags before the
+  // children), but not in every QuickTime file
+  const metaStart = ascii(moov, meta.start + 8, 4) === "hdlr" ? meta.start + 4 : meta.start;
+  const ilst = findAtom(moov, "ilst", metaStart, meta.end);
+  if (!ilst) return emptyTags();
+
+  const readItem = (type) => {
+    const item = findAtom(moov, type, ilst.start, ilst.end);
+    const data = item && findAtom(moov, "data", item.start, item.end);
+    if (!data) return null;
+    // Type indicator (4 bytes) and locale (4 bytes) come before the value
+    return { kind: uint32BE(moov, data.start), value: moov.subarray(data.start + 8, data.end) };
+  };
+  const readText = (type) => {
+    const item = readItem(type);
+    return item ? utf8.decode(item.value).trim() : "";
+  };
+
+  const tags = {
+    title: readText("©nam"),
+    artist: readText("©ART") || readText("aART"),
+    album: readText("©alb"),
+    picture: null,
+  };
+  const cover = readItem("covr");
+  if (cover) {
+    tags.picture = {
+      mime: cover.kind === 14 ? "image/png" : "image/jpeg",
+      data: cover.value.slice(),
+      type: 3,
+    };
+  }
+  return tags;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * readTags - Reads the tags of a local audio file
+ * The format is detected from the file's contents, not its name.
+ * @param {File|Blob} file - The audio file
+ * @returns {Promise<Object>} - { title, artist, album, picture } (empty
+ *   strings / null for anything missing)
+ */
+export async function readTags(file) {
+  try {
+    const start = await readBytes(file, 0, 12);
+    const magic = ascii(start, 0, 4);
+    let tags = null;
+
+    if (magic === "fLaC") tags = await readFlac(file);
+    else if (magic === "OggS") tags = await readOgg(file);
+    else if (ascii(start, 4, 4) === "ftyp") tags = await readMp4(file);
+    else if (ascii(start, 0, 3) === "ID3") {
+      // Could still be a FLAC file with an ID3 tag in front
+      tags = (await readFlac(file)) || (await readId3v2(file));
+    }
+
+    // MP3s without ID3v2, or with an empty one
+    if (!tags || (!tags.title && !tags.artist)) {
+      const v1 = await readId3v1(file);
+      if (v1) tags = { ...v1, picture: tags?.picture || null };
+    }
+    return tags || emptyTags();
+  } catch {
+    return emptyTags();
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * ============================================================================
+ * TIME HELPERS
+ * ============================================================================
+ *
+ * Small time constants and formatters shared by the player, the stats and
+ * the views that show song lengths and positions.
+ * ============================================================================
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * formatTime - Seconds as M:SS (e.g. 185 -> "3:05")
+ * @param {number} seconds - Time in seconds; missing or invalid shows "0:00"
+ * @returns {string} - Formatted time string
+ */
+export const formatTime = (seconds) => {
+  if (!seconds || isNaN(seconds)) return "0:00";
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, "0")}`;
+};
@@ -0,0 +1,55 @@
+/**
+ * ============================================================================
+ * TRACK DETAILS
+ * ============================================================================
+ *
+ * /track/{id} is asked for by more than one feature around the same moment:
+ * a fresh preview URL (previews.js) and the track's loudness (loudness.js)
+ * are both wanted when a song starts or is about to. Both go through
+ * getTrackDetails() so a song costs one request:
+ *
+ *   - callers asking while a request is on its way share it
+ *   - a successful answer is reused for a few minutes
+ *
+ * Shared requests aren't cancelled when one caller loses interest (another
+ * may still be waiting), so callers check their own signal afterwards.
+ * ============================================================================
+ */
+
+import deezer from "../api/deezer.js";
+
+// How long an answer is reused - well inside a preview URL's lifetime
+const CACHE_MS = 5 * 60 * 1000;
+const CACHE_LIMIT = 50;
+
+// trackId -> promise of the request on its way
+const pending = new Map();
+// trackId -> { result, fetchedAt }, oldest first
+const cache = new Map();
+
+/**
+ * getTrackDetails - GET /track/{id}, shared between callers
+ * Resolves like the Deezer client ({ ok, data } or { ok: false, error }).
+ * @param {number|string} trackId - Deezer track id
+ * @param {Object} options - { reuse: false } skips the cached answer (e.g.
+ *   when the preview URL it had turned out not to work)
+ */
+export function getTrackDetails(trackId, { reuse = true } = {}) {
+  const cached = cache.get(trackId);
+  if (reuse && cached && Date.now() - cached.fetchedAt < CACHE_MS) {
+    return Promise.resolve(cached.result);
+  }
+  if (pending.has(trackId)) return pending.get(trackId);
+
+  const request = deezer.track(trackId).then((result) => {
+    pending.delete(trackId);
+    if (result.ok) {
+      cache.delete(trackId);
+      cache.set(trackId, { result, fetchedAt: Date.now() });
+      if (cache.size > CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    }
+    return result;
+  });
+  pending.set(trackId, request);
+  return request;
+}
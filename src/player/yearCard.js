@@ -0,0 +1,250 @@
+/**
+ * ============================================================================
+ * YEAR IN REVIEW CARD
+ * ============================================================================
+ *
+ * Draws the "year in review" summary from stats.js onto a canvas and turns
+ * it into a PNG to download or share. The card is portrait (4:5) so it fits
+ * social feeds:
+ *
+ *   NovaBeat
+ *   2026 in review
+ *   12,345 minutes listened
+ *   [plays] [artists / new] [longest streak]
+ *   Top songs (with covers) | Top artists
+ *   Top album
+ * ============================================================================
+ */
+
+const WIDTH = 1080;
+const HEIGHT = 1350;
+const PADDING = 80;
+const FONT = "'Outfit', system-ui, sans-serif";
+
+// Covers that take longer than this are left out
+const COVER_TIMEOUT = 5000;
+
+/**
+ * loadImage - Loads a cover so it can be drawn without tainting the canvas
+ * @returns {Promise<HTMLImageElement|null>} - null if it can't be used
+ */
+const loadImage = (url) =>
+  new Promise((resolve) => {
+    if (!url) {
+      resolve(null);
+      return;
+    }
+    const image = new Image();
+    const timer = setTimeout(() => resolve(null), COVER_TIMEOUT);
+    image.crossOrigin = "anonymous";
+    image.onload = () => {
+      clearTimeout(timer);
+      resolve(image);
+    };
+    image.onerror = () => {
+      clearTimeout(timer);
+      resolve(null);
+    };
+    image.src = url;
+  });
+
+/**
+ * fitText - Shortens text with an ellipsis until it fits a width
+ */
+const fitText = (ctx, text, maxWidth) => {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let shortened = text;
+  while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened.trimEnd()}…`;
+};
+
+/**
+ * roundRect - Adds a rounded rectangle to the current path
+ */
+const roundRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+/**
+ * drawStat - One of the three number boxes under the headline
+ */
+const drawStat = (ctx, x, y, width, value, label) => {
+  ctx.fillStyle = "rgba(255,255,255,0.08)";
+  roundRect(ctx, x, y, width, 150, 24);
+  ctx.fill();
+  ctx.fillStyle = "white";
+  ctx.font = `700 56px ${FONT}`;
+  ctx.fillText(fitText(ctx, value, width - 48), x + 24, y + 76);
+  ctx.fillStyle = "rgba(255,255,255,0.6)";
+  ctx.font = `400 26px ${FONT}`;
+  ctx.fillText(fitText(ctx, label, width - 48), x + 24, y + 120);
+};
+
+/**
+ * drawHeading - Small uppercase heading above a list
+ */
+const drawHeading = (ctx, text, x, y) => {
+  ctx.fillStyle = "#c4b5fd";
+  ctx.font = `600 26px ${FONT}`;
+  ctx.fillText(text.toUpperCase(), x, y);
+};
+
+/**
+ * createYearCard - Draws the card for a year
+ * @param {Object} summary - From getYearInReview()
+ * @returns {Promise<Blob>} - PNG image
+ */
+export async function createYearCard(summary) {
+  // Canvas text only uses the web font once it has loaded
+  await document.fonts?.ready;
+  const covers = await Promise.all(
+    summary.topTracks.map((item) => loadImage(item.track.album?.cover_medium))
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext("2d");
+
+  // Background - the app's dark purple, with a glow in two corners
+  const background = ctx.createLinearGradient(0, 0, WIDTH, HEIGHT);
+  background.addColorStop(0, "#1a1040");
+  background.addColorStop(0.6, "#2e1065");
+  background.addColorStop(1, "#500724");
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  [
+    [WIDTH, 0, "rgba(139, 92, 246, 0.45)"],
+    [0, HEIGHT, "rgba(236, 72, 153, 0.35)"],
+  ].forEach(([x, y, colour]) => {
+    const glow = ctx.createRadialGradient(x, y, 0, x, y, 700);
+    glow.addColorStop(0, colour);
+    glow.addColorStop(1, "transparent");
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  });
+
+  // Headline
+  ctx.textBaseline = "alphabetic";
+  ctx.fillStyle = "rgba(255,255,255,0.7)";
+  ctx.font = `600 32px ${FONT}`;
+  ctx.fillText("NovaBeat", PADDING, PADDING + 20);
+
+  const title = ctx.createLinearGradient(PADDING, 0, WIDTH - PADDING, 0);
+  title.addColorStop(0, "#a78bfa");
+  title.addColorStop(1, "#f472b6");
+  ctx.fillStyle = title;
+  ctx.font = `800 96px ${FONT}`;
+  ctx.fillText(`${summary.year} in review`, PADDING, PADDING + 130);
+
+  ctx.fillStyle = "white";
+  ctx.font = `700 64px ${FONT}`;
+  ctx.fillText(`${summary.minutes.toLocaleString()} minutes`, PADDING, PADDING + 240);
+  ctx.fillStyle = "rgba(255,255,255,0.6)";
+  ctx.font = `400 30px ${FONT}`;
+  ctx.fillText(
+    `listened on ${summary.activeDays} ${summary.activeDays === 1 ? "day" : "days"}`,
+    PADDING,
+    PADDING + 285
+  );
+
+  // Number boxes
+  const boxWidth = (WIDTH - PADDING * 2 - 40) / 3;
+  const boxY = PADDING + 330;
+  drawStat(ctx, PADDING, boxY, boxWidth, summary.plays.toLocaleString(), "plays");
+  drawStat(
+    ctx,
+    PADDING + boxWidth + 20,
+    boxY,
+    boxWidth,
+    String(summary.artists),
+    `artists • ${summary.newArtists} new`
+  );
+  drawStat(
+    ctx,
+    PADDING + (boxWidth + 20) * 2,
+    boxY,
+    boxWidth,
+    `${summary.longestStreak} ${summary.longestStreak === 1 ? "day" : "days"}`,
+    "longest streak"
+  );
+
+  // Top songs (left) and top artists (right)
+  const listY = boxY + 230;
+  const songsWidth = 560;
+  const artistsX = PADDING + songsWidth + 60;
+  const artistsWidth = WIDTH - PADDING - artistsX;
+  drawHeading(ctx, "Top songs", PADDING, listY);
+  drawHeading(ctx, "Top artists", artistsX, listY);
+
+  summary.topTracks.forEach((item, index) => {
+    const y = listY + 30 + index * 100;
+    ctx.save();
+    roundRect(ctx, PADDING, y, 80, 80, 12);
+    ctx.clip();
+    if (covers[index]) {
+      ctx.drawImage(covers[index], PADDING, y, 80, 80);
+    } else {
+      ctx.fillStyle = "rgba(255,255,255,0.1)";
+      ctx.fillRect(PADDING, y, 80, 80);
+    }
+    ctx.restore();
+
+    ctx.fillStyle = "white";
+    ctx.font = `600 30px ${FONT}`;
+    ctx.fillText(fitText(ctx, item.label, songsWidth - 104), PADDING + 104, y + 36);
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.font = `400 24px ${FONT}`;
+    ctx.fillText(
+      fitText(ctx, `${item.detail || ""} • ${item.plays} plays`, songsWidth - 104),
+      PADDING + 104,
+      y + 70
+    );
+  });
+
+  summary.topArtists.forEach((item, index) => {
+    const y = listY + 30 + index * 100;
+    ctx.fillStyle = "rgba(255,255,255,0.35)";
+    ctx.font = `700 40px ${FONT}`;
+    ctx.fillText(String(index + 1), artistsX, y + 52);
+    ctx.fillStyle = "white";
+    ctx.font = `600 30px ${FONT}`;
+    ctx.fillText(fitText(ctx, item.label, artistsWidth - 48), artistsX + 48, y + 52);
+  });
+
+  if (summary.topTracks.length === 0) {
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.font = `400 28px ${FONT}`;
+    ctx.fillText("No plays this year yet", PADDING, listY + 70);
+  }
+
+  // Footer - top album
+  if (summary.topAlbum) {
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.font = `400 28px ${FONT}`;
+    ctx.fillText(
+      fitText(
+        ctx,
+        `Album of the year: ${summary.topAlbum.label} - ${summary.topAlbum.detail || ""}`,
+        WIDTH - PADDING * 2
+      ),
+      PADDING,
+      HEIGHT - PADDING
+    );
+  }
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Couldn't create the image"))),
+      "image/png"
+    )
+  );
+}
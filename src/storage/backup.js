@@ -0,0 +1,337 @@
+/**
+ * ============================================================================
+ * BACKUP AND RESTORE
+ * ============================================================================
+ *
+ * The whole library (favorites, playlists, history) and the player settings
+ * in one JSON file, so nothing is lost when switching browsers or clearing
+ * site data:
+ *
+ *   {
+ *     format: "novabeat-backup",
+ *     version: 1,
+ *     exportedAt: "2026-10-19T12:00:00.000Z",
+ *     library: { tracks, favorites, playlists, history },  // see library.js
+ *     settings: { playerVolume: "0.7", repeatMode: "all", ... },
+ *   }
+ *
+ * Like the database, the library part stores each song once. Audio added
+ * from the computer isn't included - only the songs' details.
+ * ============================================================================
+ */
+
+import {
+  MAX_CROSSFADE,
+  MAX_PITCH_SHIFT,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+} from "../player/engine.js";
+import { normalizeEqPresets, normalizeEqSettings } from "../player/equalizer.js";
+import { normalizeKeymap } from "../player/keymap.js";
+import { REPEAT_MODES } from "../player/queue.js";
+import { fromPlainRecords, toPlainRecords } from "./library.js";
+
+const BACKUP_FORMAT = "novabeat-backup";
+// Bump when the file layout changes; parseBackup() upgrades older files
+export const BACKUP_VERSION = 1;
+
+// ============================================================================
+// SETTINGS - the localStorage keys that go into a backup
+// Each check gets the stored string and returns the string to restore, or
+// null to leave that setting out. The app reads these on start, so nothing
+// it can't use may get through.
+// ============================================================================
+
+// The Now Playing visualizer's modes (see components/Visualizer.jsx)
+const VISUALIZER_MODES = ["bars", "waveform", "radial", "off"];
+
+/**
+ * parseJson - A JSON setting's value, or undefined if it isn't valid JSON
+ */
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const boolean = (value) => (value === "true" || value === "false" ? value : null);
+
+const oneOf = (options) => (value) => (options.includes(value) ? value : null);
+
+const numberBetween = (min, max, { integer = false } = {}) => (value) => {
+  const number = value.trim() === "" ? NaN : Number(value);
+  const valid = number >= min && number <= max && (!integer || Number.isInteger(number));
+  return valid ? value : null;
+};
+
+const SETTINGS = {
+  playerVolume: numberBetween(0, 1),
+  playerMuted: boolean,
+  shuffleEnabled: boolean,
+  repeatMode: oneOf(REPEAT_MODES),
+  crossfadeSeconds: numberBetween(0, MAX_CROSSFADE),
+  playbackRate: numberBetween(MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE),
+  preservePitch: boolean,
+  pitchShift: numberBetween(-MAX_PITCH_SHIFT, MAX_PITCH_SHIFT, { integer: true }),
+  normalizeLoudness: boolean,
+  keyboardShortcuts: (value) => {
+    const keymap = parseJson(value);
+    return isPlainObject(keymap) ? JSON.stringify(normalizeKeymap(keymap)) : null;
+  },
+  equalizerSettings: (value) => {
+    const settings = parseJson(value);
+    return isPlainObject(settings) ? JSON.stringify(normalizeEqSettings(settings)) : null;
+  },
+  equalizerPresets: (value) => {
+    const presets = parseJson(value);
+    return Array.isArray(presets) ? JSON.stringify(normalizeEqPresets(presets)) : null;
+  },
+  visualizerMode: oneOf(VISUALIZER_MODES),
+};
+
+const HISTORY_OUTCOMES = ["completed", "skipped", "stopped"];
+
+/**
+ * BackupError - A file that can't be restored
+ * @param {string} message - Shown to the user as is
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * createBackup - Builds the backup object
+ * @param {Object} library - { favorites, playlists, history } as the app holds them
+ */
+export const createBackup = (library) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  library: toPlainRecords(library),
+  settings: Object.fromEntries(
+    Object.keys(SETTINGS)
+      .filter((key) => localStorage.getItem(key) !== null)
+      .map((key) => [key, localStorage.getItem(key)])
+  ),
+});
+
+/**
+ * downloadBackup - Saves a backup as novabeat-backup-YYYY-MM-DD.json
+ */
+export const downloadBackup = (backup) => {
+  const blob = new Blob([JSON.stringify(backup)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `novabeat-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  // The download has started by the time this runs
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+const isId = (value) => typeof value === "number" || (typeof value === "string" && value !== "");
+const isTimestamp = (value) => value === null || Number.isFinite(value);
+
+// Checks for each list in the library part; anything failing is skipped.
+// Tracks need everything the song lists and player read without a fallback.
+const RECORD_CHECKS = {
+  tracks: (track) =>
+    isId(track?.id) &&
+    typeof track.title === "string" &&
+    isPlainObject(track.artist) &&
+    typeof track.artist.name === "string" &&
+    isPlainObject(track.album) &&
+    typeof track.album.title === "string",
+  favorites: (favorite) => isId(favorite?.trackId) && isTimestamp(favorite.addedAt ?? null),
+  playlists: (playlist) =>
+    isId(playlist?.id) &&
+    typeof playlist.name === "string" &&
+    playlist.name.trim() !== "" &&
+    Array.isArray(playlist.trackIds),
+  history: (entry) =>
+    isId(entry?.id) &&
+    isId(entry.trackId) &&
+    isTimestamp(entry.startedAt) &&
+    isTimestamp(entry.listened) &&
+    HISTORY_OUTCOMES.includes(entry.outcome),
+};
+
+/**
+ * parseBackup - Reads and checks a backup file's text
+ * Broken records are skipped (and counted) rather than failing the whole
+ * file; a file that isn't a NovaBeat backup at all throws.
+ * @param {string} text - The file contents
+ * @returns {Object} - { exportedAt, library, settings, skipped } where
+ *   library is { favorites, playlists, history } as the app holds them
+ * @throws {BackupError}
+ */
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new BackupError("That file isn't a NovaBeat backup (it's not valid JSON)");
+  }
+  if (data?.format !== BACKUP_FORMAT) {
+    throw new BackupError("That file isn't a NovaBeat backup");
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new BackupError("That file isn't a valid NovaBeat backup (its version is damaged)");
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new BackupError("This backup was made by a newer version of NovaBeat");
+  }
+  if (typeof data.library !== "object" || data.library === null) {
+    throw new BackupError("This backup is damaged - its library is missing");
+  }
+
+  let skipped = 0;
+  const records = {};
+  Object.entries(RECORD_CHECKS).forEach(([name, check]) => {
+    const list = Array.isArray(data.library[name]) ? data.library[name] : [];
+    records[name] = list.filter(check);
+    skipped += list.length - records[name].length;
+  });
+  records.playlists = records.playlists.map((playlist) => ({
+    ...playlist,
+    trackIds: playlist.trackIds.filter(isId),
+  }));
+
+  // Only known settings, and only values the app can read back
+  const settings = {};
+  if (isPlainObject(data.settings)) {
+    Object.entries(data.settings).forEach(([key, value]) => {
+      const check = Object.hasOwn(SETTINGS, key) ? SETTINGS[key] : null;
+      const restored = check && typeof value === "string" ? check(value) : null;
+      if (restored !== null) settings[key] = restored;
+    });
+  }
+
+  return {
+    exportedAt: typeof data.exportedAt === "string" ? data.exportedAt : null,
+    library: fromPlainRecords(records),
+    settings,
+    skipped,
+  };
+};
+
+/**
+ * applySettings - Writes restored settings to localStorage
+ * They take effect on the next page load.
+ */
+export const applySettings = (settings) => {
+  Object.entries(settings).forEach(([key, value]) => localStorage.setItem(key, value));
+};
+
+// ============================================================================
+// RESTORE PLAN
+// ============================================================================
+
+/**
+ * countNew - How many items of one list aren't in another (by key)
+ */
+const countNew = (items, others, key) => {
+  const known = new Set(others.map(key));
+  return items.filter((item) => !known.has(key(item))).length;
+};
+
+/**
+ * mergePlaylists - Adds backed-up playlists to the current ones
+ * A playlist with the same id or name gets the songs it's missing; the rest
+ * are added as new playlists.
+ */
+const mergePlaylists = (current, incoming) => {
+  const merged = [...current];
+  let added = 0;
+  let updated = 0;
+
+  incoming.forEach((playlist) => {
+    const index = merged.findIndex(
+      (p) => p.id === playlist.id || p.name.toLowerCase() === playlist.name.toLowerCase()
+    );
+    if (index === -1) {
+      merged.push(playlist);
+      added++;
+      return;
+    }
+    const existingIds = new Set(merged[index].tracks.map((t) => t.id));
+    const newTracks = playlist.tracks.filter((t) => !existingIds.has(t.id));
+    if (newTracks.length > 0) {
+      merged[index] = { ...merged[index], tracks: [...merged[index].tracks, ...newTracks] };
+      updated++;
+    }
+  });
+
+  return { playlists: merged, added, updated };
+};
+
+/**
+ * planRestore - Works out the library after a restore, and what changes
+ * @param {Object} current - { favorites, playlists, history } now
+ * @param {Object} incoming - The backup's library (from parseBackup)
+ * @param {string} mode - "merge" keeps everything and adds what's missing;
+ *   "replace" makes the library exactly the backup's
+ * @returns {Object} - { library, changes } where changes has
+ *   { added, removed } per list (and updated for playlists)
+ */
+export const planRestore = (current, incoming, mode) => {
+  const trackKey = (track) => track.id;
+  const entryKey = (entry) => entry.id;
+  const playlistKey = (playlist) => playlist.id;
+
+  if (mode === "replace") {
+    return {
+      library: incoming,
+      changes: {
+        favorites: {
+          added: countNew(incoming.favorites, current.favorites, trackKey),
+          removed: countNew(current.favorites, incoming.favorites, trackKey),
+        },
+        playlists: {
+          added: countNew(incoming.playlists, current.playlists, playlistKey),
+          updated: 0,
+          removed: countNew(current.playlists, incoming.playlists, playlistKey),
+        },
+        history: {
+          added: countNew(incoming.history, current.history, entryKey),
+          removed: countNew(current.history, incoming.history, entryKey),
+        },
+      },
+    };
+  }
+
+  const newFavorites = incoming.favorites.filter(
+    (track) => !current.favorites.some((fav) => fav.id === track.id)
+  );
+  const { playlists, added, updated } = mergePlaylists(current.playlists, incoming.playlists);
+  const knownEntries = new Set(current.history.map(entryKey));
+  const newEntries = incoming.history.filter((entry) => !knownEntries.has(entry.id));
+  // Newest first; undated entries (from before the history existed) last
+  const history = [...current.history, ...newEntries]
+    .sort((a, b) => (b.startedAt ?? -Infinity) - (a.startedAt ?? -Infinity) || 0);
+
+  return {
+    library: { favorites: [...current.favorites, ...newFavorites], playlists, history },
+    changes: {
+      favorites: { added: newFavorites.length, removed: 0 },
+      playlists: { added, updated, removed: 0 },
+      history: { added: newEntries.length, removed: 0 },
+    },
+  };
+};
@@ -0,0 +1,178 @@
+/**
+ * ============================================================================
+ * INDEXEDDB DATABASE
+ * ============================================================================
+ *
+ * localStorage only holds strings and a few MB, so anything big (audio
+ * files, the music library) lives in IndexedDB instead. This module opens
+ * the database, creates the object stores and wraps the callback-based API
+ * in promises:
+ *
+ *   const records = await getAll("localFiles");
+ *   await put("localFiles", record);
+ *   await remove("localFiles", id);
+ *   await transact(["tracks", "favorites"], (stores) => { ... });
+ *
+ * Stores (see storage/library.js for the library ones):
+ *   localFiles - audio files the user added ({ id, file, track, addedAt })
+ *   tracks     - every saved song, once, by id                  (version 2)
+ *   favorites  - { trackId, addedAt, seq }                        (version 2)
+ *   playlists  - { id, name, createdAt, trackIds, seq }          (version 2)
+ *   history    - { id, trackId, startedAt, listened, outcome, seq } (v2)
+ *   meta       - { key, value } flags such as finished migrations (version 2)
+ * ============================================================================
+ */
+
+const DB_NAME = "novabeat";
+// Bump this and add a step to upgradeDatabase() whenever the stores change
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+/**
+ * requestToPromise - Resolves with an IDBRequest's result
+ */
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * upgradeDatabase - Brings an older database up to DB_VERSION
+ * Each step runs once, in order, so a visitor coming from any version ends
+ * up with the same stores.
+ */
+const upgradeDatabase = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    db.createObjectStore("localFiles", { keyPath: "id" });
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore("tracks", { keyPath: "id" });
+    db.createObjectStore("favorites", { keyPath: "trackId" });
+    db.createObjectStore("playlists", { keyPath: "id" });
+    db.createObjectStore("history", { keyPath: "id" });
+    db.createObjectStore("meta", { keyPath: "key" });
+  }
+};
+
+/**
+ * openDatabase - Opens (and on first use creates) the database
+ * The connection is shared, so this is cheap to call before every operation.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+  // A tab still running older code keeps the upgrade waiting until it closes
+  request.onblocked = () => console.warn("Close other NovaBeat tabs to finish updating storage");
+  dbPromise = requestToPromise(request)
+    .then((db) => {
+      // A newer version opened in another tab - step aside so it can upgrade
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      return db;
+    })
+    .catch((error) => {
+      // Let the next call try again (e.g. private mode blocked it once)
+      dbPromise = null;
+      throw error;
+    });
+  return dbPromise;
+}
+
+/**
+ * waitForCommit - Resolves once a transaction is committed
+ */
+const waitForCommit = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+/**
+ * withStore - Runs one request against a store and waits for it
+ * @param {string} storeName - Object store to use
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Gets the store, returns an IDBRequest
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  // Writes only count once the transaction is committed
+  const committed = waitForCommit(transaction);
+  const [result] = await Promise.all([
+    requestToPromise(operation(transaction.objectStore(storeName))),
+    committed,
+  ]);
+  return result;
+}
+
+/**
+ * get - One record by key (undefined if there isn't one)
+ */
+export const get = (storeName, key) =>
+  withStore(storeName, "readonly", (store) => store.get(key));
+
+/**
+ * getAll - Every record in a store
+ */
+export const getAll = (storeName) => withStore(storeName, "readonly", (store) => store.getAll());
+
+/**
+ * put - Adds or replaces a record
+ */
+export const put = (storeName, record) =>
+  withStore(storeName, "readwrite", (store) => store.put(record));
+
+/**
+ * remove - Deletes the record with the given key
+ */
+export const remove = (storeName, key) =>
+  withStore(storeName, "readwrite", (store) => store.delete(key));
+
+/**
+ * transact - Several writes over several stores that all happen or none do
+ * @param {Array} storeNames - Stores the callback may use
+ * @param {Function} callback - Gets { storeName: IDBObjectStore } and
+ *   queues its requests synchronously
+ * @returns {Promise} - Resolves when everything is committed
+ */
+export async function transact(storeNames, callback) {
+  const db = await openDatabase();
+  const names = [...new Set(storeNames)];
+  const transaction = db.transaction(names, "readwrite");
+  const committed = waitForCommit(transaction);
+  try {
+    callback(Object.fromEntries(names.map((name) => [name, transaction.objectStore(name)])));
+  } catch (error) {
+    // e.g. a record that can't be stored - throw away the writes queued so far
+    transaction.abort();
+    committed.catch(() => {});
+    throw error;
+  }
+  return committed;
+}
+
+/**
+ * estimateStorage - How much this site stores and may store
+ * @returns {Promise<Object|null>} - { usage, quota } in bytes, or null if
+ *   the browser can't tell
+ */
+export async function estimateStorage() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,429 @@
+/**
+ * ============================================================================
+ * MUSIC LIBRARY
+ * ============================================================================
+ *
+ * Favorites, playlists and the listening history, kept in IndexedDB (see
+ * database.js). Each song is stored once in "tracks" and the other stores
+ * only point at it by id, so a song that is a favorite, in three playlists
+ * and played a hundred times is saved once instead of 104 times.
+ *
+ * The app keeps working with plain arrays of full track objects:
+ *
+ *   const { favorites, playlists, history } = await loadLibrary();
+ *   await saveCollection("favorites", favorites);
+ *
+ * saveCollection() compares the array with what was saved last and only
+ * writes the records that changed, in a single transaction. The history has
+ * no size limit, so its saves only look at the plays added or removed.
+ *
+ * The first load moves the old localStorage keys (musicFavorites,
+ * customPlaylists, listeningHistory / recentlyPlayed) into the database.
+ * When the database can't be opened at all (some private modes, a newer
+ * version open in another tab) the app falls back to those keys with
+ * loadLegacyLibrary() / saveLegacyCollection(), and the next load that
+ * reaches the database adds whatever was saved there meanwhile.
+ * ============================================================================
+ */
+
+import { addHistoryEntry } from "../player/history.js";
+import { get, getAll, transact } from "./database.js";
+
+// localStorage keys from before the library moved to IndexedDB (also
+// where the library is saved while the database can't be opened)
+const LEGACY_KEYS = ["musicFavorites", "customPlaylists", "listeningHistory", "recentlyPlayed"];
+const LEGACY_COLLECTION_KEYS = {
+  favorites: "musicFavorites",
+  playlists: "customPlaylists",
+  history: "listeningHistory",
+};
+const MIGRATION_FLAG = "migratedFromLocalStorage";
+
+// A play logged while the page was closing (IndexedDB can't be trusted to
+// finish a write then), picked up by the next loadLibrary()
+const PENDING_HISTORY_KEY = "pendingHistoryEntry";
+
+/**
+ * How each collection maps to records. Every record also gets a "seq"
+ * number the first time it's written, which keeps the app's order.
+ */
+const COLLECTIONS = {
+  favorites: {
+    keyPath: "trackId",
+    key: (track) => track.id,
+    toRecord: (track) => ({ trackId: track.id, addedAt: track.addedAt || null }),
+    tracksOf: (track) => [track],
+    fromRecord: (record, tracks) => {
+      const track = tracks.get(record.trackId);
+      if (!track) return null;
+      return record.addedAt ? { ...track, addedAt: record.addedAt } : track;
+    },
+  },
+  playlists: {
+    keyPath: "id",
+    key: (playlist) => playlist.id,
+    toRecord: (playlist) => {
+      const record = { ...playlist, trackIds: playlist.tracks.map((track) => track.id) };
+      delete record.tracks;
+      return record;
+    },
+    tracksOf: (playlist) => playlist.tracks,
+    fromRecord: (record, tracks) => {
+      const playlist = {
+        ...record,
+        tracks: record.trackIds.map((id) => tracks.get(id)).filter(Boolean),
+      };
+      delete playlist.trackIds;
+      delete playlist.seq;
+      return playlist;
+    },
+  },
+  history: {
+    keyPath: "id",
+    key: (entry) => entry.id,
+    toRecord: (entry) => ({
+      id: entry.id,
+      trackId: entry.track.id,
+      startedAt: entry.startedAt,
+      listened: entry.listened,
+      outcome: entry.outcome,
+    }),
+    tracksOf: (entry) => [entry.track],
+    fromRecord: (record, tracks) => {
+      const track = tracks.get(record.trackId);
+      if (!track) return null;
+      return {
+        id: record.id,
+        track,
+        startedAt: record.startedAt,
+        listened: record.listened,
+        outcome: record.outcome,
+      };
+    },
+    // The app keeps the history newest first
+    newestFirst: true,
+    // A logged play never changes (only its song's details may), so only
+    // new and removed entries need writing
+    appendOnly: true,
+  },
+};
+
+// What the database holds for each collection: key -> record
+const saved = { favorites: new Map(), playlists: new Map(), history: new Map() };
+const nextSeq = { favorites: 1, playlists: 1, history: 1 };
+// Set after a failed write - the next save rewrites the whole collection
+const needsRewrite = { favorites: false, playlists: false, history: false };
+// Track objects whose current contents are already in the "tracks" store
+const storedTracks = new WeakSet();
+
+/**
+ * toTrackRecord - The copy of a track that goes into the "tracks" store
+ * Favorite dates belong to the favorite, and a local file's blob URL dies
+ * with the page.
+ */
+const toTrackRecord = (track) => {
+  const record = { ...track };
+  delete record.addedAt;
+  if (record.local) record.preview = "";
+  return record;
+};
+
+/**
+ * readLegacy - Parses an old localStorage key
+ */
+const readLegacy = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+// ============================================================================
+// SAVING
+// ============================================================================
+
+/**
+ * planSave - Works out the writes that bring a collection up to date
+ * @returns {Object} - { name, puts, deletes, tracks, clear, next }
+ */
+const planSave = (name, items) => {
+  const config = COLLECTIONS[name];
+  const previous = saved[name];
+  const rewrite = needsRewrite[name];
+  const next = new Map();
+  const puts = [];
+  const tracks = new Map();
+
+  // Oldest first, so seq numbers grow with the app's order
+  const ordered = config.newestFirst ? [...items].reverse() : items;
+  ordered.forEach((item) => {
+    const key = config.key(item);
+    const old = previous.get(key);
+    if (old && !rewrite && config.appendOnly) {
+      next.set(key, old);
+    } else {
+      const record = { ...config.toRecord(item), seq: old ? old.seq : nextSeq[name]++ };
+      next.set(key, record);
+      if (rewrite || !old || JSON.stringify(old) !== JSON.stringify(record)) puts.push(record);
+    }
+    config.tracksOf(item).forEach((track) => {
+      if (rewrite || !storedTracks.has(track)) tracks.set(track.id, track);
+    });
+  });
+
+  return {
+    name,
+    puts,
+    deletes: rewrite ? [] : [...previous.keys()].filter((key) => !next.has(key)),
+    tracks: [...tracks.values()],
+    clear: rewrite,
+    next,
+  };
+};
+
+/**
+ * commitPlans - Writes one or more planned saves in a single transaction
+ * @param {Array} plans - From planSave()
+ * @param {Function} extra - Optional, gets the stores to queue more writes
+ */
+const commitPlans = async (plans, extra) => {
+  const names = plans.map((plan) => plan.name);
+  const hasWrites = plans.some(
+    (plan) => plan.clear || plan.puts.length || plan.deletes.length || plan.tracks.length
+  );
+
+  try {
+    if (hasWrites || extra) {
+      await transact(["tracks", "meta", ...names], (stores) => {
+        plans.forEach((plan) => {
+          const store = stores[plan.name];
+          if (plan.clear) store.clear();
+          plan.deletes.forEach((key) => store.delete(key));
+          plan.puts.forEach((record) => store.put(record));
+          plan.tracks.forEach((track) => stores.tracks.put(toTrackRecord(track)));
+        });
+        extra?.(stores);
+      });
+    }
+  } catch (error) {
+    names.forEach((name) => (needsRewrite[name] = true));
+    throw error;
+  }
+
+  plans.forEach((plan) => {
+    saved[plan.name] = plan.next;
+    needsRewrite[plan.name] = false;
+    plan.tracks.forEach((track) => storedTracks.add(track));
+  });
+};
+
+/**
+ * saveCollection - Saves the current favorites, playlists or history
+ * @param {string} name - "favorites", "playlists" or "history"
+ * @param {Array} items - The whole collection, as the app holds it
+ * @returns {Promise} - Rejects if the write failed (e.g. QuotaExceededError);
+ *   the next save then writes everything again
+ */
+export const saveCollection = (name, items) => commitPlans([planSave(name, items)]);
+
+/**
+ * saveLibrary - Saves all three collections in one transaction, so either
+ * everything is written or nothing is (used for restores)
+ * @param {Object} library - { favorites, playlists, history }
+ */
+export const saveLibrary = (library) =>
+  commitPlans(Object.keys(COLLECTIONS).map((name) => planSave(name, library[name])));
+
+/**
+ * savePendingHistoryEntry - Keeps a play logged as the page closes
+ * localStorage writes are synchronous, so this one survives the unload.
+ */
+export const savePendingHistoryEntry = (entry) => {
+  try {
+    localStorage.setItem(PENDING_HISTORY_KEY, JSON.stringify(entry));
+  } catch {
+    // Storage full - this one play is lost
+  }
+};
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * loadLegacyLibrary - The library as saved in the old localStorage keys
+ * Broken entries are left out.
+ * @returns {Object} - { favorites, playlists, history }
+ */
+export const loadLegacyLibrary = () => {
+  const favorites = readLegacy("musicFavorites");
+  const playlists = readLegacy("customPlaylists");
+  let history = readLegacy("listeningHistory");
+  if (!Array.isArray(history)) {
+    // Before the history there was only a list of the last 10 songs
+    const recent = readLegacy("recentlyPlayed");
+    history = (Array.isArray(recent) ? recent : []).map((track, index) => ({
+      id: `recent-${index}`,
+      track,
+      startedAt: null,
+      listened: null,
+      outcome: "completed",
+    }));
+  }
+  return {
+    favorites: (Array.isArray(favorites) ? favorites : []).filter((track) => track?.id),
+    playlists: (Array.isArray(playlists) ? playlists : []).filter(
+      (playlist) => playlist?.id && Array.isArray(playlist.tracks)
+    ),
+    history: history.filter((entry) => entry?.id && entry.track?.id),
+  };
+};
+
+/**
+ * saveLegacyCollection - Saves a collection to its old localStorage key
+ * Only used while the database can't be opened.
+ * @throws {DOMException} - e.g. QuotaExceededError
+ */
+export const saveLegacyCollection = (name, items) => {
+  localStorage.setItem(LEGACY_COLLECTION_KEYS[name], JSON.stringify(items));
+};
+
+const hasLegacyData = () => LEGACY_KEYS.some((key) => localStorage.getItem(key) !== null);
+
+/**
+ * migrateFromLocalStorage - Moves the pre-IndexedDB library into the database
+ * Runs once. The localStorage keys are only removed after the transaction
+ * has committed, so a failed migration is simply tried again next visit.
+ */
+const migrateFromLocalStorage = async () => {
+  const { favorites, playlists, history } = loadLegacyLibrary();
+
+  // Favorites go last so their full track objects win over the history's
+  // trimmed copies of the same songs
+  await commitPlans(
+    [
+      planSave("history", history),
+      planSave("playlists", playlists),
+      planSave("favorites", favorites),
+    ],
+    (stores) => stores.meta.put({ key: MIGRATION_FLAG, value: Date.now() })
+  );
+  LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+};
+
+/**
+ * mergeLegacyLibrary - Adds what a visit without the database saved to
+ * localStorage (or a migration that was cut short left behind)
+ * Anything already in the library is kept as it is; changes other than
+ * additions made during such a visit are lost.
+ */
+const mergeLegacyLibrary = async (library) => {
+  const legacy = loadLegacyLibrary();
+  const merged = {};
+  Object.keys(COLLECTIONS).forEach((name) => {
+    const { key } = COLLECTIONS[name];
+    const known = new Set(library[name].map(key));
+    merged[name] = [...library[name], ...legacy[name].filter((item) => !known.has(key(item)))];
+  });
+  // Newest first; undated entries (from before the history existed) last
+  merged.history.sort((a, b) => (b.startedAt ?? -Infinity) - (a.startedAt ?? -Infinity) || 0);
+
+  await saveLibrary(merged);
+  LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+  return merged;
+};
+
+/**
+ * loadLibrary - Reads the whole library
+ * @returns {Promise<Object>} - { favorites, playlists, history } in the
+ *   shapes the app uses (favorites oldest first, history newest first)
+ */
+export async function loadLibrary() {
+  const migrated = Boolean(await get("meta", MIGRATION_FLAG));
+  if (!migrated) await migrateFromLocalStorage();
+
+  const [trackRecords, ...collections] = await Promise.all(
+    ["tracks", "favorites", "playlists", "history"].map((store) => getAll(store))
+  );
+  const tracks = new Map(trackRecords.map((track) => [track.id, track]));
+  trackRecords.forEach((track) => storedTracks.add(track));
+
+  const library = {};
+  Object.keys(COLLECTIONS).forEach((name, index) => {
+    const config = COLLECTIONS[name];
+    const records = collections[index].sort((a, b) => a.seq - b.seq);
+    saved[name] = new Map(records.map((record) => [record[config.keyPath], record]));
+    nextSeq[name] = records.length ? records[records.length - 1].seq + 1 : 1;
+
+    const items = records.map((record) => config.fromRecord(record, tracks)).filter(Boolean);
+    items.forEach((item) => config.tracksOf(item).forEach((track) => storedTracks.add(track)));
+    library[name] = config.newestFirst ? items.reverse() : items;
+  });
+
+  // Songs nothing points at any more (unfavorited, removed from playlists,
+  // cleared from the history)
+  const used = new Set();
+  Object.keys(COLLECTIONS).forEach((name) =>
+    library[name].forEach((item) =>
+      COLLECTIONS[name].tracksOf(item).forEach((track) => used.add(track.id))
+    )
+  );
+  const unused = trackRecords.filter((track) => !used.has(track.id));
+  if (unused.length > 0) {
+    await transact(["tracks"], (stores) =>
+      unused.forEach((track) => stores.tracks.delete(track.id))
+    );
+  }
+
+  let result = library;
+  if (migrated && hasLegacyData()) result = await mergeLegacyLibrary(library);
+
+  // A play logged while the page was closing last time
+  const pending = readLegacy(PENDING_HISTORY_KEY);
+  if (pending?.track?.id && !result.history.some((entry) => entry.id === pending.id)) {
+    result = { ...result, history: addHistoryEntry(result.history, pending) };
+    await saveCollection("history", result.history);
+  }
+  localStorage.removeItem(PENDING_HISTORY_KEY);
+
+  return result;
+}
+
+// ============================================================================
+// PLAIN RECORDS - the normalized library as plain data (for backups)
+// ============================================================================
+
+/**
+ * toPlainRecords - The library as normalized records, in the app's order
+ * @param {Object} library - { favorites, playlists, history } as the app holds them
+ * @returns {Object} - { tracks, favorites, playlists, history }
+ */
+export const toPlainRecords = (library) => {
+  const tracks = new Map();
+  const records = { tracks: [] };
+  Object.keys(COLLECTIONS).forEach((name) => {
+    const config = COLLECTIONS[name];
+    records[name] = library[name].map((item) => {
+      config.tracksOf(item).forEach((track) => tracks.set(track.id, toTrackRecord(track)));
+      return config.toRecord(item);
+    });
+  });
+  records.tracks = [...tracks.values()];
+  return records;
+};
+
+/**
+ * fromPlainRecords - Turns records from toPlainRecords() back into the
+ * app's arrays; records pointing at a missing track are dropped
+ */
+export const fromPlainRecords = (records) => {
+  const tracks = new Map(records.tracks.map((track) => [track.id, track]));
+  const library = {};
+  Object.keys(COLLECTIONS).forEach((name) => {
+    library[name] = records[name]
+      .map((record) => COLLECTIONS[name].fromRecord(record, tracks))
+      .filter(Boolean);
+  });
+  return library;
+};
@@ -4,4 +4,15 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    proxy: {
+      // Forward /deezer-api/* to the Deezer API so dev requests skip CORS
+      // (used by the "vite" transport in src/api/deezer.js)
+      '/deezer-api': {
+        target: 'https://api.deezer.com',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/deezer-api/, ''),
+      },
+    },
+  },
 })